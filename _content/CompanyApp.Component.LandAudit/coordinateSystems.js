@@ -0,0 +1,824 @@
+// Coordinate reference systems used for land records in Zambia: ellipsoids,
+// UTM projection and ellipsoidal measures. Works on GeoJSON coordinates
+// ([lng, lat]) like the geometry engine and has no Leaflet dependency.
+
+import { toPolygons } from './geometryEngine.js';
+
+// ====== ELLIPSOIDS ======
+
+export const ellipsoids = {
+    WGS84: { name: 'WGS84', a: 6378137, f: 1 / 298.257223563 },
+    // Clarke 1880 (Arc), the ellipsoid of the Arc 1950 datum
+    Clarke1880: { name: 'Clarke1880', a: 6378249.145, f: 1 / 293.466307656 }
+};
+
+export function getEllipsoid(name) {
+    return ellipsoids[name] || ellipsoids.WGS84;
+}
+
+// ====== TRANSVERSE MERCATOR ======
+
+// Krüger series to sixth order in n (Karney 2011), accurate to well under a
+// millimetre across a UTM zone
+export function createTransverseMercator(ellipsoid, centralMeridian, scaleFactor, falseEasting, falseNorthing) {
+    const d2r = Math.PI / 180;
+    const f = ellipsoid.f;
+    const e = Math.sqrt(f * (2 - f));
+    const n = f / (2 - f);
+    const n2 = n * n;
+    const n3 = n2 * n;
+    const n4 = n3 * n;
+    const n5 = n4 * n;
+    const n6 = n5 * n;
+
+    const A = ellipsoid.a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+    const alpha = [
+        n / 2 - 2 / 3 * n2 + 5 / 16 * n3 + 41 / 180 * n4 - 127 / 288 * n5 + 7891 / 37800 * n6,
+        13 / 48 * n2 - 3 / 5 * n3 + 557 / 1440 * n4 + 281 / 630 * n5 - 1983433 / 1935360 * n6,
+        61 / 240 * n3 - 103 / 140 * n4 + 15061 / 26880 * n5 + 167603 / 181440 * n6,
+        49561 / 161280 * n4 - 179 / 168 * n5 + 6601661 / 7257600 * n6,
+        34729 / 80640 * n5 - 3418889 / 1995840 * n6,
+        212378941 / 319334400 * n6
+    ];
+    const beta = [
+        n / 2 - 2 / 3 * n2 + 37 / 96 * n3 - 1 / 360 * n4 - 81 / 512 * n5 + 96199 / 604800 * n6,
+        1 / 48 * n2 + 1 / 15 * n3 - 437 / 1440 * n4 + 46 / 105 * n5 - 1118711 / 3870720 * n6,
+        17 / 480 * n3 - 37 / 840 * n4 - 209 / 4480 * n5 + 5569 / 90720 * n6,
+        4397 / 161280 * n4 - 11 / 504 * n5 - 830251 / 7257600 * n6,
+        4583 / 161280 * n5 - 108847 / 3991680 * n6,
+        20648693 / 638668800 * n6
+    ];
+    const scale = scaleFactor * A;
+
+    return {
+        // [lng, lat] in degrees to [easting, northing] in metres
+        forward(point) {
+            const phi = point[1] * d2r;
+            const lambda = (point[0] - centralMeridian) * d2r;
+
+            // Conformal latitude as tan, then Gauss-Schreiber coordinates
+            const sinPhi = Math.sin(phi);
+            const t = Math.sinh(Math.atanh(sinPhi) - e * Math.atanh(e * sinPhi));
+            const xiPrime = Math.atan2(t, Math.cos(lambda));
+            const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+            let xi = xiPrime;
+            let eta = etaPrime;
+            alpha.forEach((coefficient, j) => {
+                const k = 2 * (j + 1);
+                xi += coefficient * Math.sin(k * xiPrime) * Math.cosh(k * etaPrime);
+                eta += coefficient * Math.cos(k * xiPrime) * Math.sinh(k * etaPrime);
+            });
+
+            return [falseEasting + scale * eta, falseNorthing + scale * xi];
+        },
+
+        // [easting, northing] in metres to [lng, lat] in degrees
+        inverse(point) {
+            const xi = (point[1] - falseNorthing) / scale;
+            const eta = (point[0] - falseEasting) / scale;
+
+            let xiPrime = xi;
+            let etaPrime = eta;
+            beta.forEach((coefficient, j) => {
+                const k = 2 * (j + 1);
+                xiPrime -= coefficient * Math.sin(k * xi) * Math.cosh(k * eta);
+                etaPrime -= coefficient * Math.cos(k * xi) * Math.sinh(k * eta);
+            });
+
+            const sinhEta = Math.sinh(etaPrime);
+            const cosXi = Math.cos(xiPrime);
+            const tauPrime = Math.sin(xiPrime) / Math.sqrt(sinhEta * sinhEta + cosXi * cosXi);
+            const lambda = Math.atan2(sinhEta, cosXi);
+
+            // Newton iteration from conformal back to geodetic latitude
+            let tau = tauPrime;
+            for (let i = 0; i < 10; i++) {
+                const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+                const tauI = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+                const delta = (tauPrime - tauI) / Math.sqrt(1 + tauI * tauI) *
+                    (1 + (1 - e * e) * tau * tau) / ((1 - e * e) * Math.sqrt(1 + tau * tau));
+                tau += delta;
+                if (Math.abs(delta) < 1e-12) break;
+            }
+
+            return [centralMeridian + lambda / d2r, Math.atan(tau) / d2r];
+        }
+    };
+}
+
+// ====== UTM ======
+
+export function utmZoneForLongitude(longitude) {
+    return Math.min(60, Math.max(1, Math.floor((longitude + 180) / 6) + 1));
+}
+
+export function createUtmProjection(zone, south, ellipsoidName) {
+    return createTransverseMercator(getEllipsoid(ellipsoidName), zone * 6 - 183, 0.9996, 500000, south ? 10000000 : 0);
+}
+
+// ====== ELLIPSOIDAL MEASURES ======
+
+// Area in square metres on the ellipsoid, holes subtracted. Points are
+// mapped to authalic latitude, where the cylindrical equal-area projection
+// preserves ellipsoidal area exactly, and each ring is summed there; edges
+// are taken as straight in that projection, which for parcel-length edges
+// is indistinguishable from geodesics.
+export function ellipsoidalArea(geoJson, ellipsoidName) {
+    const ellipsoid = getEllipsoid(ellipsoidName);
+    const d2r = Math.PI / 180;
+    const e = Math.sqrt(ellipsoid.f * (2 - ellipsoid.f));
+    const q = sinPhi => (1 - e * e) * (sinPhi / (1 - e * e * sinPhi * sinPhi) - Math.log((1 - e * sinPhi) / (1 + e * sinPhi)) / (2 * e));
+    const qPolar = q(1);
+    const authalicRadiusSquared = ellipsoid.a * ellipsoid.a * qPolar / 2;
+
+    const ringArea = ring => {
+        let sum = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const p1 = ring[i];
+            const p2 = ring[(i + 1) % ring.length];
+            const y1 = q(Math.sin(p1[1] * d2r)) / qPolar;
+            const y2 = q(Math.sin(p2[1] * d2r)) / qPolar;
+            sum += (p2[0] - p1[0]) * d2r * (y1 + y2);
+        }
+        return Math.abs(sum) / 2 * authalicRadiusSquared;
+    };
+
+    return toPolygons(geoJson).reduce((total, polygon) => {
+        return total + polygon.reduce((sum, ring, index) => index === 0 ? sum + ringArea(ring) : sum - ringArea(ring), 0);
+    }, 0);
+}
+
+// Planimetric (grid) area in the UTM zone of the geometry's centre, the way
+// survey diagrams state it. Returns { areaSquareMeters, zone, south }.
+export function utmArea(geoJson, options) {
+    const polygons = toPolygons(geoJson);
+    if (polygons.length === 0) return { areaSquareMeters: 0, zone: null, south: true };
+
+    let sumX = 0;
+    let sumY = 0;
+    let count = 0;
+    polygons.forEach(polygon => polygon[0].forEach(point => {
+        sumX += point[0];
+        sumY += point[1];
+        count++;
+    }));
+
+    const zone = options?.zone || utmZoneForLongitude(sumX / count);
+    const south = options?.south ?? sumY / count < 0;
+    const projection = createUtmProjection(zone, south, options?.ellipsoid);
+
+    const ringArea = ring => {
+        const projected = ring.map(projection.forward);
+        const [x0, y0] = projected[0];
+        let sum = 0;
+        for (let i = 0, j = projected.length - 1; i < projected.length; j = i++) {
+            sum += (projected[j][0] - x0) * (projected[i][1] - y0) - (projected[i][0] - x0) * (projected[j][1] - y0);
+        }
+        return Math.abs(sum) / 2;
+    };
+
+    const area = polygons.reduce((total, polygon) => {
+        return total + polygon.reduce((sum, ring, index) => index === 0 ? sum + ringArea(ring) : sum - ringArea(ring), 0);
+    }, 0);
+
+    return { areaSquareMeters: area, zone: zone, south: south };
+}
+
+// ====== COORDINATE REFERENCE SYSTEMS ======
+
+// Geocentric translations to WGS84; Arc 1950 uses the published NIMA
+// TR8350.2 values for Zambia
+export const datums = {
+    WGS84: { name: 'WGS84', ellipsoid: 'WGS84', toWgs84: [0, 0, 0] },
+    Arc1950: { name: 'Arc1950', ellipsoid: 'Clarke1880', toWgs84: [-147, -74, -283] }
+};
+
+const crsDefinitions = {
+    'EPSG:4326': { code: 'EPSG:4326', name: 'WGS 84', datum: 'WGS84', projected: false },
+    'EPSG:4209': { code: 'EPSG:4209', name: 'Arc 1950', datum: 'Arc1950', projected: false },
+    'EPSG:32734': { code: 'EPSG:32734', name: 'WGS 84 / UTM zone 34S', datum: 'WGS84', projected: true, zone: 34 },
+    'EPSG:32735': { code: 'EPSG:32735', name: 'WGS 84 / UTM zone 35S', datum: 'WGS84', projected: true, zone: 35 },
+    'EPSG:32736': { code: 'EPSG:32736', name: 'WGS 84 / UTM zone 36S', datum: 'WGS84', projected: true, zone: 36 },
+    'EPSG:20934': { code: 'EPSG:20934', name: 'Arc 1950 / UTM zone 34S', datum: 'Arc1950', projected: true, zone: 34 },
+    'EPSG:20935': { code: 'EPSG:20935', name: 'Arc 1950 / UTM zone 35S', datum: 'Arc1950', projected: true, zone: 35 },
+    'EPSG:20936': { code: 'EPSG:20936', name: 'Arc 1950 / UTM zone 36S', datum: 'Arc1950', projected: true, zone: 36 }
+};
+
+const crsAliases = {
+    'WGS84': 'EPSG:4326',
+    'CRS84': 'EPSG:4326',
+    'ARC1950': 'EPSG:4209',
+    'UTM34S': 'EPSG:32734',
+    'UTM35S': 'EPSG:32735',
+    'UTM36S': 'EPSG:32736',
+    'ARC1950/UTM34S': 'EPSG:20934',
+    'ARC1950/UTM35S': 'EPSG:20935',
+    'ARC1950/UTM36S': 'EPSG:20936'
+};
+
+// Looks up a CRS by EPSG code ('EPSG:20935', '20935' or 20935), OGC URN
+// or alias ('WGS84', 'Arc1950', 'UTM35S', 'Arc1950/UTM35S'); null if unknown
+export function getCrs(crs) {
+    if (crs === null || crs === undefined || crs === '') return null;
+    if (typeof crs === 'object') return crsDefinitions[crs.code] || null;
+
+    const text = String(crs).trim().toUpperCase().replace(/\s+/g, '');
+    const code = text.match(/^(?:URN:OGC:DEF:CRS:)?EPSG:(?:[\d.]*:)?(\d+)$/)?.[1] || text.match(/^\d+$/)?.[0];
+    if (code) return crsDefinitions[`EPSG:${code}`] || null;
+    if (/^URN:OGC:DEF:CRS:OGC:[\d.]*:CRS84$/.test(text)) return crsDefinitions['EPSG:4326'];
+    return crsDefinitions[crsAliases[text]] || null;
+}
+
+export function listCrs() {
+    return Object.values(crsDefinitions).map(definition => ({ ...definition }));
+}
+
+// The CRS named by a GeoJSON object's legacy "crs" member, if any
+export function declaredCrs(geoJson) {
+    const name = geoJson?.crs?.properties?.name;
+    return name ? getCrs(name) : null;
+}
+
+// Converts one point between CRSs. Geographic points are [lng, lat] in
+// degrees, projected points [easting, northing] in metres. Heights are
+// taken as zero on the ellipsoid for the datum shift.
+export function transformPoint(point, fromCrs, toCrs) {
+    const source = requireCrs(fromCrs);
+    const target = requireCrs(toCrs);
+    if (source.code === target.code) return [point[0], point[1]];
+
+    let geographic = source.projected
+        ? createUtmProjection(source.zone, true, datums[source.datum].ellipsoid).inverse(point)
+        : [point[0], point[1]];
+
+    if (source.datum !== target.datum) {
+        geographic = shiftDatum(geographic, datums[source.datum], datums[target.datum]);
+    }
+
+    return target.projected
+        ? createUtmProjection(target.zone, true, datums[target.datum].ellipsoid).forward(geographic)
+        : geographic;
+}
+
+// Copy of any GeoJSON object with every coordinate transformed. Output in
+// a CRS other than WGS84 names it in a "crs" member.
+export function transformGeoJson(geoJson, fromCrs, toCrs) {
+    const source = requireCrs(fromCrs);
+    const target = requireCrs(toCrs);
+    const transform = coordinates => typeof coordinates[0] === 'number'
+        ? [...transformPoint(coordinates, source, target), ...coordinates.slice(2)]
+        : coordinates.map(transform);
+
+    const convert = object => {
+        if (!object) return object;
+        switch (object.type) {
+            case 'FeatureCollection':
+                return { ...object, features: object.features.map(convert) };
+            case 'Feature':
+                return { ...object, geometry: convert(object.geometry) };
+            case 'GeometryCollection':
+                return { ...object, geometries: object.geometries.map(convert) };
+            default:
+                return object.coordinates ? { ...object, coordinates: transform(object.coordinates) } : { ...object };
+        }
+    };
+
+    const result = convert(geoJson);
+    if (result && result !== geoJson) {
+        delete result.crs;
+        if (target.code !== 'EPSG:4326') {
+            result.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${target.code.split(':')[1]}` } };
+        }
+    }
+    return result;
+}
+
+// ESRI-flavoured WKT as written to a shapefile's .prj
+export function crsToPrj(crs) {
+    const definition = requireCrs(crs);
+    const arc1950 = definition.datum === 'Arc1950';
+    const geographic = arc1950
+        ? 'GEOGCS["GCS_Arc_1950",DATUM["D_Arc_1950",SPHEROID["Clarke_1880_Arc",6378249.145,293.466307656]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+        : 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+    if (!definition.projected) return geographic;
+
+    return `PROJCS["${arc1950 ? 'Arc_1950' : 'WGS_1984'}_UTM_Zone_${definition.zone}S",${geographic},` +
+        'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",10000000.0],' +
+        `PARAMETER["Central_Meridian",${definition.zone * 6 - 183}.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]`;
+}
+
+// Recognises the CRS described by a .prj file (ESRI or OGC WKT) among the
+// supported definitions: WGS84 or Arc 1950, geographic or southern UTM.
+// An EPSG authority on the outer element wins; otherwise the datum and
+// central meridian decide. Null when the WKT describes anything else.
+export function crsFromPrj(text) {
+    const wkt = String(text ?? '').trim();
+    if (!/^(PROJCS|GEOGCS|PROJCRS|GEOGCRS)\[/i.test(wkt)) return null;
+
+    const authority = wkt.match(/AUTHORITY\["EPSG",\s*"?(\d+)"?\]\]$/i)?.[1] || wkt.match(/ID\["EPSG",\s*(\d+)\]\]$/i)?.[1];
+    if (authority && crsDefinitions[`EPSG:${authority}`]) return crsDefinitions[`EPSG:${authority}`];
+
+    const datumName = wkt.match(/DATUM\["([^"]+)"/i)?.[1] || '';
+    const datum = /arc[\s_]*1950/i.test(datumName) ? 'Arc1950' : /WGS[\s_]*(19)?84/i.test(datumName) ? 'WGS84' : null;
+    if (!datum) return null;
+
+    const projected = /^PROJ/i.test(wkt);
+    if (!projected) {
+        return Object.values(crsDefinitions).find(definition => definition.datum === datum && !definition.projected);
+    }
+
+    const parameter = name => Number(wkt.match(new RegExp(`PARAMETER\\["${name}",\\s*(-?[\\d.]+)`, 'i'))?.[1]);
+    const projection = wkt.match(/(?:PROJECTION|METHOD)\["([^"]+)"/i)?.[1] || '';
+    const zone = (parameter('central_meridian') + 183) / 6;
+    if (!/transverse[\s_]*mercator/i.test(projection) || parameter('false_northing') !== 10000000 || !Number.isInteger(zone)) return null;
+
+    return Object.values(crsDefinitions).find(definition => definition.datum === datum && definition.zone === zone) || null;
+}
+
+function requireCrs(crs) {
+    const definition = getCrs(crs);
+    if (!definition) {
+        throw new Error(`Unsupported coordinate reference system: ${crs}`);
+    }
+    return definition;
+}
+
+// Three-parameter geocentric translation between two datums via WGS84
+function shiftDatum(point, sourceDatum, targetDatum) {
+    const [x, y, z] = geodeticToGeocentric(point, getEllipsoid(sourceDatum.ellipsoid));
+    const dx = sourceDatum.toWgs84[0] - targetDatum.toWgs84[0];
+    const dy = sourceDatum.toWgs84[1] - targetDatum.toWgs84[1];
+    const dz = sourceDatum.toWgs84[2] - targetDatum.toWgs84[2];
+    return geocentricToGeodetic([x + dx, y + dy, z + dz], getEllipsoid(targetDatum.ellipsoid));
+}
+
+function geodeticToGeocentric(point, ellipsoid) {
+    const d2r = Math.PI / 180;
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const phi = point[1] * d2r;
+    const lambda = point[0] * d2r;
+    const n = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+
+    return [
+        n * Math.cos(phi) * Math.cos(lambda),
+        n * Math.cos(phi) * Math.sin(lambda),
+        n * (1 - e2) * Math.sin(phi)
+    ];
+}
+
+function geocentricToGeodetic(point, ellipsoid) {
+    const [x, y, z] = point;
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const p = Math.hypot(x, y);
+
+    // Fixed-point iteration on latitude; converges to sub-millimetre in a few steps
+    let phi = Math.atan2(z, p * (1 - e2));
+    for (let i = 0; i < 10; i++) {
+        const n = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+        const h = p / Math.cos(phi) - n;
+        const next = Math.atan2(z, p * (1 - e2 * n / (n + h)));
+        if (Math.abs(next - phi) < 1e-14) {
+            phi = next;
+            break;
+        }
+        phi = next;
+    }
+
+    return [Math.atan2(y, x) * 180 / Math.PI, phi * 180 / Math.PI];
+}
+
+// ====== MGRS ======
+
+const mgrsBands = 'CDEFGHJKLMNPQRSTUVWX';
+const mgrsColumnLetters = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const mgrsRowLetters = 'ABCDEFGHJKLMNPQRSTUV';
+
+// MGRS reference of a WGS84 [lng, lat] point, e.g. '35L PC 37703 95174',
+// truncated to the given number of digits per axis (5 = 1 m). Null outside
+// the UTM latitudes; the Norway and Svalbard zone exceptions are not applied.
+export function toMgrs(point, digits) {
+    const [longitude, latitude] = point;
+    if (!(latitude >= -80 && latitude <= 84)) return null;
+
+    const precision = Math.min(5, Math.max(0, digits ?? 5));
+    const zone = utmZoneForLongitude(longitude);
+    const band = mgrsBands[Math.min(19, Math.floor((latitude + 80) / 8))];
+    const [easting, northing] = createUtmProjection(zone, latitude < 0).forward(point);
+
+    // 100 km square letters: columns cycle through three sets by zone, rows
+    // repeat every 2,000 km and are offset by five letters in even zones
+    const column = mgrsColumnLetters[(zone - 1) % 3][Math.floor(easting / 100000) - 1];
+    const row = mgrsRowLetters[(Math.floor(northing / 100000) + (zone % 2 === 0 ? 5 : 0)) % 20];
+
+    const divisor = Math.pow(10, 5 - precision);
+    const digitsOf = value => String(Math.floor((value % 100000) / divisor)).padStart(precision, '0');
+    return precision === 0
+        ? `${zone}${band} ${column}${row}`
+        : `${zone}${band} ${column}${row} ${digitsOf(easting)} ${digitsOf(northing)}`;
+}
+
+// ====== COORDINATE FORMATTING ======
+
+export const coordinateFormats = ['dd', 'dms', 'utm', 'arc1950utm', 'mgrs'];
+
+// Text for a WGS84 [lng, lat] point in one of coordinateFormats:
+//   dd          -15.416700, 28.283300
+//   dms         15°25'00.1"S 28°16'59.9"E
+//   utm         35S 637703 8295174          (WGS84, zone from longitude)
+//   arc1950utm  35S 637703 8295463 Arc 1950 (zone clamped to 34-36)
+//   mgrs        35L PC 37703 95174
+// options.decimals overrides the decimals (degrees, seconds or metres) and
+// options.digits the MGRS precision.
+export function formatPosition(point, format, options) {
+    const [longitude, latitude] = point;
+    const decimals = options?.decimals;
+
+    switch ((format || 'dd').toLowerCase()) {
+        case 'dd':
+            return `${latitude.toFixed(decimals ?? 6)}, ${longitude.toFixed(decimals ?? 6)}`;
+        case 'dms':
+            return `${formatDms(latitude, 'N', 'S', decimals ?? 1)} ${formatDms(longitude, 'E', 'W', decimals ?? 1)}`;
+        case 'utm': {
+            const zone = utmZoneForLongitude(longitude);
+            const [easting, northing] = createUtmProjection(zone, latitude < 0).forward(point);
+            return formatGrid(zone, latitude < 0, easting, northing, decimals ?? 0);
+        }
+        case 'arc1950utm': {
+            const zone = Math.min(36, Math.max(34, utmZoneForLongitude(longitude)));
+            const [easting, northing] = transformPoint(point, 'EPSG:4326', `EPSG:${20900 + zone}`);
+            return `${formatGrid(zone, true, easting, northing, decimals ?? 0)} Arc 1950`;
+        }
+        case 'mgrs':
+            return toMgrs(point, options?.digits) || '';
+        default:
+            throw new Error(`Unsupported coordinate format: ${format}`);
+    }
+}
+
+// Short label for a latitude ('lat') or longitude ('lng') that leaves out
+// zero seconds and minutes, e.g. 28°15'E or 15°S, as used on graticules
+export function formatAngle(value, axis) {
+    const totalSeconds = Math.round(Math.abs(value) * 36000) / 10;
+    const degrees = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+    const seconds = Math.round((totalSeconds - degrees * 3600 - minutes * 60) * 10) / 10;
+    const hemisphere = totalSeconds === 0 ? '' : axis === 'lat' ? (value < 0 ? 'S' : 'N') : (value < 0 ? 'W' : 'E');
+
+    let text = `${degrees}°`;
+    if (minutes > 0 || seconds > 0) text += `${String(minutes).padStart(2, '0')}'`;
+    if (seconds > 0) text += `${seconds < 10 ? '0' : ''}${seconds}"`;
+    return text + hemisphere;
+}
+
+function formatDms(value, positive, negative, decimals) {
+    const scale = Math.pow(10, decimals);
+    const totalSeconds = Math.round(Math.abs(value) * 3600 * scale) / scale;
+    const degrees = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+    const seconds = totalSeconds - degrees * 3600 - minutes * 60;
+    const secondsText = seconds.toFixed(decimals).padStart(decimals > 0 ? decimals + 3 : 2, '0');
+
+    return `${degrees}°${String(minutes).padStart(2, '0')}'${secondsText}"${value < 0 && totalSeconds > 0 ? negative : positive}`;
+}
+
+function formatGrid(zone, south, easting, northing, decimals) {
+    return `${zone}${south ? 'S' : 'N'} ${easting.toFixed(decimals)} ${northing.toFixed(decimals)}`;
+}
+
+// MGRS reference to the WGS84 [lng, lat] centre of the referenced square,
+// or null if it is malformed. Returns { point, precisionMeters }.
+export function fromMgrs(reference) {
+    const match = String(reference).toUpperCase().replace(/\s+/g, '')
+        .match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/);
+    if (!match || match[5].length % 2 !== 0 || match[5].length > 10) return null;
+
+    const zone = Number(match[1]);
+    const bandIndex = mgrsBands.indexOf(match[2]);
+    const columnIndex = mgrsColumnLetters[(zone - 1) % 3].indexOf(match[3]);
+    if (zone < 1 || zone > 60 || columnIndex < 0) return null;
+
+    const precision = match[5].length / 2;
+    const cellSize = Math.pow(10, 5 - precision);
+    const offset = value => precision === 0 ? 0 : Number(value) * cellSize;
+    const easting = (columnIndex + 1) * 100000 + offset(match[5].slice(0, precision)) + cellSize / 2;
+    let northing = ((mgrsRowLetters.indexOf(match[4]) - (zone % 2 === 0 ? 5 : 0) + 20) % 20) * 100000 +
+        offset(match[5].slice(precision)) + cellSize / 2;
+
+    // Rows repeat every 2,000 km; take the repeat that falls in the band.
+    // The band's southern edge is lowest at the zone edge.
+    const south = bandIndex < 10;
+    const projection = createUtmProjection(zone, south);
+    const bandSouth = -80 + bandIndex * 8;
+    const minNorthing = Math.min(
+        projection.forward([zone * 6 - 183, bandSouth])[1],
+        projection.forward([zone * 6 - 186, bandSouth])[1]
+    ) - cellSize;
+    while (northing < minNorthing) {
+        northing += 2000000;
+    }
+
+    return { point: projection.inverse([easting, northing]), precisionMeters: cellSize };
+}
+
+// ====== COORDINATE PARSING ======
+
+// Rough extent of Zambia with a small margin, for validating entered positions
+export const zambiaExtent = { south: -18.1, north: -8.2, west: 21.9, east: 33.8 };
+
+// Parses free-text positions as pasted from survey reports:
+//   geographic  "15°25'S 28°17'E", "S 15 25 00.5, E 28 17 00", "-15.4167, 28.2833"
+//   UTM         "35S 638000 8295000", "UTM 35S 638000mE 8295000mN Arc 1950"
+//   MGRS        "35L PC 37703 95174", "35LPC3770395174"
+// In UTM strings the letter after the zone is the hemisphere (N or S); Arc
+// 1950 grids are recognised by an "Arc 1950" mention. Returns { success,
+// point: [lng, lat] in WGS84, format } or { success: false, reason }.
+// options.extent ({ south, north, west, east }, default zambiaExtent; null
+// to skip) bounds the accepted positions.
+export function parseCoordinate(text, options) {
+    const input = String(text ?? '').trim();
+    if (!input) return parseFailure('No coordinate entered');
+
+    const result = /^\d{1,2}\s*[C-HJ-NP-X]\s*[A-Z]{2}(\s*\d)*$/i.test(input) && !/^\d{1,2}\s*[NS]\s+\d{5,}/i.test(input)
+        ? parseMgrsText(input)
+        : /^(UTM\s*)?\d{1,2}\s*[A-Z]\s+\d{5,}/i.test(input)
+            ? parseUtmText(input)
+            : parseGeographicText(input);
+    if (!result.success) return result;
+
+    const [longitude, latitude] = result.point;
+    if (!(latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180)) {
+        return parseFailure(`Position ${latitude.toFixed(5)}, ${longitude.toFixed(5)} is not a valid latitude/longitude`);
+    }
+
+    const extent = options?.extent === undefined ? zambiaExtent : options.extent;
+    if (extent && !(latitude >= extent.south && latitude <= extent.north && longitude >= extent.west && longitude <= extent.east)) {
+        const hint = result.hemisphereMissing && -latitude >= extent.south && -latitude <= extent.north
+            ? ' (is the S hemisphere missing?)'
+            : '';
+        return parseFailure(`Position ${latitude.toFixed(5)}, ${longitude.toFixed(5)} is outside Zambia${hint}`);
+    }
+
+    delete result.hemisphereMissing;
+    return result;
+}
+
+function parseFailure(reason) {
+    return { success: false, reason: reason };
+}
+
+function parseMgrsText(input) {
+    const digits = input.replace(/\s+/g, '').replace(/^\d{1,2}[A-Z]{3}/i, '');
+    if (digits.length % 2 !== 0) {
+        return parseFailure(`MGRS reference "${input}" has an odd number of digits; easting and northing need the same precision`);
+    }
+    if (digits.length > 10) {
+        return parseFailure(`MGRS reference "${input}" has more than 5 digits per axis`);
+    }
+
+    const decoded = fromMgrs(input);
+    if (!decoded) {
+        return parseFailure(`"${input}" is not a valid MGRS reference (check the zone, band and 100 km square letters)`);
+    }
+    return { success: true, point: decoded.point, format: 'mgrs', precisionMeters: decoded.precisionMeters };
+}
+
+function parseUtmText(input) {
+    const arc1950 = /ARC\s*1950/i.test(input);
+    const cleaned = input.replace(/ARC\s*1950/ig, ' ').replace(/^\s*UTM\s*/i, '').trim();
+    const match = cleaned.match(/^(\d{1,2})\s*([A-Z])\s+(\d+(?:\.\d+)?)\s*(?:M?E)?\s*,?\s+(\d+(?:\.\d+)?)\s*(?:M?N)?\s*$/i);
+    if (!match) {
+        return parseFailure(`UTM position "${input}" should read zone and hemisphere, easting, northing, e.g. "35S 638000 8295000"`);
+    }
+
+    const zone = Number(match[1]);
+    const hemisphere = match[2].toUpperCase();
+    const easting = Number(match[3]);
+    const northing = Number(match[4]);
+    if (hemisphere !== 'N' && hemisphere !== 'S') {
+        return parseFailure(`UTM hemisphere must be N or S, not "${match[2]}"`);
+    }
+    if (zone < 1 || zone > 60) {
+        return parseFailure(`UTM zone ${zone} does not exist`);
+    }
+    if (easting < 100000 || easting > 900000) {
+        return parseFailure(`Easting ${easting} is outside the UTM range 100000-900000`);
+    }
+    if (northing < 0 || northing > 10000000) {
+        return parseFailure(`Northing ${northing} is outside the UTM range 0-10000000`);
+    }
+
+    if (arc1950) {
+        if (hemisphere !== 'S' || zone < 34 || zone > 36) {
+            return parseFailure('Arc 1950 grids are only defined for UTM zones 34S, 35S and 36S');
+        }
+        return { success: true, point: transformPoint([easting, northing], `EPSG:${20900 + zone}`, 'EPSG:4326'), format: 'arc1950utm' };
+    }
+
+    return { success: true, point: createUtmProjection(zone, hemisphere === 'S').inverse([easting, northing]), format: 'utm' };
+}
+
+// Degrees, degrees-minutes or degrees-minutes-seconds pairs, with hemisphere
+// letters before or after each value or signed decimal degrees
+function parseGeographicText(input) {
+    const tokens = input.toUpperCase()
+        .replace(/''/g, '"')
+        .replace(/[°º˚]/g, ' ° ')
+        .replace(/[′'’]/g, ' \' ')
+        .replace(/[″"”]/g, ' " ')
+        .replace(/([NSEW])/g, ' $1 ')
+        .replace(/,|;/g, ' , ')
+        .trim()
+        .split(/\s+/);
+
+    const unitSlots = { '°': 0, '\'': 1, '"': 2 };
+    const parts = [];
+    let current = null;
+    let marked = false;
+    const close = () => {
+        if (current && current.values.length > 0) parts.push(current);
+        current = null;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (/^[NSEW]$/.test(token)) {
+            marked = true;
+            // A trailing letter closes its component; a leading one opens the next
+            if (current && current.values.length > 0 && !current.hemisphere) {
+                current.hemisphere = token;
+                close();
+            } else {
+                close();
+                current = { values: [], hemisphere: token };
+            }
+        } else if (token === ',') {
+            close();
+        } else if (/^[-+]?\d+(\.\d+)?$/.test(token)) {
+            const unit = unitSlots[tokens[i + 1]];
+            if (unit !== undefined) marked = true;
+            if (!current || (unit ?? current.values.length) < current.values.length || current.values.length === 3) {
+                close();
+                current = current || { values: [], hemisphere: null };
+            }
+            // Unmarked numbers take the next free slot of the component they land in
+            const slot = unit ?? current.values.length;
+            if (slot !== current.values.length) {
+                return parseFailure(`"${token}" is out of order; expected degrees, then minutes, then seconds`);
+            }
+            current.values.push(Number(token));
+            if (unit !== undefined) i++;
+        } else {
+            // Tokens are upper-cased and split around hemisphere letters, so
+            // quote the word as it was typed
+            const word = input.split(/[\s,;]+/).find(item => item.toUpperCase().includes(token)) ?? token;
+            return parseFailure(`Unrecognised text "${word}" in "${input}"`);
+        }
+    }
+    close();
+
+    // Unmarked runs such as "15 25 0 28 17 0" or "15 25 28 17" split evenly into two values
+    const unmarkedValues = parts.flatMap(part => part.values);
+    if (!marked && unmarkedValues.length > 1 && unmarkedValues.length % 2 === 0 && unmarkedValues.length <= 6) {
+        const values = unmarkedValues;
+        parts.splice(0, parts.length,
+            { values: values.slice(0, values.length / 2), hemisphere: null },
+            { values: values.slice(values.length / 2), hemisphere: null });
+    }
+    if (parts.length !== 2 || parts.some(part => part.values.length === 0)) {
+        return parseFailure(`Expected a latitude and a longitude in "${input}"`);
+    }
+
+    const degreesOf = part => {
+        const [degrees, minutes = 0, seconds = 0] = part.values;
+        if (part.values.slice(1).some(value => value < 0 || value >= 60)) return null;
+        if (part.values.length > 1 && !Number.isInteger(Math.abs(degrees))) return null;
+        const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+        return degrees < 0 || Object.is(degrees, -0) || part.hemisphere === 'S' || part.hemisphere === 'W' ? -magnitude : magnitude;
+    };
+
+    const [first, second] = parts;
+    const firstIsLongitude = first.hemisphere === 'E' || first.hemisphere === 'W' || second.hemisphere === 'N' || second.hemisphere === 'S';
+    const latitudePart = firstIsLongitude ? second : first;
+    const longitudePart = firstIsLongitude ? first : second;
+    if (latitudePart.hemisphere === 'E' || latitudePart.hemisphere === 'W' ||
+        longitudePart.hemisphere === 'N' || longitudePart.hemisphere === 'S') {
+        return parseFailure(`Both values in "${input}" have the same kind of hemisphere`);
+    }
+
+    const latitude = degreesOf(latitudePart);
+    const longitude = degreesOf(longitudePart);
+    if (latitude === null || longitude === null) {
+        return parseFailure(`Minutes and seconds must be below 60 and follow whole degrees in "${input}"`);
+    }
+
+    return {
+        success: true,
+        point: [longitude, latitude],
+        format: latitudePart.values.length > 1 || longitudePart.values.length > 1 ? 'dms' : 'dd',
+        hemisphereMissing: !latitudePart.hemisphere && latitude > 0
+    };
+}
+
+// ====== MAP SHEET INDEX ======
+
+// Zambian topographic sheets. 1:50,000 sheets are 15' squares named after
+// the 1° square they lie in (degrees south of its north edge, degrees east of
+// its west edge), its 30' quarter A-D and that quarter's 15' quarter 1-4,
+// both counted NW, NE, SW, SE: '1528 A3'. 1:250,000 sheets follow the
+// International Map of the World: 1° x 1.5° sheets numbered 1-16 from the
+// north-west of the 4° x 6° millionth sheet, e.g. 'SD-35-15'.
+export const mapSheetScales = [50000, 250000];
+
+const imwBandLetters = 'ABCDEFGHIJKLMNOPQRSTUV';
+
+// Code of the sheet at the given scale holding a WGS84 [lng, lat] point;
+// null where the scale's numbering does not apply (1:50,000 codes are only
+// defined south of the equator and east of Greenwich)
+export function mapSheetAt(point, scale) {
+    const [longitude, latitude] = point;
+
+    if (Number(scale) === 250000) {
+        if (!(latitude > -88 && latitude < 88)) return null;
+        const south = latitude < 0;
+        const band = Math.floor(Math.abs(latitude) / 4);
+        const zone = utmZoneForLongitude(longitude);
+        const top = south ? -4 * band : 4 * (band + 1);
+        const row = Math.min(3, Math.floor(top - latitude));
+        const column = Math.min(3, Math.floor((longitude - ((zone - 1) * 6 - 180)) / 1.5));
+        return `${south ? 'S' : 'N'}${imwBandLetters[band]}-${zone}-${row * 4 + column + 1}`;
+    }
+
+    if (!(latitude < 0 && longitude >= 0 && latitude >= -89 && longitude < 180)) return null;
+    const degreesSouth = Math.floor(-latitude);
+    const degreesEast = Math.floor(longitude);
+    const fractionSouth = -latitude - degreesSouth;
+    const fractionEast = longitude - degreesEast;
+
+    const quarter = 'ABCD'[(fractionSouth >= 0.5 ? 2 : 0) + (fractionEast >= 0.5 ? 1 : 0)];
+    const part = (Math.floor(fractionSouth * 4) % 2) * 2 + Math.floor(fractionEast * 4) % 2 + 1;
+    return `${String(degreesSouth).padStart(2, '0')}${String(degreesEast).padStart(2, '0')} ${quarter}${part}`;
+}
+
+// Bounds { code, scale, south, north, west, east } of a 1:50,000 or
+// 1:250,000 sheet code in any common spelling ('1528A3', 'SD 35/15'); null
+// if the code is malformed
+export function mapSheetBounds(code) {
+    const text = String(code ?? '').toUpperCase().replace(/\s+/g, '');
+
+    const fifty = text.match(/^(\d{2})(\d{2})-?([A-D])([1-4])$/);
+    if (fifty) {
+        const quarter = 'ABCD'.indexOf(fifty[3]);
+        const part = Number(fifty[4]) - 1;
+        const north = -Number(fifty[1]) - (quarter >= 2 ? 0.5 : 0) - (part >= 2 ? 0.25 : 0);
+        const west = Number(fifty[2]) + (quarter % 2) * 0.5 + (part % 2) * 0.25;
+        return {
+            code: `${fifty[1]}${fifty[2]} ${fifty[3]}${fifty[4]}`,
+            scale: 50000,
+            south: north - 0.25,
+            north: north,
+            west: west,
+            east: west + 0.25
+        };
+    }
+
+    const imw = text.match(/^([NS])([A-V])-?(\d{1,2})[-/](\d{1,2})$/);
+    if (imw) {
+        const band = imwBandLetters.indexOf(imw[2]);
+        const zone = Number(imw[3]);
+        const number = Number(imw[4]);
+        if (zone < 1 || zone > 60 || number < 1 || number > 16) return null;
+
+        const top = imw[1] === 'S' ? -4 * band : 4 * (band + 1);
+        const north = top - Math.floor((number - 1) / 4);
+        const west = (zone - 1) * 6 - 180 + ((number - 1) % 4) * 1.5;
+        return {
+            code: `${imw[1]}${imw[2]}-${zone}-${number}`,
+            scale: 250000,
+            south: north - 1,
+            north: north,
+            west: west,
+            east: west + 1.5
+        };
+    }
+
+    return null;
+}
+
+// Every sheet of the given scale overlapping { south, north, west, east }
+export function mapSheetsInBounds(bounds, scale) {
+    const height = Number(scale) === 250000 ? 1 : 0.25;
+    const width = Number(scale) === 250000 ? 1.5 : 0.25;
+    // IMW columns start at the millionth sheet edges, which are multiples of 6° from -180°
+    const origin = Number(scale) === 250000 ? -180 : 0;
+    const epsilon = 1e-9;
+
+    const sheets = [];
+    for (let north = Math.ceil(bounds.north / height - epsilon) * height; north > bounds.south + epsilon; north -= height) {
+        for (let west = origin + Math.floor((bounds.west - origin) / width + epsilon) * width; west < bounds.east - epsilon; west += width) {
+            const code = mapSheetAt([west + width / 2, north - height / 2], scale);
+            if (code) sheets.push(mapSheetBounds(code));
+        }
+    }
+    return sheets;
+}
@@ -0,0 +1,1316 @@
+// Geometry engine for cadastral analysis in the Land Audit map.
+// Works directly on GeoJSON coordinates ([lng, lat]) and has no Leaflet
+// dependency, so analysis can run on parcels that are not on a map.
+
+const DEFAULT_EPSILON = 1e-9; // degrees, roughly 0.1 mm on the ground
+const MEAN_EARTH_RADIUS = 6371000; // metres, as used by L.LatLng.distanceTo
+
+// ====== GEOJSON NORMALISATION ======
+
+// Returns the polygons of any GeoJSON input as arrays of open rings
+export function toPolygons(geoJson) {
+    if (!geoJson) return [];
+
+    switch (geoJson.type) {
+        case 'FeatureCollection':
+            return geoJson.features.flatMap(feature => toPolygons(feature));
+        case 'Feature':
+            return toPolygons(geoJson.geometry);
+        case 'GeometryCollection':
+            return geoJson.geometries.flatMap(geometry => toPolygons(geometry));
+        case 'Polygon':
+            return [geoJson.coordinates.map(ring => openRing(ring))];
+        case 'MultiPolygon':
+            return geoJson.coordinates.map(polygon => polygon.map(ring => openRing(ring)));
+        default:
+            return [];
+    }
+}
+
+// Builds a Polygon or MultiPolygon geometry with closed rings, or null when empty
+export function toGeoJsonGeometry(polygons) {
+    const closed = polygons.map(polygon => polygon.map(closeRing));
+
+    if (closed.length === 0) return null;
+    if (closed.length === 1) {
+        return { type: 'Polygon', coordinates: closed[0] };
+    }
+    return { type: 'MultiPolygon', coordinates: closed };
+}
+
+export function openRing(ring, epsilon) {
+    const tolerance = epsilon || 0;
+    const result = [];
+
+    ring.forEach(point => {
+        const previous = result[result.length - 1];
+        if (!previous || !samePoint(previous, point, tolerance)) {
+            result.push([point[0], point[1]]);
+        }
+    });
+
+    if (result.length > 1 && samePoint(result[0], result[result.length - 1], tolerance)) {
+        result.pop();
+    }
+    return result;
+}
+
+export function closeRing(ring) {
+    if (ring.length === 0) return [];
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring.slice() : [...ring, [first[0], first[1]]];
+}
+
+// Drops degenerate rings and orients shells counter-clockwise and holes
+// clockwise, the orientation the overlay relies on
+function normalizePolygons(polygons, epsilon) {
+    const result = [];
+
+    polygons.forEach(polygon => {
+        const rings = polygon
+            .map(ring => openRing(ring, epsilon))
+            .filter(ring => ring.length >= 3);
+
+        if (rings.length === 0 || rings[0].length < 3) return;
+
+        result.push(rings.map((ring, index) => {
+            const counterClockwise = signedRingArea(ring) > 0;
+            const wantCounterClockwise = index === 0;
+            return counterClockwise === wantCounterClockwise ? ring : ring.slice().reverse();
+        }));
+    });
+
+    return result;
+}
+
+function samePoint(a, b, tolerance) {
+    return Math.abs(a[0] - b[0]) <= tolerance && Math.abs(a[1] - b[1]) <= tolerance;
+}
+
+// ====== PLANAR MEASURES ======
+
+// Shoelace area in coordinate units; positive for counter-clockwise rings
+export function signedRingArea(ring) {
+    if (ring.length < 3) return 0;
+
+    // Measure relative to the first vertex to keep precision on small parcels
+    const [x0, y0] = ring[0];
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - x0) * (ring[i][1] - y0) - (ring[i][0] - x0) * (ring[j][1] - y0);
+    }
+    return area / 2;
+}
+
+export function polygonsBounds(polygons) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    polygons.forEach(polygon => polygon.forEach(ring => ring.forEach(point => {
+        bounds.minX = Math.min(bounds.minX, point[0]);
+        bounds.minY = Math.min(bounds.minY, point[1]);
+        bounds.maxX = Math.max(bounds.maxX, point[0]);
+        bounds.maxY = Math.max(bounds.maxY, point[1]);
+    })));
+
+    return bounds;
+}
+
+// Even-odd test over every ring of every polygon; valid input gives the
+// correct answer for holes and multipolygons
+function pointInPolygons(point, polygons) {
+    let inside = false;
+    const [x, y] = point;
+
+    polygons.forEach(polygon => polygon.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }));
+
+    return inside;
+}
+
+// Locates a point against polygons with holes and multiple parts. Points
+// within toleranceMeters of any ring are reported as 'boundary' rather than
+// being assigned to one side; polygonIndex is the part involved, or -1.
+export function locatePoint(point, geoJson, toleranceMeters) {
+    const polygons = toPolygons(geoJson);
+    const projection = createLocalProjection(point[1]);
+    const origin = projection.forward(point);
+    let nearestDistance = Infinity;
+    let nearestPolygon = -1;
+
+    polygons.forEach((polygon, polygonIndex) => polygon.forEach(ring => {
+        const projected = ring.map(projection.forward);
+        projected.forEach((a, i) => {
+            const distance = pointSegmentDistance(origin, a, projected[(i + 1) % projected.length]);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestPolygon = polygonIndex;
+            }
+        });
+    }));
+
+    if (nearestDistance <= (toleranceMeters || 0)) {
+        return { location: 'boundary', polygonIndex: nearestPolygon, distanceToBoundaryMeters: nearestDistance };
+    }
+
+    // Within a part, the even-odd rule excludes points inside its holes
+    const polygonIndex = polygons.findIndex(polygon => pointInPolygons(point, [polygon]));
+    return {
+        location: polygonIndex >= 0 ? 'inside' : 'outside',
+        polygonIndex: polygonIndex,
+        distanceToBoundaryMeters: nearestDistance
+    };
+}
+
+// ====== GEODESIC MEASURES ======
+
+// Great-circle length in metres of every ring boundary
+export function geodesicPerimeter(geoJson) {
+    return toPolygons(geoJson).reduce((total, polygon) => {
+        return total + polygon.reduce((sum, ring) => sum + geodesicPathLength(ring, true), 0);
+    }, 0);
+}
+
+export function geodesicPathLength(points, closed) {
+    let length = 0;
+    const count = closed ? points.length : points.length - 1;
+
+    for (let i = 0; i < count; i++) {
+        length += haversineDistance(points[i], points[(i + 1) % points.length]);
+    }
+    return length;
+}
+
+export function haversineDistance(a, b) {
+    const d2r = Math.PI / 180;
+    const lat1 = a[1] * d2r;
+    const lat2 = b[1] * d2r;
+    const sinDLat = Math.sin((lat2 - lat1) / 2);
+    const sinDLng = Math.sin((b[0] - a[0]) * d2r / 2);
+    const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
+
+    return 2 * MEAN_EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Local equirectangular projection to metres, accurate enough for
+// distance tolerances around a single parcel neighbourhood
+export function createLocalProjection(originLat) {
+    const d2r = Math.PI / 180;
+    const metresPerDegreeLat = MEAN_EARTH_RADIUS * d2r;
+    const metresPerDegreeLng = metresPerDegreeLat * Math.cos(originLat * d2r);
+
+    return {
+        forward: point => [point[0] * metresPerDegreeLng, point[1] * metresPerDegreeLat],
+        inverse: point => [point[0] / metresPerDegreeLng, point[1] / metresPerDegreeLat]
+    };
+}
+
+// ====== BOUNDARY CONTACT ======
+
+// True when the boundaries of two geometries come within toleranceMeters of
+// each other, including a shared edge or a single shared vertex
+export function boundariesTouch(geoJsonA, geoJsonB, toleranceMeters) {
+    const polygonsA = toPolygons(geoJsonA);
+    const polygonsB = toPolygons(geoJsonB);
+    if (polygonsA.length === 0 || polygonsB.length === 0) return false;
+
+    const boundsA = polygonsBounds(polygonsA);
+    const projection = createLocalProjection((boundsA.minY + boundsA.maxY) / 2);
+    const tolerance = toleranceMeters || 0;
+
+    const segmentsA = projectSegments(polygonsA, projection);
+    const segmentsB = projectSegments(polygonsB, projection);
+
+    return segmentsA.some(a => segmentsB.some(b => {
+        if (a.minX > b.maxX + tolerance || b.minX > a.maxX + tolerance ||
+            a.minY > b.maxY + tolerance || b.minY > a.maxY + tolerance) {
+            return false;
+        }
+        return segmentDistance(a.p, a.q, b.p, b.q) <= tolerance;
+    }));
+}
+
+function projectSegments(polygons, projection) {
+    const segments = [];
+
+    polygons.forEach(polygon => polygon.forEach(ring => {
+        const projected = ring.map(projection.forward);
+        projected.forEach((p, i) => {
+            const q = projected[(i + 1) % projected.length];
+            segments.push({
+                p: p,
+                q: q,
+                minX: Math.min(p[0], q[0]),
+                maxX: Math.max(p[0], q[0]),
+                minY: Math.min(p[1], q[1]),
+                maxY: Math.max(p[1], q[1])
+            });
+        });
+    }));
+
+    return segments;
+}
+
+export function pointSegmentDistance(point, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    let t = lengthSquared === 0 ? 0 : ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+
+    const x = a[0] + t * dx;
+    const y = a[1] + t * dy;
+    return Math.hypot(point[0] - x, point[1] - y);
+}
+
+function segmentDistance(p1, q1, p2, q2) {
+    if (segmentsCross(p1, q1, p2, q2)) return 0;
+
+    return Math.min(
+        pointSegmentDistance(p1, p2, q2),
+        pointSegmentDistance(q1, p2, q2),
+        pointSegmentDistance(p2, p1, q1),
+        pointSegmentDistance(q2, p1, q1)
+    );
+}
+
+function segmentsCross(p1, q1, p2, q2) {
+    const d1 = cross(p2, q2, p1);
+    const d2 = cross(p2, q2, q1);
+    const d3 = cross(p1, q1, p2);
+    const d4 = cross(p1, q1, q2);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function cross(o, a, b) {
+    return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+// ====== GRID INDEX ======
+
+// Uniform grid over bounding boxes ({ minX, minY, maxX, maxY }) sized from the
+// average item extent. Items spanning too many cells are kept aside and
+// checked directly, so one province-sized polygon cannot blow up the grid.
+export function createGridIndex(items, padding) {
+    const pad = padding || 0;
+    const maxCellsPerItem = 64;
+    const averageExtent = items.reduce((sum, item) => sum + Math.max(item.maxX - item.minX, item.maxY - item.minY), 0) / Math.max(items.length, 1);
+    const cellSize = Math.max(averageExtent * 2, pad * 16, 1e-12);
+    const cells = new Map();
+    const oversized = [];
+
+    const cellOf = value => Math.floor(value / cellSize);
+    const overlaps = (a, b) => a.minX <= b.maxX + pad && b.minX <= a.maxX + pad && a.minY <= b.maxY + pad && b.minY <= a.maxY + pad;
+
+    items.forEach((item, index) => {
+        const x0 = cellOf(item.minX - pad);
+        const x1 = cellOf(item.maxX + pad);
+        const y0 = cellOf(item.minY - pad);
+        const y1 = cellOf(item.maxY + pad);
+
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > maxCellsPerItem) {
+            oversized.push(index);
+            return;
+        }
+
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                const key = `${x},${y}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(index);
+            }
+        }
+    });
+
+    return {
+        // Items whose padded bounds overlap the given bounds
+        query(bounds) {
+            const found = new Set(oversized.filter(index => overlaps(items[index], bounds)));
+            for (let x = cellOf(bounds.minX - pad); x <= cellOf(bounds.maxX + pad); x++) {
+                for (let y = cellOf(bounds.minY - pad); y <= cellOf(bounds.maxY + pad); y++) {
+                    (cells.get(`${x},${y}`) || []).forEach(index => {
+                        if (overlaps(items[index], bounds)) found.add(index);
+                    });
+                }
+            }
+            return Array.from(found).map(index => items[index]);
+        },
+
+        // Calls back once for every pair of items with overlapping bounds
+        forEachPair(callback) {
+            cells.forEach((indices, key) => {
+                const [cx, cy] = key.split(',').map(Number);
+                for (let i = 0; i < indices.length; i++) {
+                    for (let j = i + 1; j < indices.length; j++) {
+                        const a = items[indices[i]];
+                        const b = items[indices[j]];
+                        if (!overlaps(a, b)) continue;
+
+                        // Report the pair only from the cell holding the lower
+                        // corner of the overlap so it is not seen twice
+                        if (cellOf(Math.max(a.minX, b.minX) - pad) === cx && cellOf(Math.max(a.minY, b.minY) - pad) === cy) {
+                            callback(a, b);
+                        }
+                    }
+                }
+            });
+
+            oversized.forEach((index, position) => {
+                const a = items[index];
+                items.forEach((b, other) => {
+                    const otherIsOversized = oversized.indexOf(other);
+                    if (other === index || (otherIsOversized !== -1 && otherIsOversized <= position)) return;
+                    if (overlaps(a, b)) callback(a, b);
+                });
+            });
+        }
+    };
+}
+
+// ====== R-TREE INDEX ======
+
+// Dynamic R-tree over items with { minX, minY, maxX, maxY } bounds. Unlike
+// the grid index it is kept up to date as items come and go, and it answers
+// nearest-neighbour queries best-first: nodes are visited in order of
+// boxDistance, a lower bound, and items in order of their exact distance.
+export function createRTree(maxEntries) {
+    const capacity = Math.max(4, maxEntries || 9);
+    let root = createNode([], true);
+    let size = 0;
+
+    function insert(item) {
+        const path = [root];
+        let node = root;
+        while (!node.leaf) {
+            node = chooseSubtree(node, item);
+            path.push(node);
+        }
+
+        node.children.push(item);
+        path.forEach(parent => extendBounds(parent, item));
+        size++;
+
+        // Split overflowing nodes from the leaf upwards
+        for (let level = path.length - 1; level >= 0 && path[level].children.length > capacity; level--) {
+            const sibling = splitNode(path[level]);
+            if (level > 0) {
+                path[level - 1].children.push(sibling);
+            } else {
+                root = createNode([path[0], sibling], false);
+            }
+        }
+    }
+
+    function remove(item) {
+        const path = findPath(root, item, []);
+        if (!path) return false;
+
+        const leaf = path[path.length - 1];
+        leaf.children.splice(leaf.children.indexOf(item), 1);
+        size--;
+
+        // Drop emptied nodes and shrink the bounds along the way up
+        for (let level = path.length - 1; level >= 0; level--) {
+            const node = path[level];
+            if (node.children.length === 0 && level > 0) {
+                const siblings = path[level - 1].children;
+                siblings.splice(siblings.indexOf(node), 1);
+            } else {
+                resetBounds(node);
+            }
+        }
+
+        if (size === 0) {
+            root = createNode([], true);
+        } else if (!root.leaf && root.children.length === 1) {
+            root = root.children[0];
+        }
+        return true;
+    }
+
+    function search(bounds) {
+        const found = [];
+        if (!intersects(root, bounds)) return found;
+
+        const stack = [root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            node.children.forEach(child => {
+                if (!intersects(child, bounds)) return;
+                if (node.leaf) {
+                    found.push(child);
+                } else {
+                    stack.push(child);
+                }
+            });
+        }
+        return found;
+    }
+
+    // Up to k items within maxDistance, closest first, as { item, distance }
+    function nearest(boxDistance, itemDistance, k, maxDistance) {
+        const limit = k || Infinity;
+        const reach = maxDistance ?? Infinity;
+        const queue = createMinHeap();
+        const results = [];
+
+        const enqueue = node => node.children.forEach(child => {
+            const distance = boxDistance(child);
+            if (distance <= reach) {
+                queue.push({ entry: child, isItem: node.leaf, exact: false, distance: distance });
+            }
+        });
+        enqueue(root);
+
+        while (queue.size() > 0 && results.length < limit) {
+            const next = queue.pop();
+            if (!next.isItem) {
+                enqueue(next.entry);
+            } else if (next.exact) {
+                results.push({ item: next.entry, distance: next.distance });
+            } else {
+                // Requeue with the exact distance, which is never below the box bound
+                const distance = itemDistance(next.entry);
+                if (distance <= reach) {
+                    queue.push({ entry: next.entry, isItem: true, exact: true, distance: distance });
+                }
+            }
+        }
+
+        return results;
+    }
+
+    return {
+        insert: insert,
+        remove: remove,
+        search: search,
+        nearest: nearest,
+        size: () => size,
+        clear() {
+            root = createNode([], true);
+            size = 0;
+        }
+    };
+
+    function findPath(node, item, path) {
+        path.push(node);
+        if (node.leaf) {
+            if (node.children.includes(item)) return path;
+        } else {
+            for (const child of node.children) {
+                if (contains(child, item) && findPath(child, item, path)) return path;
+            }
+        }
+        path.pop();
+        return null;
+    }
+
+    function chooseSubtree(node, item) {
+        let best = null;
+        let bestEnlargement = Infinity;
+        let bestArea = Infinity;
+
+        node.children.forEach(child => {
+            const area = boundsArea(child);
+            const enlargement = (Math.max(child.maxX, item.maxX) - Math.min(child.minX, item.minX)) *
+                (Math.max(child.maxY, item.maxY) - Math.min(child.minY, item.minY)) - area;
+            if (enlargement < bestEnlargement || (enlargement === bestEnlargement && area < bestArea)) {
+                best = child;
+                bestEnlargement = enlargement;
+                bestArea = area;
+            }
+        });
+
+        return best;
+    }
+
+    // Halves a node along the axis over which its entries are most spread
+    function splitNode(node) {
+        const centreX = entry => entry.minX + entry.maxX;
+        const centreY = entry => entry.minY + entry.maxY;
+        const spread = centre => Math.max(...node.children.map(centre)) - Math.min(...node.children.map(centre));
+        const centre = spread(centreX) >= spread(centreY) ? centreX : centreY;
+
+        node.children.sort((a, b) => centre(a) - centre(b));
+        const sibling = createNode(node.children.splice(Math.ceil(node.children.length / 2)), node.leaf);
+        resetBounds(node);
+        return sibling;
+    }
+}
+
+function createNode(children, leaf) {
+    const node = { children: children, leaf: leaf, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    resetBounds(node);
+    return node;
+}
+
+function resetBounds(node) {
+    node.minX = Infinity;
+    node.minY = Infinity;
+    node.maxX = -Infinity;
+    node.maxY = -Infinity;
+    node.children.forEach(child => extendBounds(node, child));
+}
+
+function extendBounds(target, bounds) {
+    target.minX = Math.min(target.minX, bounds.minX);
+    target.minY = Math.min(target.minY, bounds.minY);
+    target.maxX = Math.max(target.maxX, bounds.maxX);
+    target.maxY = Math.max(target.maxY, bounds.maxY);
+}
+
+function boundsArea(bounds) {
+    return (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY);
+}
+
+function intersects(a, b) {
+    return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+}
+
+function contains(a, b) {
+    return a.minX <= b.minX && a.minY <= b.minY && b.maxX <= a.maxX && b.maxY <= a.maxY;
+}
+
+// Binary heap of { distance } entries, smallest distance on top
+function createMinHeap() {
+    const entries = [];
+
+    return {
+        size: () => entries.length,
+        push(entry) {
+            entries.push(entry);
+            let i = entries.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (entries[parent].distance <= entries[i].distance) break;
+                [entries[parent], entries[i]] = [entries[i], entries[parent]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = entries[0];
+            const last = entries.pop();
+            if (entries.length > 0) {
+                entries[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < entries.length && entries[left].distance < entries[smallest].distance) smallest = left;
+                    if (right < entries.length && entries[right].distance < entries[smallest].distance) smallest = right;
+                    if (smallest === i) break;
+                    [entries[smallest], entries[i]] = [entries[i], entries[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+// ====== POLYGON OVERLAY ======
+
+// Overlays any number of polygonal operands and keeps the regions for which
+// predicate(inside) is true, where inside is the Set of indexes of the
+// operands covering the region, e.g. inside => inside.has(0) && inside.has(1)
+// for an intersection. Edges are split at every crossing and shared stretch, each
+// resulting segment is classified by what lies on its left and right, and
+// the result boundary is traced back into rings. Shared parcel edges are
+// handled exactly, which a bounding-box or vertex-only test cannot do.
+export function overlay(operands, predicate, options) {
+    const epsilon = options?.epsilon || DEFAULT_EPSILON;
+    const polygonSets = operands.map(operand => normalizePolygons(toPolygons(operand), epsilon));
+    const vertices = createVertexTable(epsilon);
+    const operandIndex = createGridIndex(polygonSets.map((polygons, index) => ({ index: index, ...polygonsBounds(polygons) })), 0);
+
+    const edges = collectEdges(polygonSets);
+    splitEdges(edges, epsilon);
+    const segments = buildSegments(edges, vertices);
+
+    const boundary = [];
+    segments.forEach(segment => {
+        const a = vertices.points[segment.from];
+        const b = vertices.points[segment.to];
+        const leftInside = new Set();
+        const rightInside = new Set();
+
+        segment.net.forEach((net, index) => {
+            if (net !== 0) {
+                (net > 0 ? leftInside : rightInside).add(index);
+            } else {
+                // Edges of this operand cancel out here (a spike), so sample
+                // either side of the segment instead of its midpoint
+                const [left, right] = sideSamples(a, b, epsilon);
+                if (pointInPolygons(left, polygonSets[index])) leftInside.add(index);
+                if (pointInPolygons(right, polygonSets[index])) rightInside.add(index);
+            }
+        });
+
+        // Segments away from an operand's boundary lie wholly in or out of it
+        const mid = midpoint(a, b);
+        operandIndex.query({ minX: mid[0], minY: mid[1], maxX: mid[0], maxY: mid[1] }).forEach(candidate => {
+            if (segment.net.has(candidate.index) || !pointInPolygons(mid, polygonSets[candidate.index])) return;
+            leftInside.add(candidate.index);
+            rightInside.add(candidate.index);
+        });
+
+        const left = !!predicate(leftInside);
+        const right = !!predicate(rightInside);
+        if (left !== right) {
+            // Keep the result interior on the left of every boundary edge
+            boundary.push(left ? [segment.from, segment.to] : [segment.to, segment.from]);
+        }
+    });
+
+    const rings = traceRings(boundary, vertices);
+    return assemblePolygons(rings, epsilon);
+}
+
+export function intersection(geoJsonA, geoJsonB, options) {
+    return toGeoJsonGeometry(overlay([geoJsonA, geoJsonB], inside => inside.has(0) && inside.has(1), options));
+}
+
+export function union(geoJsons, options) {
+    return toGeoJsonGeometry(overlay(geoJsons, inside => inside.size > 0, options));
+}
+
+export function difference(geoJsonA, geoJsonB, options) {
+    return toGeoJsonGeometry(overlay([geoJsonA, geoJsonB], inside => inside.has(0) && !inside.has(1), options));
+}
+
+export function symmetricDifference(geoJsonA, geoJsonB, options) {
+    return toGeoJsonGeometry(overlay([geoJsonA, geoJsonB], inside => inside.has(0) !== inside.has(1), options));
+}
+
+function createVertexTable(epsilon) {
+    const cellSize = epsilon * 4;
+    const columns = new Map();
+    const points = [];
+
+    return {
+        points: points,
+        // Returns the id of an existing vertex within epsilon, or adds one
+        add(point) {
+            const cx = Math.floor(point[0] / cellSize);
+            const cy = Math.floor(point[1] / cellSize);
+
+            for (let dx = -1; dx <= 1; dx++) {
+                const column = columns.get(cx + dx);
+                if (!column) continue;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ids = column.get(cy + dy);
+                    if (!ids) continue;
+                    for (const id of ids) {
+                        if (samePoint(points[id], point, epsilon)) return id;
+                    }
+                }
+            }
+
+            const id = points.length;
+            points.push([point[0], point[1]]);
+            if (!columns.has(cx)) columns.set(cx, new Map());
+            const column = columns.get(cx);
+            if (!column.has(cy)) column.set(cy, []);
+            column.get(cy).push(id);
+            return id;
+        }
+    };
+}
+
+function collectEdges(polygonSets) {
+    const edges = [];
+
+    polygonSets.forEach((polygons, operand) => {
+        polygons.forEach(polygon => polygon.forEach(ring => {
+            ring.forEach((a, i) => {
+                const b = ring[(i + 1) % ring.length];
+                edges.push({
+                    a: a,
+                    b: b,
+                    operand: operand,
+                    splits: [],
+                    minX: Math.min(a[0], b[0]),
+                    maxX: Math.max(a[0], b[0]),
+                    minY: Math.min(a[1], b[1]),
+                    maxY: Math.max(a[1], b[1])
+                });
+            });
+        }));
+    });
+
+    return edges;
+}
+
+// Records every point where an edge is crossed or touched by another edge
+function splitEdges(edges, epsilon) {
+    createGridIndex(edges, epsilon).forEachPair((e1, e2) => intersectEdges(e1, e2, epsilon));
+}
+
+function intersectEdges(e1, e2, epsilon) {
+    // Endpoints lying on the other edge cover T-junctions and shared stretches
+    let touching = false;
+    [[e2.a, e1], [e2.b, e1], [e1.a, e2], [e1.b, e2]].forEach(([point, edge]) => {
+        if (pointSegmentDistance(point, edge.a, edge.b) <= epsilon) {
+            touching = true;
+            if (!samePoint(point, edge.a, epsilon) && !samePoint(point, edge.b, epsilon)) {
+                edge.splits.push(point);
+            }
+        }
+    });
+    if (touching) return;
+
+    // Proper crossing in the interior of both edges
+    const rx = e1.b[0] - e1.a[0];
+    const ry = e1.b[1] - e1.a[1];
+    const sx = e2.b[0] - e2.a[0];
+    const sy = e2.b[1] - e2.a[1];
+    const denominator = rx * sy - ry * sx;
+    if (denominator === 0) return;
+
+    const qx = e2.a[0] - e1.a[0];
+    const qy = e2.a[1] - e1.a[1];
+    const t = (qx * sy - qy * sx) / denominator;
+    const u = (qx * ry - qy * rx) / denominator;
+    if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return;
+
+    const point = [e1.a[0] + t * rx, e1.a[1] + t * ry];
+    e1.splits.push(point);
+    e2.splits.push(point);
+}
+
+// Turns split edges into unique undirected segments. For each operand whose
+// boundary runs along the segment, net maps the operand index to how often
+// it runs from -> to minus to -> from; with normalised orientation a positive
+// count means its interior is on the left of the segment. Only those
+// operands are stored, so a segment costs the same for 2 operands or 20,000.
+function buildSegments(edges, vertices) {
+    const segments = new Map();
+
+    edges.forEach(edge => {
+        const dx = edge.b[0] - edge.a[0];
+        const dy = edge.b[1] - edge.a[1];
+        const lengthSquared = dx * dx + dy * dy;
+        const along = point => ((point[0] - edge.a[0]) * dx + (point[1] - edge.a[1]) * dy) / lengthSquared;
+
+        const chain = [edge.a, ...edge.splits.sort((p, q) => along(p) - along(q)), edge.b]
+            .map(point => vertices.add(point));
+
+        for (let i = 0; i < chain.length - 1; i++) {
+            const from = chain[i];
+            const to = chain[i + 1];
+            if (from === to) continue;
+
+            const key = Math.min(from, to) * 67108864 + Math.max(from, to);
+            if (!segments.has(key)) {
+                segments.set(key, {
+                    from: Math.min(from, to),
+                    to: Math.max(from, to),
+                    net: new Map()
+                });
+            }
+
+            const net = segments.get(key).net;
+            net.set(edge.operand, (net.get(edge.operand) || 0) + (from < to ? 1 : -1));
+        }
+    });
+
+    return segments;
+}
+
+function midpoint(a, b) {
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+}
+
+function sideSamples(a, b, epsilon) {
+    const length = Math.hypot(b[0] - a[0], b[1] - a[1]) || 1;
+    const offset = epsilon * 10;
+    const nx = -(b[1] - a[1]) / length * offset;
+    const ny = (b[0] - a[0]) / length * offset;
+    const mid = midpoint(a, b);
+    return [[mid[0] + nx, mid[1] + ny], [mid[0] - nx, mid[1] - ny]];
+}
+
+// Walks the directed boundary edges into closed rings, always taking the
+// sharpest left turn so that each ring hugs the region on its left
+function traceRings(boundary, vertices) {
+    const outgoing = new Map();
+    boundary.forEach(edge => {
+        if (!outgoing.has(edge[0])) outgoing.set(edge[0], []);
+        outgoing.get(edge[0]).push({ to: edge[1], used: false });
+    });
+
+    const rings = [];
+    outgoing.forEach((starts, startVertex) => {
+        starts.forEach(startEdge => {
+            if (startEdge.used) return;
+
+            const ring = [startVertex];
+            let previous = startVertex;
+            let edge = startEdge;
+            edge.used = true;
+
+            while (edge && edge.to !== startVertex) {
+                const current = edge.to;
+                ring.push(current);
+                edge = nextBoundaryEdge(outgoing.get(current), vertices.points[previous], vertices.points[current], vertices);
+                if (edge) edge.used = true;
+                previous = current;
+            }
+
+            if (edge && ring.length >= 3) {
+                rings.push(ring.map(id => vertices.points[id]));
+            }
+        });
+    });
+
+    return rings;
+}
+
+function nextBoundaryEdge(candidates, previousPoint, currentPoint, vertices) {
+    if (!candidates) return null;
+
+    const back = Math.atan2(previousPoint[1] - currentPoint[1], previousPoint[0] - currentPoint[0]);
+    let best = null;
+    let bestTurn = Infinity;
+
+    candidates.forEach(candidate => {
+        if (candidate.used) return;
+
+        const target = vertices.points[candidate.to];
+        const angle = Math.atan2(target[1] - currentPoint[1], target[0] - currentPoint[0]);
+        let turn = back - angle;
+        while (turn <= 0) turn += 2 * Math.PI;
+        while (turn > 2 * Math.PI) turn -= 2 * Math.PI;
+
+        if (turn < bestTurn) {
+            bestTurn = turn;
+            best = candidate;
+        }
+    });
+
+    return best;
+}
+
+// Counter-clockwise rings become shells; each clockwise ring is a hole of
+// the smallest shell that contains it
+function assemblePolygons(rings, epsilon) {
+    const minimumArea = epsilon * epsilon;
+    const shells = [];
+    const holes = [];
+
+    rings.map(ring => removeCollinearPoints(ring, epsilon)).forEach(ring => {
+        const area = signedRingArea(ring);
+        if (area > minimumArea) {
+            shells.push({ ring: ring, area: area, holes: [] });
+        } else if (area < -minimumArea) {
+            holes.push(ring);
+        }
+    });
+
+    holes.forEach(hole => {
+        let owner = null;
+        shells.forEach(shell => {
+            if (shell.area >= (owner ? owner.area : Infinity)) return;
+            if (hole.some(point => !pointOnRing(point, shell.ring, epsilon) && pointInPolygons(point, [[shell.ring]]))) {
+                owner = shell;
+            }
+        });
+        if (owner) owner.holes.push(hole);
+    });
+
+    return shells.map(shell => [shell.ring, ...shell.holes]);
+}
+
+// Drops vertices left in the middle of straight runs by edge splitting
+function removeCollinearPoints(ring, epsilon) {
+    const result = ring.slice();
+    let changed = true;
+
+    while (changed && result.length > 3) {
+        changed = false;
+        for (let i = 0; i < result.length && result.length > 3; i++) {
+            const previous = result[(i - 1 + result.length) % result.length];
+            const next = result[(i + 1) % result.length];
+            if (pointSegmentDistance(result[i], previous, next) <= epsilon) {
+                result.splice(i, 1);
+                changed = true;
+                i--;
+            }
+        }
+    }
+
+    return result;
+}
+
+function pointOnRing(point, ring, epsilon) {
+    return ring.some((a, i) => pointSegmentDistance(point, a, ring[(i + 1) % ring.length]) <= epsilon);
+}
+
+// ====== POLYGON SPLITTING ======
+
+// Cuts a polygon along a polyline of [lng, lat] points and returns the
+// resulting pieces. The polygon boundary and the parts of the line inside it
+// form a planar graph whose faces are the pieces; line ends that stop short
+// of the boundary leave a dangling cut, which is trimmed off again.
+export function splitPolygon(geoJson, line, options) {
+    const epsilon = options?.epsilon || DEFAULT_EPSILON;
+    const polygons = normalizePolygons(toPolygons(geoJson), epsilon);
+    const vertices = createVertexTable(epsilon);
+
+    const edges = collectEdges([polygons]);
+    for (let i = 0; i < line.length - 1; i++) {
+        const a = line[i];
+        const b = line[i + 1];
+        if (samePoint(a, b, epsilon)) continue;
+        edges.push({
+            a: a,
+            b: b,
+            operand: 1,
+            splits: [],
+            minX: Math.min(a[0], b[0]),
+            maxX: Math.max(a[0], b[0]),
+            minY: Math.min(a[1], b[1]),
+            maxY: Math.max(a[1], b[1])
+        });
+    }
+
+    splitEdges(edges, epsilon);
+    const segments = buildSegments(edges, vertices);
+
+    const boundary = [];
+    segments.forEach(segment => {
+        if (segment.net.has(0)) {
+            // Parcel edges keep the interior on their left; cuts along them add nothing
+            const net = segment.net.get(0);
+            if (net > 0) boundary.push([segment.from, segment.to]);
+            if (net < 0) boundary.push([segment.to, segment.from]);
+        } else if (pointInPolygons(midpoint(vertices.points[segment.from], vertices.points[segment.to]), polygons)) {
+            // Cuts inside the parcel bound the pieces on both sides
+            boundary.push([segment.from, segment.to], [segment.to, segment.from]);
+        }
+    });
+
+    const rings = traceRings(boundary, vertices).map(ring => removeSpikes(ring, epsilon));
+    return assemblePolygons(rings.filter(ring => ring.length >= 3), epsilon);
+}
+
+// Removes out-and-back excursions along dangling cuts and the repeated
+// vertices they leave behind
+function removeSpikes(ring, epsilon) {
+    const result = ring.slice();
+    let changed = true;
+
+    while (changed && result.length >= 3) {
+        changed = false;
+        for (let i = 0; i < result.length; i++) {
+            const previous = result[(i - 1 + result.length) % result.length];
+            const next = result[(i + 1) % result.length];
+            if (samePoint(result[i], next, epsilon) || samePoint(previous, next, epsilon)) {
+                result.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+
+    return result;
+}
+
+// ====== TOPOLOGY VALIDATION ======
+
+const defaultValidationTolerances = {
+    duplicateToleranceMeters: 0.01, // consecutive vertices this close are duplicates
+    spikeAngleDegrees: 1 // vertices with a sharper angle than this are spikes
+};
+
+// Checks polygon rings for the defects field capture tends to produce and
+// returns one issue per defect: { type, severity, repairable, polygonIndex,
+// ringIndex, vertexIndex, location: [lng, lat], message }. Types are
+// 'empty-geometry', 'too-few-vertices', 'duplicate-vertex', 'spike',
+// 'zero-area-ring', 'reversed-ring', 'hole-outside-shell' and
+// 'self-intersection'. Rings should follow the GeoJSON right-hand rule:
+// shells counter-clockwise, holes clockwise.
+export function validatePolygon(geoJson, options) {
+    const settings = { ...defaultValidationTolerances, ...options };
+    const polygons = rawPolygons(geoJson);
+    const issues = [];
+
+    if (polygons.length === 0) {
+        return [createIssue('empty-geometry', 'error', false, -1, -1, -1, null, 'The geometry has no polygon rings')];
+    }
+
+    const bounds = polygonsBounds(polygons);
+    const projection = createLocalProjection((bounds.minY + bounds.maxY) / 2);
+    const tolerance = settings.duplicateToleranceMeters;
+
+    polygons.forEach((polygon, polygonIndex) => {
+        const cleanedRings = [];
+
+        polygon.forEach((ring, ringIndex) => {
+            const add = (type, severity, repairable, vertexIndex, location, message) => {
+                issues.push(createIssue(type, severity, repairable, polygonIndex, ringIndex, vertexIndex, location, message));
+            };
+            const vertices = ring.map((point, index) => ({ index: index, point: point, p: projection.forward(point) }));
+
+            // Duplicates are dropped before the other checks so they are reported once
+            const cleaned = [];
+            vertices.forEach(vertex => {
+                const previous = cleaned[cleaned.length - 1];
+                if (previous && Math.hypot(vertex.p[0] - previous.p[0], vertex.p[1] - previous.p[1]) <= tolerance) {
+                    add('duplicate-vertex', 'warning', true, vertex.index, vertex.point, 'Vertex repeats the previous vertex');
+                } else {
+                    cleaned.push(vertex);
+                }
+            });
+            if (cleaned.length > 1 && Math.hypot(cleaned[0].p[0] - cleaned[cleaned.length - 1].p[0], cleaned[0].p[1] - cleaned[cleaned.length - 1].p[1]) <= tolerance) {
+                const last = cleaned.pop();
+                add('duplicate-vertex', 'warning', true, last.index, last.point, 'Vertex repeats the first vertex');
+            }
+
+            if (cleaned.length < 3) {
+                add('too-few-vertices', 'error', false, 0, ring[0] || null, `Ring has ${cleaned.length} distinct vertices; at least 3 are needed`);
+                return;
+            }
+
+            // The remaining checks look at the ring with its spikes taken out,
+            // so a spike is not also reported as the ring touching itself
+            const { core, spikes } = stripSpikes(cleaned, tolerance, settings.spikeAngleDegrees);
+            spikes.forEach(vertex => {
+                add('spike', 'error', true, vertex.index, vertex.point, 'Boundary doubles back on itself at this vertex');
+            });
+
+            const area = core.length >= 3 ? signedRingArea(core.map(vertex => vertex.p)) : 0;
+            if (Math.abs(area) <= tolerance * tolerance) {
+                add('zero-area-ring', 'error', ringIndex > 0, 0, cleaned[0].point, 'Ring encloses no area');
+            } else if ((area > 0) !== (ringIndex === 0)) {
+                add('reversed-ring', 'warning', true, 0, cleaned[0].point, ringIndex === 0
+                    ? 'Outer ring runs clockwise; it should run counter-clockwise'
+                    : 'Hole runs counter-clockwise; it should run clockwise');
+            }
+            if (core.length < 3) return;
+
+            if (ringIndex > 0 && cleanedRings.length > 0 && cleanedRings[0].ringIndex === 0) {
+                const shell = cleanedRings[0].vertices;
+                const outside = core.find(vertex => !pointInPolygons(vertex.point, [[shell.map(shellVertex => shellVertex.point)]]) &&
+                    !pointOnRing(vertex.p, shell.map(shellVertex => shellVertex.p), tolerance));
+                if (outside) {
+                    add('hole-outside-shell', 'error', false, outside.index, outside.point, 'Hole extends outside the outer ring');
+                }
+            }
+
+            cleanedRings.push({ ringIndex: ringIndex, vertices: core });
+        });
+
+        findSelfIntersections(cleanedRings, tolerance).forEach(crossing => {
+            issues.push(createIssue('self-intersection', 'error', false, polygonIndex, crossing.ringIndex, crossing.vertexIndex,
+                projection.inverse(crossing.point), crossing.message));
+        });
+    });
+
+    return issues;
+}
+
+// Applies the fixes that cannot change what the boundary means: duplicate
+// vertices and spikes are removed, degenerate holes dropped and rings
+// reoriented. Self-intersections, stray holes and degenerate outer rings are
+// left for a person to resolve. Returns { geometry, fixes } with fixes counted by issue type.
+export function repairPolygon(geoJson, options) {
+    const settings = { ...defaultValidationTolerances, ...options };
+    const polygons = rawPolygons(geoJson);
+    const fixes = { 'duplicate-vertex': 0, 'spike': 0, 'zero-area-ring': 0, 'reversed-ring': 0 };
+    if (polygons.length === 0) return { geometry: null, fixes: fixes };
+
+    const bounds = polygonsBounds(polygons);
+    const projection = createLocalProjection((bounds.minY + bounds.maxY) / 2);
+    const tolerance = settings.duplicateToleranceMeters;
+
+    const repaired = [];
+    polygons.forEach(polygon => {
+        const rings = [];
+
+        for (let ringIndex = 0; ringIndex < polygon.length; ringIndex++) {
+            const vertices = polygon[ringIndex].map(point => ({ point: point, p: projection.forward(point) }));
+            const { core: ring, spikes } = stripSpikes(vertices, tolerance, settings.spikeAngleDegrees);
+
+            const area = ring.length >= 3 ? signedRingArea(ring.map(vertex => vertex.p)) : 0;
+            if (Math.abs(area) <= tolerance * tolerance) {
+                // A degenerate hole can go; a degenerate shell stays as it was
+                if (ringIndex === 0) {
+                    rings.push(polygon[0].map(point => [point[0], point[1]]));
+                } else {
+                    fixes['zero-area-ring']++;
+                }
+                continue;
+            }
+
+            fixes['spike'] += spikes.length;
+            fixes['duplicate-vertex'] += vertices.length - ring.length - spikes.length;
+
+            let points = ring.map(vertex => [vertex.point[0], vertex.point[1]]);
+            if ((area > 0) !== (ringIndex === 0)) {
+                points = points.reverse();
+                fixes['reversed-ring']++;
+            }
+            rings.push(points);
+        }
+
+        if (rings.length > 0) {
+            repaired.push(rings);
+        }
+    });
+
+    return { geometry: toGeoJsonGeometry(repaired), fixes: fixes };
+}
+
+function createIssue(type, severity, repairable, polygonIndex, ringIndex, vertexIndex, location, message) {
+    return {
+        type: type,
+        severity: severity,
+        repairable: repairable,
+        polygonIndex: polygonIndex,
+        ringIndex: ringIndex,
+        vertexIndex: vertexIndex,
+        location: location ? [location[0], location[1]] : null,
+        message: message
+    };
+}
+
+// Polygon rings exactly as given, minus the closing vertex of closed rings.
+// Polygons without rings are left out.
+function rawPolygons(geoJson) {
+    const openRaw = ring => {
+        const points = ring.map(point => [point[0], point[1]]);
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+        return points;
+    };
+
+    if (!geoJson) return [];
+    switch (geoJson.type) {
+        case 'FeatureCollection':
+            return geoJson.features.flatMap(feature => rawPolygons(feature));
+        case 'Feature':
+            return rawPolygons(geoJson.geometry);
+        case 'GeometryCollection':
+            return geoJson.geometries.flatMap(geometry => rawPolygons(geometry));
+        case 'Polygon':
+            return geoJson.coordinates.length > 0 ? [geoJson.coordinates.map(openRaw)] : [];
+        case 'MultiPolygon':
+            return geoJson.coordinates.filter(polygon => polygon.length > 0).map(polygon => polygon.map(openRaw));
+        default:
+            return [];
+    }
+}
+
+// Takes duplicate vertices and spikes out of a ring of { p } vertices until
+// none are left, since removing one can expose another next to it
+function stripSpikes(vertices, tolerance, maxAngleDegrees) {
+    let core = vertices.slice();
+    const spikes = [];
+
+    while (core.length >= 3) {
+        const ring = core;
+        core = ring.filter((vertex, i) => {
+            const next = ring[(i + 1) % ring.length];
+            return Math.hypot(vertex.p[0] - next.p[0], vertex.p[1] - next.p[1]) > tolerance;
+        });
+        if (core.length < 3) break;
+
+        const positions = spikeVertices(core.map(vertex => vertex.p), maxAngleDegrees);
+        if (positions.length === 0) break;
+        spikes.push(core.splice(positions[0], 1)[0]);
+    }
+
+    return { core: core, spikes: spikes };
+}
+
+// Positions of vertices where the boundary turns back by more than
+// 180 - maxAngleDegrees, in projected metres
+function spikeVertices(ring, maxAngleDegrees) {
+    const limit = maxAngleDegrees * Math.PI / 180;
+    const spikes = [];
+
+    ring.forEach((point, i) => {
+        const previous = ring[(i - 1 + ring.length) % ring.length];
+        const next = ring[(i + 1) % ring.length];
+        const angle = Math.abs(Math.atan2(
+            cross(point, previous, next),
+            (previous[0] - point[0]) * (next[0] - point[0]) + (previous[1] - point[1]) * (next[1] - point[1])
+        ));
+        if (angle < limit) spikes.push(i);
+    });
+
+    return spikes;
+}
+
+// Crossings between edges of the same polygon, plus places where a ring
+// touches itself. Rings of one polygon may touch each other at a point.
+function findSelfIntersections(rings, tolerance) {
+    const edges = [];
+    rings.forEach(ring => {
+        const count = ring.vertices.length;
+        ring.vertices.forEach((vertex, i) => {
+            const p = vertex.p;
+            const q = ring.vertices[(i + 1) % count].p;
+            edges.push({
+                ringIndex: ring.ringIndex,
+                position: i,
+                count: count,
+                vertexIndex: vertex.index,
+                p: p,
+                q: q,
+                minX: Math.min(p[0], q[0]),
+                maxX: Math.max(p[0], q[0]),
+                minY: Math.min(p[1], q[1]),
+                maxY: Math.max(p[1], q[1])
+            });
+        });
+    });
+
+    const found = new Map();
+    createGridIndex(edges, tolerance).forEachPair((a, b) => {
+        const sameRing = a.ringIndex === b.ringIndex;
+        if (sameRing && (Math.abs(a.position - b.position) === 1 || Math.abs(a.position - b.position) === a.count - 1)) return;
+
+        let point = null;
+        if (segmentsCross(a.p, a.q, b.p, b.q)) {
+            point = crossingPoint(a.p, a.q, b.p, b.q);
+        } else if (sameRing && segmentDistance(a.p, a.q, b.p, b.q) <= tolerance) {
+            point = [a.p, a.q].find(end => pointSegmentDistance(end, b.p, b.q) <= tolerance) ||
+                [b.p, b.q].find(end => pointSegmentDistance(end, a.p, a.q) <= tolerance);
+        }
+        if (!point) return;
+
+        // Several edge pairs can meet at one place; report it once
+        const key = `${Math.round(point[0] / tolerance)},${Math.round(point[1] / tolerance)}`;
+        if (!found.has(key)) {
+            found.set(key, {
+                point: point,
+                ringIndex: a.ringIndex,
+                vertexIndex: a.vertexIndex,
+                message: sameRing ? 'Ring crosses or touches itself' : 'Rings of the polygon cross each other'
+            });
+        }
+    });
+
+    return Array.from(found.values());
+}
+
+function crossingPoint(p1, q1, p2, q2) {
+    const rx = q1[0] - p1[0];
+    const ry = q1[1] - p1[1];
+    const sx = q2[0] - p2[0];
+    const sy = q2[1] - p2[1];
+    const t = ((p2[0] - p1[0]) * sy - (p2[1] - p1[1]) * sx) / (rx * sy - ry * sx);
+    return [p1[0] + t * rx, p1[1] + t * ry];
+}
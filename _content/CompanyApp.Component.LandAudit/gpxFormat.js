@@ -0,0 +1,93 @@
+// GPX 1.0 and 1.1 reading for the tracks and waypoints inspection teams
+// record on handheld GPS units. Positions stay in WGS84 degrees with the
+// elevation and timestamp of each point where the unit recorded them.
+
+// ====== READING ======
+
+// Parses GPX text into { name, tracks, routes, waypoints, skipped }.
+// Tracks are { name, description, type, segments: [[point]] }, routes
+// { name, description, type, points: [point] } and waypoints are points with
+// name, description and symbol. A point is { latitude, longitude,
+// elevation, time } where elevation (metres) and time (ISO 8601 text) are
+// null when absent. Points without a usable position are left out and
+// counted in skipped.
+export function parseGpx(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0 || !xml.documentElement || xml.documentElement.localName !== 'gpx') {
+        throw new Error('Not a valid GPX document');
+    }
+
+    const skipped = [];
+    const readPoints = (elements, owner) => elements.map(readPoint).filter((point, index) => {
+        if (point) return true;
+        skipped.push({ element: elements[index].localName, name: owner, reason: 'Missing or invalid lat/lon' });
+        return false;
+    });
+
+    const root = xml.documentElement;
+    const metadata = childElements(root).find(element => element.localName === 'metadata');
+
+    const tracks = childElements(root, 'trk').map(element => {
+        const name = childText(element, 'name');
+        return {
+            name: name,
+            description: childText(element, 'desc'),
+            type: childText(element, 'type'),
+            segments: childElements(element, 'trkseg')
+                .map(segment => readPoints(childElements(segment, 'trkpt'), name))
+                .filter(points => points.length > 0)
+        };
+    });
+
+    const routes = childElements(root, 'rte').map(element => {
+        const name = childText(element, 'name');
+        return {
+            name: name,
+            description: childText(element, 'desc'),
+            type: childText(element, 'type'),
+            points: readPoints(childElements(element, 'rtept'), name)
+        };
+    });
+
+    return {
+        // GPX 1.1 keeps the name in metadata, GPX 1.0 directly under gpx
+        name: (metadata ? childText(metadata, 'name') : null) ?? childText(root, 'name'),
+        tracks: tracks,
+        routes: routes,
+        waypoints: readPoints(childElements(root, 'wpt'), null),
+        skipped: skipped
+    };
+}
+
+function readPoint(element) {
+    const latitude = parseFloat(element.getAttribute('lat'));
+    const longitude = parseFloat(element.getAttribute('lon'));
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return null;
+    }
+
+    const elevation = parseFloat(childText(element, 'ele'));
+    const point = {
+        latitude: latitude,
+        longitude: longitude,
+        elevation: Number.isFinite(elevation) ? elevation : null,
+        time: childText(element, 'time')
+    };
+
+    if (element.localName !== 'trkpt') {
+        point.name = childText(element, 'name');
+        point.description = childText(element, 'desc');
+        point.symbol = childText(element, 'sym');
+    }
+    return point;
+}
+
+function childElements(element, name) {
+    const children = [...element.children];
+    return name ? children.filter(child => child.localName === name) : children;
+}
+
+function childText(element, name) {
+    const child = childElements(element, name)[0];
+    return child ? child.textContent.trim() : null;
+}
@@ -0,0 +1,394 @@
+// KML 2.2 reading and writing for exchange with Google Earth, the
+// provincial lands offices and chiefdom consultation sketches. Geometry is GeoJSON ([lng, lat]) in WGS84, as KML requires.
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+
+// ====== WRITING ======
+
+// Serialises { name, description, folders: [{ name, placemarks }] } where
+// each placemark is { name, description, geometry, properties, style }.
+// Styles are { stroke, color, opacity, weight, fill, fillColor, fillOpacity,
+// iconColor } in CSS terms and are shared between placemarks that match.
+export function writeKml(document) {
+    const styles = new Map();
+    const styleId = style => {
+        if (!style) return null;
+        const key = JSON.stringify(style);
+        if (!styles.has(key)) {
+            styles.set(key, { id: `style-${styles.size + 1}`, style: style });
+        }
+        return styles.get(key).id;
+    };
+
+    const folders = (document.folders || []).map(folder => {
+        const placemarks = (folder.placemarks || [])
+            .filter(placemark => placemark.geometry)
+            .map(placemark => writePlacemark(placemark, styleId(placemark.style)));
+
+        return `<Folder>
+<name>${escapeXml(folder.name)}</name>
+${placemarks.join('\n')}
+</Folder>`;
+    });
+
+    const styleElements = [...styles.values()].map(entry => writeStyle(entry.id, entry.style));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NAMESPACE}">
+<Document>
+<name>${escapeXml(document.name || 'Export')}</name>
+${document.description ? `<description>${cdata(document.description)}</description>\n` : ''}${styleElements.join('\n')}
+${folders.join('\n')}
+</Document>
+</kml>
+`;
+}
+
+// CSS colour (#rgb, #rrggbb, rgb()/rgba() or a basic name) and opacity to
+// KML's aabbggrr
+export function kmlColor(cssColor, opacity) {
+    const rgba = parseCssColor(cssColor) || [51, 136, 255, 1];
+    const alpha = Math.round(Math.min(1, Math.max(0, (opacity ?? 1) * rgba[3])) * 255);
+    return [alpha, rgba[2], rgba[1], rgba[0]].map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+function writePlacemark(placemark, styleId) {
+    const data = Object.entries(placemark.properties || {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(typeof value === 'object' ? JSON.stringify(value) : value)}</value></Data>`);
+
+    return `<Placemark>
+${placemark.name !== undefined && placemark.name !== null ? `<name>${escapeXml(placemark.name)}</name>\n` : ''}${placemark.description ? `<description>${cdata(placemark.description)}</description>\n` : ''}${styleId ? `<styleUrl>#${styleId}</styleUrl>\n` : ''}${data.length > 0 ? `<ExtendedData>${data.join('')}</ExtendedData>\n` : ''}${writeGeometry(placemark.geometry)}
+</Placemark>`;
+}
+
+function writeStyle(id, style) {
+    const parts = [];
+    if (style.iconColor) {
+        parts.push(`<IconStyle><color>${kmlColor(style.iconColor, 1)}</color></IconStyle>`);
+    }
+    if (style.color || style.weight) {
+        const width = style.stroke === false ? 0 : style.weight ?? 1;
+        parts.push(`<LineStyle><color>${kmlColor(style.color, style.opacity)}</color><width>${width}</width></LineStyle>`);
+    }
+    if (style.fill !== undefined || style.fillColor) {
+        parts.push(`<PolyStyle><color>${kmlColor(style.fillColor || style.color, style.fillOpacity ?? 0.2)}</color>` +
+            `<fill>${style.fill === false ? 0 : 1}</fill><outline>${style.stroke === false ? 0 : 1}</outline></PolyStyle>`);
+    }
+    return `<Style id="${id}">${parts.join('')}</Style>`;
+}
+
+function writeGeometry(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${writePosition(geometry.coordinates)}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><tessellate>1</tessellate><coordinates>${geometry.coordinates.map(writePosition).join(' ')}</coordinates></LineString>`;
+        case 'Polygon':
+            return writePolygon(geometry.coordinates);
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon': {
+            const type = geometry.type.replace('Multi', '');
+            return `<MultiGeometry>${geometry.coordinates.map(coordinates => writeGeometry({ type: type, coordinates: coordinates })).join('')}</MultiGeometry>`;
+        }
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(writeGeometry).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+}
+
+function writePolygon(rings) {
+    const writeRing = ring => {
+        const closed = ring.length > 0 && (ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1])
+            ? [...ring, ring[0]]
+            : ring;
+        return `<LinearRing><coordinates>${closed.map(writePosition).join(' ')}</coordinates></LinearRing>`;
+    };
+
+    const [outer, ...holes] = rings;
+    return `<Polygon><tessellate>1</tessellate><outerBoundaryIs>${writeRing(outer)}</outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs>${writeRing(hole)}</innerBoundaryIs>`).join('') + '</Polygon>';
+}
+
+function writePosition(position) {
+    return position.slice(0, 3).join(',');
+}
+
+const cssColorNames = {
+    black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00',
+    orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080', brown: '#a52a2a', cyan: '#00ffff',
+    magenta: '#ff00ff', pink: '#ffc0cb', navy: '#000080', gold: '#ffd700'
+};
+
+function parseCssColor(color) {
+    const text = String(color ?? '').trim().toLowerCase();
+    const hex = (cssColorNames[text] || text).match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        const values = digits.match(/../g).map(pair => parseInt(pair, 16));
+        return [values[0], values[1], values[2], values.length === 4 ? values[3] / 255 : 1];
+    }
+
+    const rgb = text.match(/^rgba?\(([^)]+)\)$/);
+    if (rgb) {
+        const values = rgb[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        return [values[0], values[1], values[2], values[3] ?? 1];
+    }
+    return null;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// ====== READING ======
+
+// Elements that are valid KML but carry nothing the map can show
+const unsupportedKmlElements = ['GroundOverlay', 'ScreenOverlay', 'PhotoOverlay', 'NetworkLink', 'Tour'];
+
+// Parses KML text into { name, folders: [{ name, placemarks }], skipped }.
+// Nested folders become folders named by their path ('Outer / Inner');
+// placemarks outside any folder go to a folder with a null name. Each
+// placemark is { name, description, geometry (GeoJSON), properties, style }
+// with ExtendedData in properties and the Style or StyleMap it uses in CSS
+// terms. Elements that cannot be imported are listed in skipped with a reason.
+export function parseKml(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0 || !xml.documentElement || xml.documentElement.localName !== 'kml') {
+        throw new Error('Not a valid KML document');
+    }
+
+    const styles = collectKmlStyles(xml);
+    const folders = new Map();
+    const skipped = [];
+    const root = childElements(xml.documentElement).find(element => ['Document', 'Folder', 'Placemark'].includes(element.localName));
+
+    const visit = (container, folderName) => {
+        childElements(container).forEach(element => {
+            const name = childText(element, 'name');
+            switch (element.localName) {
+                case 'Document':
+                    visit(element, folderName);
+                    break;
+                case 'Folder':
+                    visit(element, folderName ? `${folderName} / ${name || 'Folder'}` : name || 'Folder');
+                    break;
+                case 'Placemark': {
+                    const placemark = readPlacemark(element, styles, skipped);
+                    if (!placemark) break;
+                    if (!folders.has(folderName)) folders.set(folderName, []);
+                    folders.get(folderName).push(placemark);
+                    break;
+                }
+                default:
+                    if (unsupportedKmlElements.includes(element.localName)) {
+                        skipped.push({ element: element.localName, name: name, reason: `${element.localName} elements are not imported` });
+                    }
+            }
+        });
+    };
+
+    if (root?.localName === 'Placemark') {
+        visit(xml.documentElement, null);
+    } else if (root) {
+        visit(root, null);
+    }
+
+    return {
+        name: root ? childText(root, 'name') : null,
+        folders: [...folders.entries()].map(([name, placemarks]) => ({ name: name, placemarks: placemarks })),
+        skipped: skipped
+    };
+}
+
+function readPlacemark(element, styles, skipped) {
+    const name = childText(element, 'name');
+    const geometryElement = childElements(element).find(child => isGeometryElement(child));
+    if (!geometryElement) {
+        skipped.push({ element: 'Placemark', name: name, reason: 'No supported geometry' });
+        return null;
+    }
+
+    const skippedBefore = skipped.length;
+    const geometry = readGeometry(geometryElement, skipped, name);
+    if (!geometry) {
+        // Unsupported geometry types have already been reported
+        if (skipped.length > skippedBefore) return null;
+        skipped.push({ element: 'Placemark', name: name, reason: `Unreadable ${geometryElement.localName} geometry` });
+        return null;
+    }
+
+    // An inline Style wins over the shared one referenced by styleUrl
+    const inline = childElements(element).find(child => child.localName === 'Style');
+    const styleUrl = childText(element, 'styleUrl');
+    const style = inline ? readKmlStyle(inline) : styleUrl ? styles.get(styleUrl.replace(/^.*#/, '')) || null : null;
+
+    return {
+        name: name,
+        description: childText(element, 'description'),
+        geometry: geometry,
+        properties: readExtendedData(element),
+        style: style
+    };
+}
+
+function isGeometryElement(element) {
+    return ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Track', 'MultiTrack', 'Model'].includes(element.localName);
+}
+
+function readGeometry(element, skipped, placemarkName) {
+    switch (element.localName) {
+        case 'Point': {
+            const positions = readCoordinates(element);
+            return positions.length > 0 ? { type: 'Point', coordinates: positions[0] } : null;
+        }
+        case 'LineString':
+        case 'LinearRing': {
+            const positions = readCoordinates(element);
+            return positions.length >= 2 ? { type: 'LineString', coordinates: positions } : null;
+        }
+        case 'Polygon': {
+            const ringOf = boundary => {
+                const ring = childElements(boundary).find(child => child.localName === 'LinearRing');
+                return ring ? readCoordinates(ring) : [];
+            };
+            const outer = childElements(element).filter(child => child.localName === 'outerBoundaryIs').map(ringOf)[0];
+            if (!outer || outer.length < 4) return null;
+            const holes = childElements(element)
+                .filter(child => child.localName === 'innerBoundaryIs')
+                .map(ringOf)
+                .filter(ring => ring.length >= 4);
+            return { type: 'Polygon', coordinates: [outer, ...holes] };
+        }
+        case 'MultiGeometry': {
+            const parts = childElements(element)
+                .filter(child => isGeometryElement(child))
+                .map(child => readGeometry(child, skipped, placemarkName))
+                .filter(Boolean);
+            if (parts.length === 0) return null;
+
+            // Homogeneous collections become the matching Multi* type
+            const types = new Set(parts.map(part => part.type));
+            if (types.size === 1 && ['Point', 'LineString', 'Polygon'].includes(parts[0].type)) {
+                return { type: `Multi${parts[0].type}`, coordinates: parts.map(part => part.coordinates) };
+            }
+            return { type: 'GeometryCollection', geometries: parts };
+        }
+        default:
+            skipped.push({ element: element.localName, name: placemarkName, reason: `${element.localName} geometry is not supported` });
+            return null;
+    }
+}
+
+function readCoordinates(element) {
+    const text = childText(element, 'coordinates') || '';
+    return text.trim().split(/\s+/)
+        .filter(Boolean)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(values => values.length >= 2 && values.every(Number.isFinite))
+        .map(values => values.slice(0, 3));
+}
+
+function readExtendedData(element) {
+    const properties = {};
+    const extended = childElements(element).find(child => child.localName === 'ExtendedData');
+    if (!extended) return properties;
+
+    childElements(extended).forEach(child => {
+        if (child.localName === 'Data' && child.getAttribute('name')) {
+            properties[child.getAttribute('name')] = childText(child, 'value');
+        } else if (child.localName === 'SchemaData') {
+            childElements(child)
+                .filter(data => data.localName === 'SimpleData' && data.getAttribute('name'))
+                .forEach(data => properties[data.getAttribute('name')] = data.textContent);
+        }
+    });
+    return properties;
+}
+
+// Shared Styles by id, with StyleMaps resolved to their normal style
+function collectKmlStyles(xml) {
+    const styles = new Map();
+    const all = [...xml.getElementsByTagName('*')];
+
+    all.filter(element => element.localName === 'Style' && element.getAttribute('id'))
+        .forEach(element => styles.set(element.getAttribute('id'), readKmlStyle(element)));
+
+    all.filter(element => element.localName === 'StyleMap' && element.getAttribute('id'))
+        .forEach(element => {
+            const normal = childElements(element)
+                .filter(pair => pair.localName === 'Pair')
+                .find(pair => childText(pair, 'key') === 'normal');
+            const target = normal ? childText(normal, 'styleUrl') : null;
+            const inline = normal ? childElements(normal).find(child => child.localName === 'Style') : null;
+            const style = inline ? readKmlStyle(inline) : target ? styles.get(target.replace(/^.*#/, '')) : null;
+            if (style) styles.set(element.getAttribute('id'), style);
+        });
+
+    return styles;
+}
+
+function readKmlStyle(element) {
+    const style = {};
+    const part = name => childElements(element).find(child => child.localName === name);
+
+    const line = part('LineStyle');
+    if (line) {
+        const color = fromKmlColor(childText(line, 'color'));
+        if (color) {
+            style.color = color.color;
+            style.opacity = color.opacity;
+        }
+        const width = Number(childText(line, 'width'));
+        if (Number.isFinite(width) && childText(line, 'width') !== null) style.weight = width;
+    }
+
+    const poly = part('PolyStyle');
+    if (poly) {
+        const color = fromKmlColor(childText(poly, 'color'));
+        if (color) {
+            style.fillColor = color.color;
+            style.fillOpacity = color.opacity;
+        }
+        if (childText(poly, 'fill') === '0') style.fill = false;
+        if (childText(poly, 'outline') === '0') style.stroke = false;
+    }
+
+    const icon = part('IconStyle');
+    if (icon) {
+        const color = fromKmlColor(childText(icon, 'color'));
+        if (color) style.iconColor = color.color;
+    }
+
+    return style;
+}
+
+// aabbggrr to { color: '#rrggbb', opacity }
+function fromKmlColor(value) {
+    const hex = String(value ?? '').trim().replace(/^#/, '');
+    if (!/^[0-9a-fA-F]{8}$/.test(hex)) return null;
+    return {
+        color: `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`.toLowerCase(),
+        opacity: Math.round(parseInt(hex.slice(0, 2), 16) / 255 * 100) / 100
+    };
+}
+
+function childElements(element) {
+    return [...element.children];
+}
+
+function childText(element, name) {
+    const child = childElements(element).find(item => item.localName === name);
+    return child ? child.textContent.trim() : null;
+}
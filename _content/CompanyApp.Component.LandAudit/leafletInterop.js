@@ -1,151 +1,223 @@
 // World-Class GIS System for Land Management and Auditing in Zambia
 // Enhanced Leaflet Map Interop with comprehensive features
 
-let map = null;
-let markers = [];
-let polygons = [];
-let layerGroups = {};
-let drawControl = null;
-let drawnItems = null;
-let measurementLayer = null;
-let markerCluster = null;
-let heatmapLayer = null;
-let baseLayers = {};
-let overlayLayers = {};
-let parcelRegistry = {};
-let miniMapControl = null;
+import {
+    intersection, union, difference, symmetricDifference, overlay, geodesicPerimeter, boundariesTouch,
+    locatePoint, toPolygons, toGeoJsonGeometry, polygonsBounds, createGridIndex, splitPolygon, createRTree,
+    createLocalProjection, validatePolygon, repairPolygon, geodesicPathLength
+} from './geometryEngine.js';
+import {
+    ellipsoidalArea, utmArea, getCrs, transformPoint, transformGeoJson, declaredCrs, formatPosition, coordinateFormats,
+    parseCoordinate, crsToPrj, crsFromPrj, formatAngle, createUtmProjection, utmZoneForLongitude, zambiaExtent, mapSheetAt, mapSheetBounds,
+    mapSheetsInBounds
+} from './coordinateSystems.js';
+import { writeKml, parseKml } from './kmlFormat.js';
+import { createZip, readZip, bytesToBase64, base64ToBytes } from './zipArchive.js';
+import { writeShapefiles, collectShapefiles, readShapefile } from './shapefileFormat.js';
+import { parseGpx } from './gpxFormat.js';
+
+// Map instances keyed by the id of the element each map is rendered into.
+// Every map keeps its own parcels, layers and handlers so that dialog maps
+// can live alongside the main audit map.
+const mapInstances = {};
+
+// Identifies the parcel, checkpoint or dispute behind a layer for feature events
+const featureRefs = new WeakMap();
+
+function createMapInstance(mapElementId, map) {
+    return {
+        id: mapElementId,
+        map: map,
+        markers: [],
+        polygons: [],
+        layerGroups: {},
+        drawControl: null,
+        drawingSession: null,
+        snapping: null,
+        subdivision: null,
+        amalgamation: null,
+        drawnItems: null,
+        measurementLayer: null,
+        measurement: null,
+        markerCluster: null,
+        heatmapLayer: null,
+        baseLayers: {},
+        overlayLayers: {},
+        parcelRegistry: {},
+        parcelIndex: createRTree(),
+        parcelIndexEntries: {},
+        miniMapControl: null,
+        coordinateReadout: null,
+        layerSwitcher: null,
+        gridOverlays: {},
+        administrativeAreas: {},
+        administrativeHighlight: null,
+        goToMarker: null,
+        listeners: {},
+        featureEvents: new L.Evented()
+    };
+}
+
+function getMapInstance(mapId) {
+    return mapInstances[mapId] || null;
+}
+
+function createFeatureGroup(instance) {
+    return L.featureGroup().addEventParent(instance.featureEvents);
+}
 
 export function initializeMap(mapElementId, latitude, longitude, zoom) {
-    // Clean up existing map if any
-    if (map) {
-        map.remove();
-        map = null;
+    // Clean up an existing map rendered into the same element, if any
+    if (mapInstances[mapElementId]) {
+        destroyMap(mapElementId);
     }
 
     // Initialize the map with Zambian defaults
-    map = L.map(mapElementId, {
+    const map = L.map(mapElementId, {
         center: [latitude || -15.4167, longitude || 28.2833], // Lusaka, Zambia
         zoom: zoom || 6,
         zoomControl: false, // We'll add custom controls
         attributionControl: true
     });
 
-    // Initialize layer groups
-    drawnItems = new L.FeatureGroup();
-    map.addLayer(drawnItems);
-    
-    layerGroups['parcels'] = L.layerGroup().addTo(map);
-    layerGroups['disputes'] = L.layerGroup().addTo(map);
-    layerGroups['audit'] = L.layerGroup().addTo(map);
-    layerGroups['boundaries'] = L.layerGroup().addTo(map);
-    layerGroups['custom'] = L.layerGroup().addTo(map);
+    const instance = createMapInstance(mapElementId, map);
+    mapInstances[mapElementId] = instance;
+
+    // Initialize layer groups; feature groups pass their layers' events on
+    // to featureEvents for the feature click/hover/popup subscriptions
+    instance.drawnItems = new L.FeatureGroup().addEventParent(instance.featureEvents);
+    map.addLayer(instance.drawnItems);
+
+    ['parcels', 'disputes', 'audit', 'boundaries', 'custom'].forEach(groupName => {
+        instance.layerGroups[groupName] = createFeatureGroup(instance).addTo(map);
+    });
 
     // Add default OpenStreetMap base layer
-    addOpenStreetMapLayer();
+    addOpenStreetMapLayer(mapElementId);
 
-    return true;
+    // The element id is the handle for all other calls on this map
+    return mapElementId;
 }
 
-export function addMarker(latitude, longitude, popupText) {
-    if (!map) return false;
+export function addMarker(mapId, latitude, longitude, popupText, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(sourceCrs)) return false;
 
-    const marker = L.marker([latitude, longitude]).addTo(map);
+    const marker = L.marker(toMapLatLng(latitude, longitude, sourceCrs)).addTo(instance.map);
     
     if (popupText) {
         marker.bindPopup(popupText);
     }
     
-    markers.push(marker);
+    instance.markers.push(marker);
     return true;
 }
 
-export function addBoundaryPolygon(coordinates, popupText, color) {
-    if (!map) return false;
+export function addBoundaryPolygon(mapId, coordinates, popupText, color, validation, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(sourceCrs)) return false;
 
     // Convert coordinates array to Leaflet format
-    const latlngs = coordinates.map(coord => [coord.lat, coord.lng]);
+    const latlngs = checkBoundaryTopology(toMapLatLngs(coordinates.map(coord => [coord.lat, coord.lng]), sourceCrs), validation, 'Boundary polygon');
+    if (!latlngs) return false;
 
     const polygon = L.polygon(latlngs, {
         color: color || '#ff7800',
         weight: 3,
         opacity: 0.8,
         fillOpacity: 0.3
-    }).addTo(map);
+    }).addTo(instance.map);
 
     if (popupText) {
         polygon.bindPopup(popupText);
     }
 
-    polygons.push(polygon);
+    instance.polygons.push(polygon);
 
     // Fit map to polygon bounds
-    map.fitBounds(polygon.getBounds());
+    instance.map.fitBounds(polygon.getBounds());
 
     return true;
 }
 
-export function addCircle(latitude, longitude, radius, popupText, color) {
-    if (!map) return false;
+export function addCircle(mapId, latitude, longitude, radius, popupText, color, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(sourceCrs)) return false;
 
-    const circle = L.circle([latitude, longitude], {
+    const circle = L.circle(toMapLatLng(latitude, longitude, sourceCrs), {
         color: color || '#3388ff',
         fillColor: color || '#3388ff',
         fillOpacity: 0.3,
         radius: radius
-    }).addTo(map);
+    }).addTo(instance.map);
 
     if (popupText) {
         circle.bindPopup(popupText);
     }
 
-    polygons.push(circle);
+    instance.polygons.push(circle);
     return true;
 }
 
-export function clearMarkers() {
-    markers.forEach(marker => marker.remove());
-    markers = [];
+export function clearMarkers(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    instance.markers.forEach(marker => marker.remove());
+    instance.markers = [];
+    return true;
 }
 
-export function clearPolygons() {
-    polygons.forEach(polygon => polygon.remove());
-    polygons = [];
+export function clearPolygons(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    instance.polygons.forEach(polygon => polygon.remove());
+    instance.polygons = [];
+    return true;
 }
 
-export function clearAll() {
-    clearMarkers();
-    clearPolygons();
+export function clearAll(mapId) {
+    clearMarkers(mapId);
+    clearPolygons(mapId);
+    return true;
 }
 
-export function destroyMap() {
-    if (map) {
-        clearAll();
-        map.remove();
-        map = null;
+export function destroyMap(mapId) {
+    const instance = getMapInstance(mapId);
+    if (instance) {
+        clearGoToMarker(mapId);
+        clearAll(mapId);
+        instance.map.remove();
+        delete mapInstances[mapId];
     }
+    return true;
 }
 
-export function fitBounds(coordinates) {
-    if (!map) return false;
+export function fitBounds(mapId, coordinates, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(sourceCrs)) return false;
 
-    const latlngs = coordinates.map(coord => [coord.lat, coord.lng]);
+    const latlngs = toMapLatLngs(coordinates.map(coord => [coord.lat, coord.lng]), sourceCrs);
     const bounds = L.latLngBounds(latlngs);
-    map.fitBounds(bounds);
+    instance.map.fitBounds(bounds);
     
     return true;
 }
 
-export function setView(latitude, longitude, zoom) {
-    if (!map) return false;
-    
-    map.setView([latitude, longitude], zoom);
+export function setView(mapId, latitude, longitude, zoom, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(sourceCrs)) return false;
+
+    instance.map.setView(toMapLatLng(latitude, longitude, sourceCrs), zoom);
     return true;
 }
 
 // ====== BASE LAYER MANAGEMENT ======
 
-export function addOpenStreetMapLayer() {
-    if (!map) return false;
+export function addOpenStreetMapLayer(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     const osmLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
         attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
@@ -153,13 +225,14 @@ export function addOpenStreetMapLayer() {
         id: 'osm'
     });
     
-    baseLayers['OpenStreetMap'] = osmLayer;
-    osmLayer.addTo(map);
+    instance.baseLayers['OpenStreetMap'] = osmLayer;
+    osmLayer.addTo(instance.map);
     return true;
 }
 
-export function addSatelliteLayer() {
-    if (!map) return false;
+export function addSatelliteLayer(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     const satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
         attribution: 'Tiles &copy; Esri',
@@ -167,12 +240,13 @@ export function addSatelliteLayer() {
         id: 'satellite'
     });
     
-    baseLayers['Satellite'] = satelliteLayer;
+    instance.baseLayers['Satellite'] = satelliteLayer;
     return true;
 }
 
-export function addTerrainLayer() {
-    if (!map) return false;
+export function addTerrainLayer(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     const terrainLayer = L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
         attribution: 'Map data: &copy; OpenStreetMap contributors, SRTM | Map style: &copy; OpenTopoMap',
@@ -180,31 +254,34 @@ export function addTerrainLayer() {
         id: 'terrain'
     });
     
-    baseLayers['Terrain'] = terrainLayer;
+    instance.baseLayers['Terrain'] = terrainLayer;
     return true;
 }
 
-export function setBaseLayer(layerType) {
-    if (!map) return false;
+export function setBaseLayer(mapId, layerType) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     // Remove current base layers
-    Object.values(baseLayers).forEach(layer => {
-        if (map.hasLayer(layer)) {
-            map.removeLayer(layer);
+    Object.values(instance.baseLayers).forEach(layer => {
+        if (instance.map.hasLayer(layer)) {
+            instance.map.removeLayer(layer);
         }
     });
     
     // Add requested layer
-    if (baseLayers[layerType]) {
-        baseLayers[layerType].addTo(map);
+    if (instance.baseLayers[layerType]) {
+        const layer = instance.baseLayers[layerType].addTo(instance.map);
+        instance.map.fire('baselayerchange', { layer: layer, name: layerType });
         return true;
     }
     
     return false;
 }
 
-export function addWMSLayer(url, layers, options) {
-    if (!map) return false;
+export function addWMSLayer(mapId, url, layers, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     const wmsLayer = L.tileLayer.wms(url, {
         layers: layers,
@@ -213,16 +290,29 @@ export function addWMSLayer(url, layers, options) {
         ...options
     });
     
-    wmsLayer.addTo(map);
+    wmsLayer.addTo(instance.map);
     return true;
 }
 
 // ====== CADASTRAL BOUNDARY MANAGEMENT ======
 
-export function addParcelBoundary(parcelId, coordinates, options, properties) {
-    if (!map) return false;
-    
-    const polygon = L.polygon(coordinates, {
+export function addParcelBoundary(mapId, parcelId, coordinates, options, properties) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(options?.sourceCrs)) return false;
+
+    return createParcelBoundary(instance, parcelId, coordinates, options, properties) !== null;
+}
+
+// The parcel polygon, or null when validation rejects it. Topology issues go
+// to onIssues(message, issues) when given instead of the console.
+function createParcelBoundary(instance, parcelId, coordinates, options, properties, onIssues) {
+    const latlngs = checkBoundaryTopology(toMapLatLngs(coordinates, options?.sourceCrs), options?.validation, `Parcel ${parcelId}`, onIssues);
+    if (!latlngs) return null;
+
+    // Re-adding a parcel replaces its previous boundary
+    removeParcelBoundary(instance.id, parcelId);
+
+    const polygon = L.polygon(latlngs, {
         color: options?.color || '#FF7800',
         weight: options?.weight || 3,
         opacity: options?.opacity || 0.8,
@@ -234,13 +324,48 @@ export function addParcelBoundary(parcelId, coordinates, options, properties) {
     const popupContent = createParcelPopup(parcelId, properties);
     polygon.bindPopup(popupContent);
     
+    // Properties travel with the layer into GeoJSON and KML exports
+    polygon.feature = { type: 'Feature', properties: { parcelId: parcelId, ...properties } };
+
     // Store parcel in registry
-    parcelRegistry[parcelId] = polygon;
-    
-    polygon.addTo(layerGroups['parcels']);
+    instance.parcelRegistry[parcelId] = polygon;
+    featureRefs.set(polygon, { featureType: 'parcel', featureId: parcelId });
+    indexParcel(instance, parcelId, polygon);
+
+    polygon.addTo(instance.layerGroups['parcels']);
+    return polygon;
+}
+
+export function removeParcelBoundary(mapId, parcelId) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.parcelRegistry[parcelId]) return false;
+
+    const polygon = instance.parcelRegistry[parcelId];
+    instance.layerGroups['parcels'].removeLayer(polygon);
+    delete instance.parcelRegistry[parcelId];
+
+    instance.parcelIndex.remove(instance.parcelIndexEntries[parcelId]);
+    delete instance.parcelIndexEntries[parcelId];
     return true;
 }
 
+// The parcel index keeps each parcel's bounds and GeoJSON for the nearby,
+// nearest and viewport queries
+function indexParcel(instance, parcelId, polygon) {
+    const bounds = polygon.getBounds();
+    const entry = {
+        parcelId: parcelId,
+        geoJson: polygon.toGeoJSON(),
+        minX: bounds.getWest(),
+        minY: bounds.getSouth(),
+        maxX: bounds.getEast(),
+        maxY: bounds.getNorth()
+    };
+
+    instance.parcelIndexEntries[parcelId] = entry;
+    instance.parcelIndex.insert(entry);
+}
+
 function createParcelPopup(parcelId, properties) {
     let content = `<div class="parcel-popup">
         <h4>Parcel ${parcelId}</h4>`;
@@ -257,10 +382,11 @@ function createParcelPopup(parcelId, properties) {
     return content;
 }
 
-export function highlightParcel(parcelId) {
-    if (!map || !parcelRegistry[parcelId]) return false;
-    
-    const parcel = parcelRegistry[parcelId];
+export function highlightParcel(mapId, parcelId) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.parcelRegistry[parcelId]) return false;
+
+    const parcel = instance.parcelRegistry[parcelId];
     parcel.setStyle({
         color: '#FFFF00',
         weight: 5,
@@ -269,16 +395,17 @@ export function highlightParcel(parcelId) {
     });
     
     // Zoom to parcel
-    map.fitBounds(parcel.getBounds());
+    instance.map.fitBounds(parcel.getBounds());
     parcel.openPopup();
     
     return true;
 }
 
-export function unhighlightParcel(parcelId) {
-    if (!map || !parcelRegistry[parcelId]) return false;
-    
-    const parcel = parcelRegistry[parcelId];
+export function unhighlightParcel(mapId, parcelId) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.parcelRegistry[parcelId]) return false;
+
+    const parcel = instance.parcelRegistry[parcelId];
     parcel.setStyle({
         color: '#FF7800',
         weight: 3,
@@ -289,566 +416,3285 @@ export function unhighlightParcel(parcelId) {
     return true;
 }
 
-export function detectBoundaryOverlaps(parcelId1, parcelId2) {
-    if (!parcelRegistry[parcelId1] || !parcelRegistry[parcelId2]) {
+// Tolerances used to classify parcel overlaps; callers may override any of them
+const defaultOverlapTolerances = {
+    touchingAreaSquareMeters: 0.01, // overlaps up to this size only touch
+    touchingDistanceMeters: 0.05, // boundaries this close are touching
+    sliverAreaSquareMeters: 10, // smaller overlaps are slivers
+    sliverWidthMeters: 0.5 // so are overlaps thinner than this on average
+};
+
+export function detectBoundaryOverlaps(mapId, parcelId1, parcelId2, tolerances) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.parcelRegistry[parcelId1] || !instance.parcelRegistry[parcelId2]) {
         return JSON.stringify({ overlaps: false, reason: 'Parcels not found' });
     }
     
-    const parcel1 = parcelRegistry[parcelId1];
-    const parcel2 = parcelRegistry[parcelId2];
-    
-    const bounds1 = parcel1.getBounds();
-    const bounds2 = parcel2.getBounds();
-    
-    const overlaps = bounds1.intersects(bounds2);
+    const parcel1 = instance.parcelRegistry[parcelId1];
+    const parcel2 = instance.parcelRegistry[parcelId2];
+
+    const analysis = analyzeParcelOverlap(parcel1.toGeoJSON(), parcel2.toGeoJSON(), tolerances);
     
     return JSON.stringify({
-        overlaps: overlaps,
-        parcel1Bounds: bounds1,
-        parcel2Bounds: bounds2
+        parcelId1: parcelId1,
+        parcelId2: parcelId2,
+        ...analysis,
+        parcel1Bounds: parcel1.getBounds(),
+        parcel2Bounds: parcel2.getBounds()
     });
 }
 
-// ====== MARKER OPERATIONS ======
+// Exact polygon intersection of two parcels, classified as 'none',
+// 'touching', 'sliver' or 'substantive'
+function analyzeParcelOverlap(geoJson1, geoJson2, tolerances) {
+    const limits = { ...defaultOverlapTolerances, ...tolerances };
+    const overlapGeometry = intersection(geoJson1, geoJson2);
+    const overlapArea = overlapGeometry ? ellipsoidalArea(overlapGeometry) : 0;
+    const area1 = ellipsoidalArea(geoJson1);
+    const area2 = ellipsoidalArea(geoJson2);
 
-export function addDisputeMarker(latitude, longitude, description, options) {
-    if (!map) return false;
-    
-    const disputeIcon = L.divIcon({
-        className: 'dispute-marker',
-        html: '<i class="fa fa-exclamation-triangle" style="color:red; font-size:24px;"></i>',
-        iconSize: [30, 30],
-        iconAnchor: [15, 30]
-    });
-    
-    const marker = L.marker([latitude, longitude], { icon: disputeIcon })
-        .bindPopup(`<div class="dispute-popup">
-            <h4>Land Dispute</h4>
-            <p>${description}</p>
-            <p><strong>ID:</strong> ${options?.disputeId}</p>
-        </div>`);
-    
-    marker.addTo(layerGroups['disputes']);
-    markers.push(marker);
-    return true;
+    let classification;
+    let meanWidth = 0;
+    if (overlapArea <= limits.touchingAreaSquareMeters) {
+        classification = boundariesTouch(geoJson1, geoJson2, limits.touchingDistanceMeters) ? 'touching' : 'none';
+    } else {
+        // A strip of width w and length l has area wl and perimeter of about 2l
+        meanWidth = 2 * overlapArea / geodesicPerimeter(overlapGeometry);
+        classification = overlapArea < limits.sliverAreaSquareMeters || meanWidth < limits.sliverWidthMeters
+            ? 'sliver'
+            : 'substantive';
+    }
+
+    const overlaps = classification === 'sliver' || classification === 'substantive';
+    return {
+        overlaps: overlaps,
+        classification: classification,
+        overlapGeometry: overlaps ? overlapGeometry : null,
+        overlapAreaSquareMeters: roundTo(overlapArea, 2),
+        overlapAreaHectares: roundTo(overlapArea / 10000, 4),
+        meanOverlapWidthMeters: roundTo(meanWidth, 3),
+        parcel1PercentAffected: area1 > 0 ? roundTo(overlapArea / area1 * 100, 3) : 0,
+        parcel2PercentAffected: area2 > 0 ? roundTo(overlapArea / area2 * 100, 3) : 0
+    };
 }
 
-export function addAuditCheckpoint(latitude, longitude, status, options) {
-    if (!map) return false;
-    
-    const iconColor = status === 'Completed' ? 'green' : status === 'Pending' ? 'orange' : 'blue';
-    const auditIcon = L.divIcon({
-        className: 'audit-marker',
-        html: `<i class="fa fa-clipboard-check" style="color:${iconColor}; font-size:24px;"></i>`,
-        iconSize: [30, 30],
-        iconAnchor: [15, 30]
-    });
-    
-    const marker = L.marker([latitude, longitude], { icon: auditIcon })
-        .bindPopup(`<div class="audit-popup">
-            <h4>Audit Checkpoint</h4>
-            <p><strong>Status:</strong> ${status}</p>
-            <p><strong>ID:</strong> ${options?.checkpointId}</p>
-        </div>`);
-    
-    marker.addTo(layerGroups['audit']);
-    markers.push(marker);
-    return true;
+function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
 }
 
-export function addLandRegistryMarker(latitude, longitude, registryInfo) {
-    if (!map) return false;
-    
-    const registryIcon = L.divIcon({
-        className: 'registry-marker',
-        html: '<i class="fa fa-file-contract" style="color:blue; font-size:24px;"></i>',
-        iconSize: [30, 30],
-        iconAnchor: [15, 30]
-    });
-    
-    const marker = L.marker([latitude, longitude], { icon: registryIcon })
-        .bindPopup(`<div class="registry-popup">
-            <h4>Land Registry</h4>
-            <p>${registryInfo}</p>
-        </div>`);
-    
-    marker.addTo(layerGroups['parcels']);
-    markers.push(marker);
-    return true;
+// ====== TOPOLOGY VALIDATION ======
+
+const validationIssueColors = {
+    error: '#D32F2F',
+    warning: '#FFA000'
+};
+
+// Checks a boundary for self-intersections, duplicate vertices, reversed
+// rings, spikes and the like. coordinates may be Leaflet lat/lng rings or
+// GeoJSON. With options.repair the safe fixes are applied and the repaired
+// geometry is returned alongside the issues that remain.
+export function validateBoundaryGeometry(coordinates, options) {
+    const geoJson = coordinates?.type ? coordinates : L.polygon(coordinates).toGeoJSON();
+    return JSON.stringify(buildValidationReport(geoJson, options));
 }
 
-// ====== POLYGON AND SHAPE OPERATIONS ======
+// Validates a registered parcel and marks each issue on the map in the
+// 'validation' group. With options.repair the parcel takes the repaired
+// boundary, provided that leaves no errors behind.
+export function validateParcel(mapId, parcelId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.parcelRegistry[parcelId]) {
+        return JSON.stringify({ parcelId: parcelId, valid: false, reason: 'Parcel not found' });
+    }
 
-export function addPolyline(latLngs, options) {
-    if (!map) return false;
-    
-    const polyline = L.polyline(latLngs, {
-        color: options?.color || '#3388ff',
-        weight: options?.weight || 2,
-        opacity: options?.opacity || 1.0,
-        ...options
-    });
-    
-    polyline.addTo(map);
-    polygons.push(polyline);
-    return true;
+    const parcel = instance.parcelRegistry[parcelId];
+    const report = { parcelId: parcelId, ...buildValidationReport(parcel.toGeoJSON(), options) };
+
+    if (report.repaired && report.repaired.remainingIssues.every(issue => issue.severity !== 'error')) {
+        parcel.setLatLngs(geometryToLatLngs(report.repaired.geometry));
+        instance.parcelIndex.remove(instance.parcelIndexEntries[parcelId]);
+        indexParcel(instance, parcelId, parcel);
+        report.repaired.applied = true;
+    }
+
+    if (options?.showIssues !== false) {
+        showValidationIssues(instance, parcelId, report.repaired?.applied ? report.repaired.remainingIssues : report.issues);
+    }
+    return JSON.stringify(report);
 }
 
-export function addRectangle(bounds, options) {
-    if (!map) return false;
-    
-    const rectangle = L.rectangle(bounds, {
-        color: options?.color || '#3388ff',
-        weight: options?.weight || 2,
-        fillOpacity: options?.fillOpacity || 0.3,
-        ...options
-    });
-    
-    rectangle.addTo(map);
-    polygons.push(rectangle);
+export function clearValidationIssues(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    if (instance.layerGroups['validation']) {
+        instance.layerGroups['validation'].clearLayers();
+    }
     return true;
 }
 
-// ====== GEOJSON OPERATIONS ======
+function buildValidationReport(geoJson, options) {
+    const issues = validatePolygon(geoJson, options).map(describeValidationIssue);
+    const report = {
+        valid: issues.every(issue => issue.severity !== 'error'),
+        errorCount: issues.filter(issue => issue.severity === 'error').length,
+        warningCount: issues.filter(issue => issue.severity === 'warning').length,
+        issues: issues
+    };
 
-export function addGeoJson(geoJson, options) {
-    if (!map) return false;
-    
-    const geoJsonLayer = L.geoJSON(geoJson, {
-        style: options?.style || {
-            color: '#3388ff',
-            weight: 2,
-            opacity: 0.8,
-            fillOpacity: 0.3
-        },
-        onEachFeature: function (feature, layer) {
-            if (feature.properties) {
-                layer.bindPopup(createFeaturePopup(feature.properties));
-            }
-        }
-    });
-    
-    geoJsonLayer.addTo(map);
-    polygons.push(geoJsonLayer);
-    return true;
+    if (options?.repair && issues.some(issue => issue.repairable)) {
+        const repair = repairPolygon(geoJson, options);
+        report.repaired = {
+            applied: false,
+            geometry: repair.geometry,
+            fixes: repair.fixes,
+            remainingIssues: validatePolygon(repair.geometry, options).map(describeValidationIssue)
+        };
+    }
+
+    return report;
 }
 
-export function addGeoJsonWithPopup(geoJson, popupTemplate) {
-    if (!map) return false;
-    
-    const geoJsonLayer = L.geoJSON(geoJson, {
-        onEachFeature: function (feature, layer) {
-            if (feature.properties) {
-                let popup = popupTemplate;
-                for (const [key, value] of Object.entries(feature.properties)) {
-                    popup = popup.replace(`{${key}}`, value);
-                }
-                layer.bindPopup(popup);
-            }
-        }
-    });
-    
-    geoJsonLayer.addTo(map);
-    polygons.push(geoJsonLayer);
-    return true;
+// Issues carry latitude/longitude so .NET can place its own markers
+function describeValidationIssue(issue) {
+    const { location, ...rest } = issue;
+    return {
+        ...rest,
+        latitude: location ? location[1] : null,
+        longitude: location ? location[0] : null
+    };
 }
 
-function createFeaturePopup(properties) {
-    let content = '<div class="feature-popup"><table>';
-    for (const [key, value] of Object.entries(properties)) {
-        content += `<tr><td><strong>${key}:</strong></td><td>${value}</td></tr>`;
+// Applies a validation mode to boundary coordinates before they are added:
+// 'repair' adds the safely repaired boundary, 'reject' refuses boundaries
+// with errors (returns null) and anything else adds them with a warning.
+// Bulk callers pass onIssues(message, issues) to collect the warnings.
+function checkBoundaryTopology(latlngs, mode, label, onIssues) {
+    const geoJson = L.polygon(latlngs).toGeoJSON();
+    const report = buildValidationReport(geoJson, { repair: mode === 'repair' });
+    const warn = onIssues || ((message, issues) => console.warn(`${label} ${message}`, issues));
+
+    if (report.repaired) {
+        if (report.repaired.remainingIssues.every(issue => issue.severity !== 'error')) {
+            return geometryToLatLngs(report.repaired.geometry);
+        }
+        warn('could not be fully repaired', report.repaired.remainingIssues);
+        return latlngs;
     }
-    content += '</table></div>';
-    return content;
+
+    // Leaflet rings have no required orientation, so that alone is no issue
+    const issues = report.issues.filter(issue => issue.type !== 'reversed-ring');
+    if (issues.length === 0) return latlngs;
+
+    if (mode === 'reject' && !report.valid) {
+        warn('rejected for topology errors', issues);
+        return null;
+    }
+    warn(`has ${issues.length} topology issue(s)`, issues);
+    return latlngs;
 }
 
-export function loadZambianProvinces() {
-    // This would load actual Zambian provincial boundaries from a GeoJSON source
-    console.log('Loading Zambian provinces...');
-    // Implementation would fetch from actual data source
-    return true;
+function geometryToLatLngs(geometry) {
+    return L.GeoJSON.coordsToLatLngs(geometry.coordinates, geometry.type === 'MultiPolygon' ? 2 : 1);
 }
 
-export function loadDistrictBoundaries(province) {
-    // This would load district boundaries for a specific province
-    console.log(`Loading ${province} district boundaries...`);
-    // Implementation would fetch from actual data source
-    return true;
+function showValidationIssues(instance, parcelId, issues) {
+    if (!instance.layerGroups['validation']) {
+        instance.layerGroups['validation'] = createFeatureGroup(instance).addTo(instance.map);
+    }
+
+    const group = instance.layerGroups['validation'];
+    group.eachLayer(layer => {
+        if (featureRefs.get(layer)?.featureId.startsWith(`${parcelId}:`)) group.removeLayer(layer);
+    });
+
+    issues.forEach((issue, index) => {
+        if (issue.latitude === null) return;
+
+        const marker = L.circleMarker([issue.latitude, issue.longitude], {
+            radius: 7,
+            color: validationIssueColors[issue.severity],
+            fillColor: validationIssueColors[issue.severity],
+            fillOpacity: 0.6,
+            weight: 2
+        });
+        marker.bindPopup(`<div class="validation-popup">
+            <h4>${issue.type}</h4>
+            <p>${issue.message}</p>
+        </div>`);
+        featureRefs.set(marker, { featureType: 'validation', featureId: `${parcelId}:${index}` });
+        group.addLayer(marker);
+    });
 }
 
-// ====== MEASUREMENT TOOLS ======
+// ====== CADASTRAL FABRIC SCAN ======
 
-export function measureArea(coordinates) {
-    const polygon = L.polygon(coordinates);
-    const areaSquareMeters = L.GeometryUtil.geodesicArea(polygon.getLatLngs()[0]);
-    const areaHectares = areaSquareMeters / 10000;
-    const areaAcres = areaHectares * 2.471;
-    
-    return {
-        squareMeters: areaSquareMeters.toFixed(2),
-        hectares: areaHectares.toFixed(4),
-        acres: areaAcres.toFixed(4)
+const defaultFabricScanOptions = {
+    groupName: null, // scan this layer group instead of the parcel registry
+    boundaryGroup: 'boundaries', // administrative boundaries parcels must fall in
+    maxGapAreaSquareMeters: 500, // larger voids are taken to be roads or open land
+    showConflicts: true
+};
+
+const conflictStyles = {
+    overlap: { color: '#D32F2F', weight: 2, fillColor: '#F44336', fillOpacity: 0.5 },
+    gap: { color: '#F57C00', weight: 2, dashArray: '4,4', fillColor: '#FFB74D', fillOpacity: 0.5 },
+    uncovered: { color: '#7B1FA2', weight: 2, dashArray: '6,3', fillColor: '#BA68C8', fillOpacity: 0.4 }
+};
+
+// Scans every parcel for pairwise overlaps, enclosed gaps below the size
+// threshold and parts lying outside all administrative boundaries. The
+// report carries LandAnomaly-ready records and the findings are drawn into
+// the 'conflicts' layer group.
+export function scanParcelFabric(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ reason: 'Map not found' });
+
+    const settings = { ...defaultFabricScanOptions, ...options };
+    const tolerances = { ...defaultOverlapTolerances, ...settings.tolerances };
+    const parcels = collectScanParcels(instance, settings.groupName);
+    const parcelIndex = createGridIndex(parcels, 0);
+
+    // Pairwise overlaps between parcels whose bounds meet
+    const overlaps = [];
+    parcelIndex.forEachPair((a, b) => {
+        const analysis = analyzeParcelOverlap(a.geoJson, b.geoJson, tolerances);
+        if (analysis.overlaps) {
+            overlaps.push({
+                findingId: `overlap-${overlaps.length + 1}`,
+                parcelId1: a.parcelId,
+                parcelId2: b.parcelId,
+                ...analysis
+            });
+        }
+    });
+
+    // Holes in the dissolved fabric are voids enclosed by parcels
+    const fabric = overlay(parcels.map(parcel => parcel.geoJson), inside => inside.size > 0);
+    const gaps = [];
+    fabric.forEach(polygon => polygon.slice(1).forEach(hole => {
+        const geometry = toGeoJsonGeometry([[hole.slice().reverse()]]);
+        const area = ellipsoidalArea(geometry);
+        if (area <= tolerances.touchingAreaSquareMeters || area > settings.maxGapAreaSquareMeters) return;
+
+        const adjacentParcelIds = parcelIndex.query(polygonsBounds([[hole]]))
+            .filter(parcel => boundariesTouch(geometry, parcel.geoJson, tolerances.touchingDistanceMeters))
+            .map(parcel => parcel.parcelId);
+
+        gaps.push({
+            findingId: `gap-${gaps.length + 1}`,
+            geometry: geometry,
+            areaSquareMeters: roundTo(area, 2),
+            areaHectares: roundTo(area / 10000, 4),
+            adjacentParcelIds: adjacentParcelIds
+        });
+    }));
+
+    const boundaryCheck = findParcelsOutsideBoundaries(instance, settings.boundaryGroup, fabric, parcelIndex, tolerances);
+
+    const report = {
+        parcelCount: parcels.length,
+        scannedAt: new Date().toISOString(),
+        overlaps: overlaps,
+        gaps: gaps,
+        uncoveredParcels: boundaryCheck.uncoveredParcels,
+        boundaryCheck: boundaryCheck.status,
+        summary: {
+            overlaps: overlaps.length,
+            substantiveOverlaps: overlaps.filter(overlap => overlap.classification === 'substantive').length,
+            slivers: overlaps.filter(overlap => overlap.classification === 'sliver').length,
+            gaps: gaps.length,
+            uncoveredParcels: boundaryCheck.uncoveredParcels.length
+        }
     };
+    report.anomalies = createFabricAnomalies(report);
+
+    if (settings.showConflicts) {
+        showFabricConflicts(instance, report);
+    }
+
+    return JSON.stringify(report);
 }
 
-export function measureDistance(lat1, lng1, lat2, lng2) {
-    const point1 = L.latLng(lat1, lng1);
-    const point2 = L.latLng(lat2, lng2);
-    const distanceMeters = point1.distanceTo(point2);
-    const distanceKm = distanceMeters / 1000;
-    
-    return {
-        meters: distanceMeters.toFixed(2),
-        kilometers: distanceKm.toFixed(3),
-        miles: (distanceKm * 0.621371).toFixed(3)
-    };
+export function clearFabricConflicts(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    if (instance.layerGroups['conflicts']) {
+        instance.layerGroups['conflicts'].clearLayers();
+    }
+    return true;
 }
 
-export function measurePerimeter(coordinates) {
-    let totalDistance = 0;
-    for (let i = 0; i < coordinates.length; i++) {
-        const point1 = L.latLng(coordinates[i]);
-        const point2 = L.latLng(coordinates[(i + 1) % coordinates.length]);
-        totalDistance += point1.distanceTo(point2);
+// Parcels to scan: the parcel registry, or every polygon in a layer group
+function collectScanParcels(instance, groupName) {
+    let entries = [];
+
+    if (groupName) {
+        const group = instance.layerGroups[groupName];
+        if (group) {
+            entries = collectPolygonLayers(group).map(layer => ({ parcelId: getLayerFeatureId(layer), layer: layer }));
+        }
+    } else {
+        entries = Object.entries(instance.parcelRegistry).map(([parcelId, layer]) => ({ parcelId: parcelId, layer: layer }));
     }
-    
-    return {
-        meters: totalDistance.toFixed(2),
-        kilometers: (totalDistance / 1000).toFixed(3)
-    };
+
+    return entries.map(entry => {
+        const geoJson = entry.layer.toGeoJSON();
+        return { ...entry, geoJson: geoJson, ...polygonsBounds(toPolygons(geoJson)) };
+    });
 }
 
-export function enableMeasurementTool(measurementType) {
-    if (!map) return false;
-    
-    measurementLayer = new L.LayerGroup().addTo(map);
-    
-    // Enable drawing for measurement
-    map.on('click', function(e) {
-        // Implementation for interactive measurement
-        console.log('Measurement tool enabled:', measurementType);
+function collectPolygonLayers(group) {
+    const layers = [];
+    group.eachLayer(layer => {
+        if (layer instanceof L.Polygon) {
+            layers.push(layer);
+        } else if (layer instanceof L.LayerGroup) {
+            layers.push(...collectPolygonLayers(layer));
+        }
     });
-    
-    return true;
+    return layers;
+}
+
+function getLayerFeatureId(layer) {
+    const ref = featureRefs.get(layer);
+    const properties = layer.feature?.properties || {};
+    return ref?.featureId ?? properties.parcelId ?? properties.id ?? properties.featureId ?? `layer-${L.stamp(layer)}`;
 }
 
-export function disableMeasurementTool() {
-    if (measurementLayer) {
-        map.removeLayer(measurementLayer);
-        measurementLayer = null;
+function findParcelsOutsideBoundaries(instance, boundaryGroupName, fabric, parcelIndex, tolerances) {
+    const boundaryGroup = instance.layerGroups[boundaryGroupName];
+    const boundaries = boundaryGroup ? collectPolygonLayers(boundaryGroup).map(layer => layer.toGeoJSON()) : [];
+    if (boundaries.length === 0 || fabric.length === 0) {
+        return { status: 'skipped', uncoveredParcels: [] };
     }
-    map.off('click');
-    return true;
+
+    const outside = toPolygons(difference(toGeoJsonGeometry(fabric), union(boundaries)));
+    const uncoveredByParcel = new Map();
+
+    outside.forEach(polygon => {
+        const pieceGeometry = toGeoJsonGeometry([polygon]);
+        parcelIndex.query(polygonsBounds([polygon])).forEach(parcel => {
+            const piece = intersection(parcel.geoJson, pieceGeometry);
+            if (!piece) return;
+
+            const entry = uncoveredByParcel.get(parcel) || { area: 0, polygons: [] };
+            entry.area += ellipsoidalArea(piece);
+            entry.polygons.push(...toPolygons(piece));
+            uncoveredByParcel.set(parcel, entry);
+        });
+    });
+
+    const uncoveredParcels = [];
+    uncoveredByParcel.forEach((entry, parcel) => {
+        if (entry.area <= tolerances.touchingAreaSquareMeters) return;
+
+        const parcelArea = ellipsoidalArea(parcel.geoJson);
+        uncoveredParcels.push({
+            findingId: `uncovered-${uncoveredParcels.length + 1}`,
+            parcelId: parcel.parcelId,
+            geometry: toGeoJsonGeometry(entry.polygons),
+            uncoveredAreaSquareMeters: roundTo(entry.area, 2),
+            uncoveredAreaHectares: roundTo(entry.area / 10000, 4),
+            percentUncovered: parcelArea > 0 ? roundTo(entry.area / parcelArea * 100, 3) : 0
+        });
+    });
+
+    return { status: 'completed', uncoveredParcels: uncoveredParcels };
 }
 
-// ====== DRAWING AND EDITING TOOLS ======
+function createFabricAnomalies(report) {
+    const anomalies = [];
 
-export function initDrawTools(lineColor, fillColor, lineWeight) {
-    if (!map) return false;
-    
-    drawControl = new L.Control.Draw({
-        position: 'topright',
-        draw: {
-            polygon: {
-                shapeOptions: {
-                    color: lineColor || '#3388ff',
-                    fillColor: fillColor || '#3388ff',
-                    weight: lineWeight || 2
-                }
-            },
-            polyline: {
-                shapeOptions: {
-                    color: lineColor || '#3388ff',
-                    weight: lineWeight || 2
-                }
-            },
-            rectangle: {
-                shapeOptions: {
-                    color: lineColor || '#3388ff',
-                    fillColor: fillColor || '#3388ff',
-                    weight: lineWeight || 2
-                }
-            },
-            circle: {
-                shapeOptions: {
-                    color: lineColor || '#3388ff',
-                    fillColor: fillColor || '#3388ff',
-                    weight: lineWeight || 2
+    report.overlaps.forEach(overlap => {
+        anomalies.push({
+            findingId: overlap.findingId,
+            anomalyType: overlap.classification === 'substantive' ? 'Overlapping Titles' : 'Boundary Discrepancy',
+            severity: overlap.classification === 'substantive' ? 'High' : 'Medium',
+            description: `Parcels ${overlap.parcelId1} and ${overlap.parcelId2} overlap by ${overlap.overlapAreaSquareMeters} m² ` +
+                `(${overlap.parcel1PercentAffected}% and ${overlap.parcel2PercentAffected}% of each parcel)`,
+            parcelIds: [overlap.parcelId1, overlap.parcelId2],
+            areaSquareMeters: overlap.overlapAreaSquareMeters,
+            ...geometryLocation(overlap.overlapGeometry),
+            geoJsonGeometry: JSON.stringify(overlap.overlapGeometry)
+        });
+    });
+
+    report.gaps.forEach(gap => {
+        anomalies.push({
+            findingId: gap.findingId,
+            anomalyType: 'Boundary Discrepancy',
+            severity: 'Low',
+            description: `Unallocated gap of ${gap.areaSquareMeters} m² between parcels ${gap.adjacentParcelIds.join(', ')}`,
+            parcelIds: gap.adjacentParcelIds,
+            areaSquareMeters: gap.areaSquareMeters,
+            ...geometryLocation(gap.geometry),
+            geoJsonGeometry: JSON.stringify(gap.geometry)
+        });
+    });
+
+    report.uncoveredParcels.forEach(uncovered => {
+        anomalies.push({
+            findingId: uncovered.findingId,
+            anomalyType: 'Boundary Discrepancy',
+            severity: 'Medium',
+            description: `Parcel ${uncovered.parcelId} has ${uncovered.uncoveredAreaSquareMeters} m² ` +
+                `(${uncovered.percentUncovered}%) outside every administrative boundary`,
+            parcelIds: [uncovered.parcelId],
+            areaSquareMeters: uncovered.uncoveredAreaSquareMeters,
+            ...geometryLocation(uncovered.geometry),
+            geoJsonGeometry: JSON.stringify(uncovered.geometry)
+        });
+    });
+
+    return anomalies;
+}
+
+function geometryLocation(geometry) {
+    const bounds = polygonsBounds(toPolygons(geometry));
+    return {
+        latitude: (bounds.minY + bounds.maxY) / 2,
+        longitude: (bounds.minX + bounds.maxX) / 2
+    };
+}
+
+function showFabricConflicts(instance, report) {
+    if (!instance.layerGroups['conflicts']) {
+        instance.layerGroups['conflicts'] = createFeatureGroup(instance).addTo(instance.map);
+    }
+
+    const group = instance.layerGroups['conflicts'];
+    group.clearLayers();
+
+    const findings = [
+        ...report.overlaps.map(overlap => ({ kind: 'overlap', findingId: overlap.findingId, geometry: overlap.overlapGeometry })),
+        ...report.gaps.map(gap => ({ kind: 'gap', findingId: gap.findingId, geometry: gap.geometry })),
+        ...report.uncoveredParcels.map(uncovered => ({ kind: 'uncovered', findingId: uncovered.findingId, geometry: uncovered.geometry }))
+    ];
+    const descriptions = {};
+    report.anomalies.forEach(anomaly => {
+        descriptions[anomaly.findingId] = anomaly.description;
+    });
+
+    findings.forEach(finding => {
+        const layer = L.geoJSON(finding.geometry, { style: conflictStyles[finding.kind] });
+        layer.eachLayer(part => {
+            featureRefs.set(part, { featureType: 'conflict', featureId: finding.findingId });
+            part.bindPopup(`<div class="conflict-popup">
+                <h4>${finding.kind === 'overlap' ? 'Boundary Overlap' : finding.kind === 'gap' ? 'Boundary Gap' : 'Outside Administrative Boundary'}</h4>
+                <p>${descriptions[finding.findingId]}</p>
+            </div>`);
+        });
+        group.addLayer(layer);
+    });
+}
+
+// ====== PARCEL SUBDIVISION ======
+
+const defaultSubdivisionOptions = {
+    areaToleranceSquareMeters: 0.01, // allowed difference between parent and children
+    lineColor: '#E91E63'
+};
+
+const subdivisionStyle = {
+    color: '#00897B',
+    weight: 2,
+    dashArray: '6,4',
+    fillColor: '#4DB6AC',
+    fillOpacity: 0.35
+};
+
+// Interactive subdivision: the user sketches a cutting line across the
+// parcel (click per vertex, double-click to finish, Escape to cancel). The
+// result goes to .NET through OnParcelSubdividedEvent and the provisional
+// pieces stay dashed in the 'subdivision' group until confirmed.
+export function startParcelSubdivision(mapId, parcelId, dotNetReference, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.parcelRegistry[parcelId]) return false;
+
+    cancelParcelSubdivision(mapId);
+    const settings = { ...defaultSubdivisionOptions, ...options };
+    instance.map.fitBounds(instance.parcelRegistry[parcelId].getBounds());
+
+    instance.subdivision = {
+        parcelId: parcelId,
+        result: null,
+        sketch: startLineSketch(instance, 'subdivision', {
+            color: settings.lineColor,
+            onFinish: latlngs => {
+                instance.subdivision.sketch = null;
+                const result = previewSubdivision(instance, parcelId, latlngs, settings);
+                if (dotNetReference) {
+                    dotNetReference.invokeMethodAsync('OnParcelSubdividedEvent', JSON.stringify(result));
                 }
             },
-            marker: true,
-            circlemarker: false
-        },
-        edit: {
-            featureGroup: drawnItems,
-            remove: true
-        }
+            onCancel: () => cancelParcelSubdivision(mapId)
+        })
+    };
+
+    return true;
+}
+
+// Splits a parcel along a given line of [lat, lng] points without sketching
+export function subdivideParcel(mapId, parcelId, cutLine, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.parcelRegistry[parcelId]) {
+        return JSON.stringify({ success: false, reason: 'Parcel not found' });
+    }
+
+    cancelParcelSubdivision(mapId);
+    instance.subdivision = { parcelId: parcelId, result: null, sketch: null };
+
+    const result = previewSubdivision(instance, parcelId, cutLine.map(point => L.latLng(point)), { ...defaultSubdivisionOptions, ...options });
+    return JSON.stringify(result);
+}
+
+// Registers the provisional pieces as parcels in place of the parent.
+// parcelIds optionally maps provisional ids to the ids to register under.
+// Returns JSON { success, reason, parentParcelId, parcelIds }.
+export function confirmParcelSubdivision(mapId, parcelIds) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+    if (!instance.subdivision?.result?.success) {
+        return JSON.stringify({ success: false, reason: 'No subdivision is waiting to be confirmed' });
+    }
+
+    const result = instance.subdivision.result;
+    const registered = result.children.map(child => {
+        const childId = parcelIds?.[child.provisionalId] || child.provisionalId;
+        addParcelBoundary(mapId, childId, geometryToLatLngs(child.geometry), null, {
+            parentParcelId: result.parentParcelId,
+            areaHectares: child.areaHectares
+        });
+        return childId;
     });
-    
-    map.addControl(drawControl);
-    
-    // Handle drawn features
-    map.on(L.Draw.Event.CREATED, function (e) {
-        const layer = e.layer;
-        drawnItems.addLayer(layer);
+
+    removeParcelBoundary(mapId, result.parentParcelId);
+    cancelParcelSubdivision(mapId);
+
+    return JSON.stringify({
+        success: true,
+        reason: null,
+        parentParcelId: result.parentParcelId,
+        parcelIds: registered
     });
-    
-    return true;
 }
 
-export function enableDrawing() {
-    if (drawControl) {
-        new L.Draw.Polygon(map).enable();
+export function cancelParcelSubdivision(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    const subdivision = instance.subdivision;
+    instance.subdivision = null;
+    if (subdivision?.sketch) {
+        subdivision.sketch.cancel();
+    }
+    if (instance.layerGroups['subdivision']) {
+        instance.layerGroups['subdivision'].clearLayers();
     }
     return true;
 }
 
-export function disableDrawing() {
-    map.off(L.Draw.Event.CREATED);
-    return true;
+function previewSubdivision(instance, parcelId, latlngs, settings) {
+    const result = splitParcel(instance.parcelRegistry[parcelId].toGeoJSON(), latlngs, settings);
+    result.parentParcelId = parcelId;
+    result.children.forEach((child, index) => {
+        child.provisionalId = `${parcelId}/${index + 1}`;
+    });
+    if (instance.subdivision) {
+        instance.subdivision.result = result;
+    }
+
+    if (!instance.layerGroups['subdivision']) {
+        instance.layerGroups['subdivision'] = createFeatureGroup(instance).addTo(instance.map);
+    }
+    const group = instance.layerGroups['subdivision'];
+    group.clearLayers();
+
+    if (result.success) {
+        result.children.forEach(child => {
+            const layer = L.geoJSON(child.geometry, { style: subdivisionStyle });
+            layer.eachLayer(part => {
+                featureRefs.set(part, { featureType: 'subdivision', featureId: child.provisionalId });
+                part.bindTooltip(`${child.provisionalId}<br>${child.areaHectares} ha`, { permanent: true, direction: 'center' });
+            });
+            group.addLayer(layer);
+        });
+    }
+
+    return result;
+}
+
+// Cuts the parent and checks that the pieces add back up to its area
+function splitParcel(parentGeoJson, latlngs, settings) {
+    const line = latlngs.map(latlng => [latlng.lng, latlng.lat]);
+    const parentArea = ellipsoidalArea(parentGeoJson);
+    const result = {
+        success: false,
+        reason: null,
+        cutLine: { type: 'LineString', coordinates: line },
+        parentAreaSquareMeters: roundTo(parentArea, 2),
+        childrenAreaSquareMeters: 0,
+        areaDifferenceSquareMeters: 0,
+        areasBalance: false,
+        children: []
+    };
+
+    if (line.length < 2) {
+        result.reason = 'The cutting line needs at least two points';
+        return result;
+    }
+
+    const pieces = splitPolygon(parentGeoJson, line);
+    if (pieces.length < 2) {
+        result.reason = 'The cutting line must cross the parcel from boundary to boundary';
+        return result;
+    }
+
+    // Number the pieces from north-west to south-east
+    const children = pieces.map(piece => {
+        const geometry = toGeoJsonGeometry([piece]);
+        const bounds = polygonsBounds([piece]);
+        return {
+            geometry: geometry,
+            area: ellipsoidalArea(geometry),
+            centreX: (bounds.minX + bounds.maxX) / 2,
+            centreY: (bounds.minY + bounds.maxY) / 2
+        };
+    }).sort((a, b) => (b.centreY - a.centreY) || (a.centreX - b.centreX));
+
+    const childrenArea = children.reduce((total, child) => total + child.area, 0);
+    const areaDifference = childrenArea - parentArea;
+
+    result.success = true;
+    result.childrenAreaSquareMeters = roundTo(childrenArea, 2);
+    result.areaDifferenceSquareMeters = roundTo(areaDifference, 4);
+    result.areasBalance = Math.abs(areaDifference) <= settings.areaToleranceSquareMeters;
+    result.children = children.map(child => ({
+        provisionalId: null,
+        provisional: true,
+        areaSquareMeters: roundTo(child.area, 2),
+        areaHectares: roundTo(child.area / 10000, 4),
+        geometry: child.geometry
+    }));
+
+    return result;
+}
+
+// ====== PARCEL AMALGAMATION ======
+
+const amalgamationStyle = {
+    color: '#6A1B9A',
+    weight: 3,
+    dashArray: '6,4',
+    fillColor: '#BA68C8',
+    fillOpacity: 0.35
+};
+
+// Dissolves two or more adjacent parcels into one boundary for amalgamation
+// and consolidation applications. Shared edges disappear in the union;
+// parcels that only meet at a corner or are apart leave separate pieces and
+// are reported as not contiguous. The merged parcel is previewed in the
+// 'amalgamation' group until confirmParcelAmalgamation registers it.
+export function amalgamateParcels(mapId, parcelIds) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+
+    cancelParcelAmalgamation(mapId);
+
+    const sourceIds = [...new Set(parcelIds || [])];
+    const missing = sourceIds.filter(parcelId => !instance.parcelRegistry[parcelId]);
+    const result = {
+        success: false,
+        reason: null,
+        contiguous: false,
+        sourceParcelIds: sourceIds,
+        missingParcelIds: missing,
+        geometry: null,
+        areaSquareMeters: 0,
+        areaHectares: 0,
+        sourceAreaSquareMeters: 0,
+        enclosedGapCount: 0,
+        components: []
+    };
+
+    if (missing.length > 0) {
+        result.reason = 'Parcels not found';
+        return JSON.stringify(result);
+    }
+    if (sourceIds.length < 2) {
+        result.reason = 'At least two parcels are needed';
+        return JSON.stringify(result);
+    }
+
+    const sources = sourceIds.map(parcelId => ({
+        parcelId: parcelId,
+        geoJson: instance.parcelRegistry[parcelId].toGeoJSON()
+    }));
+    const pieces = overlay(sources.map(source => source.geoJson), inside => inside.size > 0);
+    const area = pieces.length > 0 ? ellipsoidalArea(toGeoJsonGeometry(pieces)) : 0;
+
+    result.geometry = toGeoJsonGeometry(pieces);
+    result.areaSquareMeters = roundTo(area, 2);
+    result.areaHectares = roundTo(area / 10000, 4);
+    result.sourceAreaSquareMeters = roundTo(sources.reduce((total, source) => total + ellipsoidalArea(source.geoJson), 0), 2);
+    result.enclosedGapCount = pieces.reduce((total, piece) => total + piece.length - 1, 0);
+
+    // Which parcels ended up in each separate piece of the union
+    result.components = pieces.map(piece => {
+        const pieceGeometry = toGeoJsonGeometry([piece]);
+        return sources
+            .filter(source => intersection(source.geoJson, pieceGeometry) !== null)
+            .map(source => source.parcelId);
+    });
+
+    result.contiguous = pieces.length === 1;
+    result.success = result.contiguous;
+    if (!result.contiguous) {
+        result.reason = `The parcels form ${pieces.length} separate areas`;
+        return JSON.stringify(result);
+    }
+
+    instance.amalgamation = { result: result };
+    if (!instance.layerGroups['amalgamation']) {
+        instance.layerGroups['amalgamation'] = createFeatureGroup(instance).addTo(instance.map);
+    }
+    L.geoJSON(result.geometry, { style: amalgamationStyle }).eachLayer(layer => {
+        featureRefs.set(layer, { featureType: 'amalgamation', featureId: sourceIds.join('+') });
+        layer.bindTooltip(`${sourceIds.join(' + ')}<br>${result.areaHectares} ha`, { permanent: true, direction: 'center' });
+        instance.layerGroups['amalgamation'].addLayer(layer);
+    });
+
+    return JSON.stringify(result);
+}
+
+// Registers the previewed merge under parcelId and retires the source
+// parcels. Returns JSON { success, reason, parcelId, sourceParcelIds }.
+export function confirmParcelAmalgamation(mapId, parcelId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+    if (!instance.amalgamation) {
+        return JSON.stringify({ success: false, reason: 'No amalgamation is waiting to be confirmed' });
+    }
+    if (!parcelId) return JSON.stringify({ success: false, reason: 'A parcel id is needed' });
+
+    const result = instance.amalgamation.result;
+    result.sourceParcelIds.forEach(sourceId => removeParcelBoundary(mapId, sourceId));
+
+    addParcelBoundary(mapId, parcelId, geometryToLatLngs(result.geometry), null, {
+        sourceParcelIds: result.sourceParcelIds.join(', '),
+        areaHectares: result.areaHectares
+    });
+    cancelParcelAmalgamation(mapId);
+
+    return JSON.stringify({
+        success: true,
+        reason: null,
+        parcelId: parcelId,
+        sourceParcelIds: result.sourceParcelIds
+    });
 }
 
-export function clearAllDrawn() {
-    if (drawnItems) {
-        drawnItems.clearLayers();
+export function cancelParcelAmalgamation(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    instance.amalgamation = null;
+    if (instance.layerGroups['amalgamation']) {
+        instance.layerGroups['amalgamation'].clearLayers();
     }
     return true;
 }
 
-export function getDrawnGeoJson() {
-    if (!drawnItems) return '{}';
+// ====== MARKER OPERATIONS ======
+
+export function addDisputeMarker(mapId, latitude, longitude, description, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(options?.sourceCrs)) return false;
     
-    const geoJson = drawnItems.toGeoJSON();
-    return JSON.stringify(geoJson);
+    const disputeIcon = L.divIcon({
+        className: 'dispute-marker',
+        html: '<i class="fa fa-exclamation-triangle" style="color:red; font-size:24px;"></i>',
+        iconSize: [30, 30],
+        iconAnchor: [15, 30]
+    });
+    
+    const marker = L.marker(toMapLatLng(latitude, longitude, options?.sourceCrs), { icon: disputeIcon })
+        .bindPopup(`<div class="dispute-popup">
+            <h4>Land Dispute</h4>
+            <p>${description}</p>
+            <p><strong>ID:</strong> ${options?.disputeId}</p>
+        </div>`);
+    
+    featureRefs.set(marker, { featureType: 'dispute', featureId: options?.disputeId });
+    marker.addTo(instance.layerGroups['disputes']);
+    instance.markers.push(marker);
+    return true;
 }
 
-export function addDrawnFromGeoJson(geoJson) {
-    if (!map || !drawnItems) return false;
+export function addAuditCheckpoint(mapId, latitude, longitude, status, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(options?.sourceCrs)) return false;
     
-    const geoJsonLayer = L.geoJSON(geoJson);
-    geoJsonLayer.eachLayer(function(layer) {
-        drawnItems.addLayer(layer);
+    const iconColor = status === 'Completed' ? 'green' : status === 'Pending' ? 'orange' : 'blue';
+    const auditIcon = L.divIcon({
+        className: 'audit-marker',
+        html: `<i class="fa fa-clipboard-check" style="color:${iconColor}; font-size:24px;"></i>`,
+        iconSize: [30, 30],
+        iconAnchor: [15, 30]
     });
     
+    const marker = L.marker(toMapLatLng(latitude, longitude, options?.sourceCrs), { icon: auditIcon })
+        .bindPopup(`<div class="audit-popup">
+            <h4>Audit Checkpoint</h4>
+            <p><strong>Status:</strong> ${status}</p>
+            <p><strong>ID:</strong> ${options?.checkpointId}</p>
+        </div>`);
+    
+    featureRefs.set(marker, { featureType: 'checkpoint', featureId: options?.checkpointId });
+    marker.addTo(instance.layerGroups['audit']);
+    instance.markers.push(marker);
     return true;
 }
 
-export function enableEditing() {
-    if (drawControl) {
-        new L.EditToolbar.Edit(map, {
-            featureGroup: drawnItems
-        }).enable();
-    }
+export function addLandRegistryMarker(mapId, latitude, longitude, registryInfo, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(sourceCrs)) return false;
+    
+    const registryIcon = L.divIcon({
+        className: 'registry-marker',
+        html: '<i class="fa fa-file-contract" style="color:blue; font-size:24px;"></i>',
+        iconSize: [30, 30],
+        iconAnchor: [15, 30]
+    });
+    
+    const marker = L.marker(toMapLatLng(latitude, longitude, sourceCrs), { icon: registryIcon })
+        .bindPopup(`<div class="registry-popup">
+            <h4>Land Registry</h4>
+            <p>${registryInfo}</p>
+        </div>`);
+    
+    featureRefs.set(marker, { featureType: 'registry', featureId: null });
+    marker.addTo(instance.layerGroups['parcels']);
+    instance.markers.push(marker);
     return true;
 }
 
-export function disableEditing() {
-    // Disable edit mode
+// ====== POLYGON AND SHAPE OPERATIONS ======
+
+export function addPolyline(mapId, latLngs, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(options?.sourceCrs)) return false;
+
+    const polyline = L.polyline(toMapLatLngs(latLngs, options?.sourceCrs), {
+        color: options?.color || '#3388ff',
+        weight: options?.weight || 2,
+        opacity: options?.opacity || 1.0,
+        ...options
+    });
+    
+    polyline.addTo(instance.map);
+    instance.polygons.push(polyline);
     return true;
 }
 
-// ====== HEATMAPS AND CLUSTERING ======
+export function addRectangle(mapId, bounds, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(options?.sourceCrs)) return false;
 
-export function createHeatmap(heatPoints, options) {
-    if (!map) return false;
-    
-    // Note: Requires leaflet-heat plugin
-    // heatmapLayer = L.heatLayer(heatPoints, {
-    //     radius: options?.radius || 25,
-    //     blur: options?.blur || 15,
-    //     maxZoom: options?.maxZoom || 17
-    // }).addTo(map);
+    const rectangle = L.rectangle(toMapLatLngs(bounds, options?.sourceCrs), {
+        color: options?.color || '#3388ff',
+        weight: options?.weight || 2,
+        fillOpacity: options?.fillOpacity || 0.3,
+        ...options
+    });
     
-    console.log('Heatmap feature requires leaflet-heat plugin');
+    rectangle.addTo(instance.map);
+    instance.polygons.push(rectangle);
     return true;
 }
 
-export function createDisputeHeatmap(disputes) {
-    if (!map) return false;
+// ====== GEOJSON OPERATIONS ======
+
+export function addGeoJson(mapId, geoJson, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(options?.sourceCrs)) return false;
+
+    const geoJsonLayer = L.geoJSON(toMapGeoJson(geoJson, options?.sourceCrs), {
+        style: options?.style || {
+            color: '#3388ff',
+            weight: 2,
+            opacity: 0.8,
+            fillOpacity: 0.3
+        },
+        onEachFeature: function (feature, layer) {
+            if (feature.properties) {
+                layer.bindPopup(createFeaturePopup(feature.properties));
+            }
+        }
+    });
     
-    const heatPoints = disputes.map(d => [d.latitude, d.longitude, d.intensity || 1.0]);
-    return createHeatmap(heatPoints, { radius: 30, blur: 20 });
+    geoJsonLayer.addTo(instance.map);
+    instance.polygons.push(geoJsonLayer);
+    return true;
 }
 
-export function createMarkerCluster(options) {
-    if (!map) return false;
-    
-    // Note: Requires leaflet.markercluster plugin
-    // markerCluster = L.markerClusterGroup({
-    //     maxClusterRadius: options?.maxClusterRadius || 80,
-    //     spiderfyOnMaxZoom: true,
-    //     showCoverageOnHover: true
-    // });
-    // map.addLayer(markerCluster);
+export function addGeoJsonWithPopup(mapId, geoJson, popupTemplate, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(sourceCrs)) return false;
+
+    const geoJsonLayer = L.geoJSON(toMapGeoJson(geoJson, sourceCrs), {
+        onEachFeature: function (feature, layer) {
+            if (feature.properties) {
+                let popup = popupTemplate;
+                for (const [key, value] of Object.entries(feature.properties)) {
+                    popup = popup.replace(`{${key}}`, value);
+                }
+                layer.bindPopup(popup);
+            }
+        }
+    });
     
-    console.log('Marker cluster feature requires leaflet.markercluster plugin');
+    geoJsonLayer.addTo(instance.map);
+    instance.polygons.push(geoJsonLayer);
     return true;
 }
 
-export function addMarkerToCluster(latitude, longitude, popupText) {
-    if (!markerCluster) return false;
-    
-    const marker = L.marker([latitude, longitude]);
-    if (popupText) {
-        marker.bindPopup(popupText);
-    }
-    markerCluster.addLayer(marker);
-    return true;
-}
+function createFeaturePopup(properties) {
+    let content = '<div class="feature-popup"><table>';
+    for (const [key, value] of Object.entries(properties)) {
+        content += `<tr><td><strong>${key}:</strong></td><td>${value}</td></tr>`;
+    }
+    content += '</table></div>';
+    return content;
+}
+
+// ====== ADMINISTRATIVE BOUNDARIES ======
+
+// Simplified boundaries bundled under data/ next to this module. Attribute
+// names of the national administrative boundary dataset (ADM1_EN, ...) are
+// read as well as the plain name/code/province/district properties.
+const administrativeLevels = {
+    province: {
+        file: 'data/zambia-provinces.geojson',
+        nameFields: ['name', 'ADM1_EN', 'PROVINCE', 'Province'],
+        codeFields: ['code', 'ADM1_PCODE'],
+        parentFields: [],
+        style: { color: '#6a3d9a', weight: 2.5, opacity: 0.9, fillOpacity: 0.03 }
+    },
+    district: {
+        file: 'data/zambia-districts.geojson',
+        nameFields: ['name', 'ADM2_EN', 'DISTRICT', 'District'],
+        codeFields: ['code', 'ADM2_PCODE'],
+        parentFields: ['province', 'ADM1_EN', 'PROVINCE', 'Province'],
+        style: { color: '#1f78b4', weight: 1.5, opacity: 0.9, dashArray: '6 4', fillOpacity: 0.03 }
+    },
+    chiefdom: {
+        file: 'data/zambia-chiefdoms.geojson',
+        nameFields: ['name', 'CHIEFDOM', 'Chiefdom'],
+        codeFields: ['code'],
+        parentFields: ['district', 'ADM2_EN', 'DISTRICT', 'District'],
+        style: { color: '#33a02c', weight: 1, opacity: 0.9, dashArray: '2 4', fillOpacity: 0.03 }
+    }
+};
+
+const administrativeHighlightStyle = { color: '#ffff00', weight: 4, opacity: 1, fillOpacity: 0.15 };
+
+// Fetched boundary files, shared by all maps on the page
+const boundaryDataCache = {};
+
+// Loads the province boundaries into the 'boundaries' layer group with their
+// names as labels. options: { url or geoJson to load other data, sourceCrs,
+// style, labels }. Resolves to JSON { success, level, count, source, reason }.
+export async function loadZambianProvinces(mapId, options) {
+    return loadAdministrativeBoundaries(mapId, 'province', null, options);
+}
+
+// District boundaries, limited to one province when one is given
+export async function loadDistrictBoundaries(mapId, province, options) {
+    return loadAdministrativeBoundaries(mapId, 'district', province, options);
+}
+
+// Chiefdom boundaries for customary land, limited to one district when one is given
+export async function loadChiefdomBoundaries(mapId, district, options) {
+    return loadAdministrativeBoundaries(mapId, 'chiefdom', district, options);
+}
+
+// Highlights a loaded province, district or chiefdom and, unless
+// options.zoom is false, zooms to it; for the OnProvinceChanged handler
+export function highlightAdministrativeArea(mapId, level, name, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    clearAdministrativeHighlight(mapId);
+
+    const layer = instance.administrativeAreas[level]?.[normalizeAdministrativeName(name)];
+    if (!layer) {
+        console.warn(`No ${level} named ${name} is loaded`);
+        return false;
+    }
+
+    instance.administrativeHighlight = { layer: layer, style: { ...layer.options } };
+    layer.setStyle(administrativeHighlightStyle);
+    layer.bringToFront();
+
+    if (options?.zoom !== false) {
+        instance.map.fitBounds(layer.getBounds(), { padding: [20, 20] });
+    }
+    return true;
+}
+
+export function clearAdministrativeHighlight(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.administrativeHighlight) return false;
+
+    const { layer, style } = instance.administrativeHighlight;
+    layer.setStyle(style);
+    instance.administrativeHighlight = null;
+    return true;
+}
+
+export function clearAdministrativeBoundaries(mapId, level) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    (level ? [level] : Object.keys(administrativeLevels)).forEach(name => removeAdministrativeLevel(instance, name));
+    return true;
+}
+
+async function loadAdministrativeBoundaries(mapId, level, parentName, options) {
+    const definition = administrativeLevels[level];
+    const source = options?.geoJson ? 'inline' : options?.url || new URL(definition.file, import.meta.url).href;
+    if (!isKnownCrs(options?.sourceCrs)) {
+        return JSON.stringify({ success: false, level: level, count: 0, source: source, reason: `Unsupported coordinate reference system: ${options.sourceCrs}` });
+    }
+
+    let data;
+    try {
+        data = options?.geoJson || await fetchBoundaryData(source);
+    } catch (error) {
+        console.error(`Could not load ${level} boundaries:`, error);
+        return JSON.stringify({ success: false, level: level, count: 0, source: source, reason: error.message });
+    }
+
+    // Looked up after the fetch, as the map may have closed meanwhile
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, level: level, count: 0, source: source, reason: 'Map not found' });
+
+    removeAdministrativeLevel(instance, level);
+    instance.administrativeAreas[level] = {};
+    createLayerGroup(mapId, 'boundaries');
+
+    const parent = parentName ? normalizeAdministrativeName(parentName) : null;
+    const features = (data.features || []).filter(feature =>
+        !parent || normalizeAdministrativeName(administrativeField(feature.properties, definition.parentFields)) === parent);
+
+    const style = { ...definition.style, ...options?.style };
+    L.geoJSON(toMapGeoJson({ type: 'FeatureCollection', features: features, crs: data.crs }, options?.sourceCrs), {
+        style: style,
+        onEachFeature: function(feature, layer) {
+            const name = administrativeField(feature.properties, definition.nameFields) || `Unnamed ${level}`;
+
+            layer.bindPopup(createFeaturePopup(feature.properties || {}));
+            if (options?.labels !== false) {
+                layer.bindTooltip(String(name), { permanent: true, direction: 'center', className: `boundary-label ${level}-label` });
+            }
+
+            featureRefs.set(layer, { featureType: level, featureId: administrativeField(feature.properties, definition.codeFields) || name });
+            instance.administrativeAreas[level][normalizeAdministrativeName(name)] = layer;
+            layer.addTo(instance.layerGroups['boundaries']);
+        }
+    });
+
+    const count = Object.keys(instance.administrativeAreas[level]).length;
+    return JSON.stringify({
+        success: count > 0,
+        level: level,
+        count: count,
+        source: source,
+        // An empty bundled file explains itself in its metadata note
+        reason: count > 0 ? null : (data.features?.length ? null : data.metadata?.note)
+            ?? `No ${level} boundaries found${parentName ? ` for ${parentName}` : ''} in ${source}`
+    });
+}
+
+function fetchBoundaryData(url) {
+    if (!boundaryDataCache[url]) {
+        boundaryDataCache[url] = fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${url}`);
+            }
+            return response.json();
+        });
+        // Failed loads are retried on the next call
+        boundaryDataCache[url].catch(() => delete boundaryDataCache[url]);
+    }
+    return boundaryDataCache[url];
+}
+
+function removeAdministrativeLevel(instance, level) {
+    const areas = instance.administrativeAreas[level];
+    if (!areas) return;
+
+    if (instance.administrativeHighlight && Object.values(areas).includes(instance.administrativeHighlight.layer)) {
+        instance.administrativeHighlight = null;
+    }
+    Object.values(areas).forEach(layer => {
+        instance.layerGroups['boundaries']?.removeLayer(layer);
+        layer.remove();
+    });
+    delete instance.administrativeAreas[level];
+}
+
+function administrativeField(properties, fields) {
+    const field = fields.find(name => properties?.[name] !== undefined && properties[name] !== null && properties[name] !== '');
+    return field ? properties[field] : null;
+}
+
+function normalizeAdministrativeName(name) {
+    return String(name ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// ====== MEASUREMENT TOOLS ======
+
+// Ellipsoidal area of Leaflet lat/lng rings (nested for holes and parts) or
+// GeoJSON, with the planimetric area in the local UTM zone that titles are
+// registered with. options.ellipsoid is 'WGS84' (default) or 'Clarke1880'
+// for Arc 1950 coordinates; options.utmZone overrides the zone.
+export function measureArea(coordinates, options) {
+    const geoJson = coordinates?.type ? coordinates : L.polygon(coordinates).toGeoJSON(false);
+    const ellipsoid = options?.ellipsoid === 'Clarke1880' ? 'Clarke1880' : 'WGS84';
+    const areaSquareMeters = ellipsoidalArea(geoJson, ellipsoid);
+    const areaHectares = areaSquareMeters / 10000;
+    const areaAcres = areaHectares * 2.471;
+    const grid = utmArea(geoJson, { ellipsoid: ellipsoid, zone: options?.utmZone });
+    
+    return {
+        squareMeters: areaSquareMeters.toFixed(2),
+        hectares: areaHectares.toFixed(4),
+        acres: areaAcres.toFixed(4),
+        ellipsoid: ellipsoid,
+        utmZone: grid.zone ? `${grid.zone}${grid.south ? 'S' : 'N'}` : null,
+        utmSquareMeters: grid.areaSquareMeters.toFixed(2),
+        utmHectares: (grid.areaSquareMeters / 10000).toFixed(4)
+    };
+}
+
+export function measureDistance(lat1, lng1, lat2, lng2) {
+    const point1 = L.latLng(lat1, lng1);
+    const point2 = L.latLng(lat2, lng2);
+    const distanceMeters = point1.distanceTo(point2);
+    const distanceKm = distanceMeters / 1000;
+    
+    return {
+        meters: distanceMeters.toFixed(2),
+        kilometers: distanceKm.toFixed(3),
+        miles: (distanceKm * 0.621371).toFixed(3)
+    };
+}
+
+export function measurePerimeter(coordinates) {
+    let totalDistance = 0;
+    for (let i = 0; i < coordinates.length; i++) {
+        const point1 = L.latLng(coordinates[i]);
+        const point2 = L.latLng(coordinates[(i + 1) % coordinates.length]);
+        totalDistance += point1.distanceTo(point2);
+    }
+    
+    return {
+        meters: totalDistance.toFixed(2),
+        kilometers: (totalDistance / 1000).toFixed(3)
+    };
+}
+
+// Interactive measuring in 'distance', 'area' or 'perimeter' mode: click to
+// add points, double-click to finish, Escape to start over. Segment lengths
+// and running totals are labelled as the cursor moves, and each finished
+// measurement goes to .NET through OnMeasurementCompletedEvent.
+export function enableMeasurementTool(mapId, measurementType, dotNetReference) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    disableMeasurementTool(mapId);
+
+    instance.measurementLayer = new L.LayerGroup().addTo(instance.map);
+    instance.measurement = {
+        type: ['area', 'perimeter'].includes(measurementType) ? measurementType : 'distance',
+        dotNetReference: dotNetReference,
+        sketch: null
+    };
+    startMeasurementSketch(instance, instance.measurement);
+    
+    return true;
+}
+
+export function disableMeasurementTool(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    const measurement = instance.measurement;
+    instance.measurement = null;
+    if (measurement?.sketch) {
+        measurement.sketch.cancel();
+    }
+
+    if (instance.measurementLayer) {
+        instance.map.removeLayer(instance.measurementLayer);
+        instance.measurementLayer = null;
+    }
+    // Only the measurement listeners go; app click handlers stay subscribed
+    removeNamespacedListeners(instance, 'measurement');
+    return true;
+}
+
+function startMeasurementSketch(instance, measurement) {
+    const closed = measurement.type !== 'distance';
+    const labels = L.layerGroup();
+    const shape = closed
+        ? L.polygon([], { color: '#1565C0', weight: 0, fillOpacity: 0.2, interactive: false })
+        : null;
+
+    measurement.sketch = startLineSketch(instance, 'measurement', {
+        color: '#1565C0',
+        minPoints: closed ? 3 : 2,
+        onChange: (latlngs, cursor) => {
+            // The first point of a new measurement clears the previous result
+            if (latlngs.length === 1 && !cursor) {
+                instance.measurementLayer.clearLayers();
+                instance.measurementLayer.addLayer(labels);
+                if (shape) instance.measurementLayer.addLayer(shape);
+            }
+            const points = cursor ? [...latlngs, cursor] : latlngs;
+            if (shape) shape.setLatLngs(points);
+            labelMeasurement(labels, points, measureLatLngs(points, measurement.type));
+        },
+        onFinish: latlngs => {
+            if (instance.measurement !== measurement) return;
+
+            const result = measureLatLngs(latlngs, measurement.type);
+            if (shape) shape.setLatLngs(latlngs);
+            instance.measurementLayer.addLayer(closed
+                ? L.polygon(latlngs, { color: '#1565C0', weight: 2, fillOpacity: 0, interactive: false })
+                : L.polyline(latlngs, { color: '#1565C0', weight: 3, interactive: false }));
+            labelMeasurement(labels, latlngs, result);
+
+            if (measurement.dotNetReference) {
+                measurement.dotNetReference.invokeMethodAsync('OnMeasurementCompletedEvent', JSON.stringify(result));
+            }
+            startMeasurementSketch(instance, measurement);
+        },
+        onCancel: () => {
+            if (instance.measurement !== measurement) return;
+
+            instance.measurementLayer.clearLayers();
+            startMeasurementSketch(instance, measurement);
+        }
+    });
+}
+
+function measureLatLngs(latlngs, measurementType) {
+    const coordinates = latlngs.map(latlng => [latlng.lng, latlng.lat]);
+    const closed = measurementType !== 'distance';
+    const segmentLengths = coordinates.slice(closed ? 0 : 1).map((point, i) => {
+        const from = closed ? point : coordinates[i];
+        const to = closed ? coordinates[(i + 1) % coordinates.length] : point;
+        return geodesicPathLength([from, to], false);
+    });
+    const length = segmentLengths.reduce((total, segment) => total + segment, 0);
+
+    const result = {
+        measurementType: measurementType,
+        coordinates: latlngs.map(latlng => ({ lat: latlng.lat, lng: latlng.lng })),
+        segmentLengthsMeters: segmentLengths.map(segment => roundTo(segment, 2))
+    };
+
+    if (closed) {
+        const area = coordinates.length >= 3 ? ellipsoidalArea({ type: 'Polygon', coordinates: [coordinates] }) : 0;
+        result.perimeterMeters = roundTo(coordinates.length >= 3 ? length : 0, 2);
+        result.areaSquareMeters = roundTo(area, 2);
+        result.areaHectares = roundTo(area / 10000, 4);
+    } else {
+        result.distanceMeters = roundTo(length, 2);
+        result.distanceKilometers = roundTo(length / 1000, 3);
+    }
+    return result;
+}
+
+// Puts a length label on every segment and the running total at the last point
+function labelMeasurement(labels, latlngs, result) {
+    labels.clearLayers();
+    const closed = result.measurementType !== 'distance';
+
+    result.segmentLengthsMeters.forEach((length, i) => {
+        // The closing segment of a two-point polygon repeats the first one
+        if (closed && latlngs.length < 3 && i > 0) return;
+
+        const from = latlngs[i];
+        const to = latlngs[(i + 1) % latlngs.length];
+        labels.addLayer(L.tooltip({ permanent: true, direction: 'center', className: 'measurement-segment-label' })
+            .setLatLng([(from.lat + to.lat) / 2, (from.lng + to.lng) / 2])
+            .setContent(formatLength(length)));
+    });
+
+    if (latlngs.length === 0) return;
+
+    let total;
+    if (result.measurementType === 'distance') {
+        total = `Total: ${formatLength(result.distanceMeters)}`;
+    } else if (result.measurementType === 'area') {
+        total = `Area: ${formatArea(result.areaSquareMeters)}<br>Perimeter: ${formatLength(result.perimeterMeters)}`;
+    } else {
+        total = `Perimeter: ${formatLength(result.perimeterMeters)}<br>Area: ${formatArea(result.areaSquareMeters)}`;
+    }
+    labels.addLayer(L.tooltip({ permanent: true, direction: 'right', offset: [10, 0], className: 'measurement-total-label' })
+        .setLatLng(latlngs[latlngs.length - 1])
+        .setContent(total));
+}
+
+function formatLength(meters) {
+    return meters < 1000 ? `${meters.toFixed(1)} m` : `${(meters / 1000).toFixed(3)} km`;
+}
+
+function formatArea(squareMeters) {
+    return `${squareMeters.toFixed(1)} m² (${(squareMeters / 10000).toFixed(4)} ha)`;
+}
+
+// ====== DRAWING AND EDITING TOOLS ======
+
+export function initDrawTools(mapId, lineColor, fillColor, lineWeight) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    instance.drawControl = new L.Control.Draw({
+        position: 'topright',
+        draw: {
+            polygon: {
+                shapeOptions: {
+                    color: lineColor || '#3388ff',
+                    fillColor: fillColor || '#3388ff',
+                    weight: lineWeight || 2
+                }
+            },
+            polyline: {
+                shapeOptions: {
+                    color: lineColor || '#3388ff',
+                    weight: lineWeight || 2
+                }
+            },
+            rectangle: {
+                shapeOptions: {
+                    color: lineColor || '#3388ff',
+                    fillColor: fillColor || '#3388ff',
+                    weight: lineWeight || 2
+                }
+            },
+            circle: {
+                shapeOptions: {
+                    color: lineColor || '#3388ff',
+                    fillColor: fillColor || '#3388ff',
+                    weight: lineWeight || 2
+                }
+            },
+            marker: true,
+            circlemarker: false
+        },
+        edit: {
+            featureGroup: instance.drawnItems,
+            remove: true
+        }
+    });
+    
+    instance.map.addControl(instance.drawControl);
+    
+    // Handle drawn features
+    addNamespacedListener(instance, 'drawing', instance.map, L.Draw.Event.CREATED, function (e) {
+        const layer = e.layer;
+        ensureDrawnFeatureId(layer, e.layerType);
+        instance.drawnItems.addLayer(layer);
+    });
+    
+    return true;
+}
+
+export function enableDrawing(mapId) {
+    const instance = getMapInstance(mapId);
+    if (instance && instance.drawControl) {
+        new L.Draw.Polygon(instance.map).enable();
+    }
+    return true;
+}
+
+export function disableDrawing(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    removeNamespacedListeners(instance, 'drawing');
+    return true;
+}
+
+export function clearAllDrawn(mapId) {
+    const instance = getMapInstance(mapId);
+    if (instance && instance.drawnItems) {
+        instance.drawnItems.clearLayers();
+    }
+    return true;
+}
+
+export function getDrawnGeoJson(mapId, targetCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.drawnItems || !isKnownCrs(targetCrs)) return '{}';
+
+    const geoJson = fromMapGeoJson(instance.drawnItems.toGeoJSON(exportPrecision(targetCrs)), targetCrs);
+    return JSON.stringify(geoJson);
+}
+
+export function addDrawnFromGeoJson(mapId, geoJson, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.drawnItems || !isKnownCrs(sourceCrs)) return false;
+
+    const geoJsonLayer = L.geoJSON(toMapGeoJson(geoJson, sourceCrs));
+    geoJsonLayer.eachLayer(function(layer) {
+        ensureDrawnFeatureId(layer);
+        instance.drawnItems.addLayer(layer);
+    });
+    
+    return true;
+}
+
+export function enableEditing(mapId) {
+    const instance = getMapInstance(mapId);
+    if (instance && instance.drawControl) {
+        new L.EditToolbar.Edit(instance.map, {
+            featureGroup: instance.drawnItems
+        }).enable();
+    }
+    return true;
+}
+
+export function disableEditing(mapId) {
+    // Disable edit mode
+    return true;
+}
+
+// ====== DRAWING SESSIONS ======
+
+// A drawing session reports every created, edited and deleted feature to .NET
+// as a GeoJSON Feature carrying a stable featureId, its shapeType and its
+// computed area and length.
+export function startDrawingSession(mapId, dotNetReference) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !dotNetReference) return false;
+
+    // The draw events come from leaflet.draw, which the page may not load
+    if (!L.Draw) {
+        console.warn('Drawing sessions need the leaflet.draw plugin');
+        return false;
+    }
+
+    endDrawingSession(mapId);
+
+    addNamespacedListener(instance, 'drawingSession', instance.map, L.Draw.Event.CREATED, function (e) {
+        ensureDrawnFeatureId(e.layer, e.layerType);
+        notifyDrawingSession(instance, 'OnFeatureDrawnEvent', e.layer);
+    });
+    addNamespacedListener(instance, 'drawingSession', instance.map, L.Draw.Event.EDITED, function (e) {
+        e.layers.eachLayer(layer => notifyDrawingSession(instance, 'OnFeatureEditedEvent', layer));
+    });
+    addNamespacedListener(instance, 'drawingSession', instance.map, L.Draw.Event.DELETED, function (e) {
+        e.layers.eachLayer(layer => notifyDrawingSession(instance, 'OnFeatureDeletedEvent', layer));
+    });
+
+    instance.drawingSession = {
+        dotNetReference: dotNetReference
+    };
+
+    return true;
+}
+
+export function endDrawingSession(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    removeNamespacedListeners(instance, 'drawingSession');
+    instance.drawingSession = null;
+    return true;
+}
+
+function notifyDrawingSession(instance, methodName, layer) {
+    if (!instance.drawingSession) return;
+
+    const feature = drawnLayerToFeature(layer);
+    instance.drawingSession.dotNetReference.invokeMethodAsync(methodName, JSON.stringify(feature));
+}
+
+function getShapeType(layer) {
+    if (layer instanceof L.Rectangle) return 'rectangle';
+    if (layer instanceof L.Polygon) return 'polygon';
+    if (layer instanceof L.Polyline) return 'polyline';
+    if (layer instanceof L.Circle) return 'circle';
+    if (layer instanceof L.CircleMarker) return 'circlemarker';
+    if (layer instanceof L.Marker) return 'marker';
+    return 'unknown';
+}
+
+// Ids are kept on layer.feature so they also survive in getDrawnGeoJson output
+function ensureDrawnFeatureId(layer, shapeType) {
+    layer.feature = layer.feature || { type: 'Feature' };
+    layer.feature.properties = layer.feature.properties || {};
+
+    const properties = layer.feature.properties;
+    if (!properties.featureId) {
+        properties.featureId = `drawn-${L.stamp(layer)}`;
+    }
+    properties.shapeType = shapeType || properties.shapeType || getShapeType(layer);
+
+    return properties.featureId;
+}
+
+function drawnLayerToFeature(layer) {
+    ensureDrawnFeatureId(layer);
+
+    // toGeoJSON shares the properties object with layer.feature, so copy it
+    const feature = layer.toGeoJSON();
+    feature.properties = { ...feature.properties };
+    let area = 0;
+    let length = 0;
+
+    if (layer instanceof L.Circle) {
+        const radius = layer.getRadius();
+        feature.properties.radius = radius;
+        area = Math.PI * radius * radius;
+        length = 2 * Math.PI * radius;
+    } else if (layer instanceof L.Polygon) {
+        // Outer ring minus holes for each polygon part
+        area = ellipsoidalArea(layer.toGeoJSON(false));
+        const parts = L.LineUtil.isFlat(layer.getLatLngs()[0]) ? [layer.getLatLngs()] : layer.getLatLngs();
+        parts.forEach(rings => {
+            rings.forEach(ring => {
+                length += latLngPathLength(ring, true);
+            });
+        });
+    } else if (layer instanceof L.Polyline) {
+        const lines = L.LineUtil.isFlat(layer.getLatLngs()) ? [layer.getLatLngs()] : layer.getLatLngs();
+        lines.forEach(line => {
+            length += latLngPathLength(line, false);
+        });
+    }
+
+    feature.properties.area = area;
+    feature.properties.length = length;
+    return feature;
+}
+
+function latLngPathLength(latlngs, closed) {
+    let total = 0;
+    const count = closed ? latlngs.length : latlngs.length - 1;
+    for (let i = 0; i < count; i++) {
+        total += latlngs[i].distanceTo(latlngs[(i + 1) % latlngs.length]);
+    }
+    return total;
+}
+
+// ====== SNAPPING ======
+
+const defaultSnappingOptions = {
+    tolerancePixels: 12,
+    snapToVertices: true,
+    snapToEdges: true,
+    snapToParcels: true,
+    snapToDrawn: true,
+    modifierKey: 'Alt' // held down to place a vertex freely
+};
+
+const snapModifierProperties = {
+    Alt: 'altKey',
+    Shift: 'shiftKey',
+    Control: 'ctrlKey',
+    Meta: 'metaKey'
+};
+
+// Draw and edit markers that already carry a snapping listener
+const snapWatchedMarkers = new WeakSet();
+
+// Snaps vertices placed with the draw tools, dragged while editing or
+// clicked in the map sketches (e.g. a subdivision cut line) to the corners
+// and edges of registered parcels and drawn items. Corners win over edges
+// within the pixel tolerance; a marker shows where the vertex will land.
+export function enableSnapping(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    disableSnapping(mapId);
+    const map = instance.map;
+
+    instance.snapping = {
+        options: { ...defaultSnappingOptions, ...options },
+        suspended: false,
+        indicator: L.circleMarker([0, 0], {
+            radius: 6,
+            color: '#00B8D4',
+            fillColor: '#FFFFFF',
+            fillOpacity: 1,
+            weight: 3,
+            interactive: false
+        })
+    };
+
+    addNamespacedListener(instance, 'snapping', map, 'mousemove', function (e) {
+        instance.snapping.suspended = isSnapSuspended(instance, e.originalEvent);
+    });
+
+    // The draw and edit tools add their vertex markers to the map as they go
+    addNamespacedListener(instance, 'snapping', map, 'layeradd', function (e) {
+        watchSnapMarker(instance, e.layer);
+    });
+    map.eachLayer(layer => watchSnapMarker(instance, layer));
+
+    if (L.Draw) {
+        // A drawn vertex keeps the LatLng object the click produced, shared by
+        // its marker and the shape being drawn, so moving it moves both
+        addNamespacedListener(instance, 'snapping', map, L.Draw.Event.DRAWVERTEX, function (e) {
+            const markers = e.layers.getLayers();
+            const vertex = markers[markers.length - 1];
+            const snap = vertex && findSnapTarget(instance, vertex.getLatLng());
+            if (!snap) return;
+
+            const latlng = vertex.getLatLng();
+            latlng.lat = snap.latlng.lat;
+            latlng.lng = snap.latlng.lng;
+            vertex.setLatLng(latlng);
+            map.eachLayer(layer => {
+                if (layer instanceof L.Polyline && flattenLatLngRings(layer.getLatLngs()).some(ring => ring.includes(latlng))) {
+                    layer.redraw();
+                }
+            });
+        });
+        addNamespacedListener(instance, 'snapping', map, L.Draw.Event.DRAWSTOP, () => hideSnapIndicator(instance));
+        addNamespacedListener(instance, 'snapping', map, L.Draw.Event.EDITSTOP, () => hideSnapIndicator(instance));
+    }
+
+    return true;
+}
+
+export function disableSnapping(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    removeNamespacedListeners(instance, 'snapping');
+    if (instance.snapping) {
+        hideSnapIndicator(instance);
+        instance.snapping = null;
+    }
+    return true;
+}
+
+// Snapped position for a sketch click, or the click itself
+function snapLatLng(instance, latlng, originalEvent) {
+    if (!instance.snapping || isSnapSuspended(instance, originalEvent)) return latlng;
+
+    const snap = findSnapTarget(instance, latlng);
+    return snap ? snap.latlng : latlng;
+}
+
+function isSnapSuspended(instance, originalEvent) {
+    const property = snapModifierProperties[instance.snapping.options.modifierKey];
+    return !!(originalEvent && property && originalEvent[property]);
+}
+
+function watchSnapMarker(instance, layer) {
+    if (!(layer instanceof L.Marker) || snapWatchedMarkers.has(layer)) return;
+
+    const className = layer.options.icon?.options?.className || '';
+    if (className.includes('leaflet-mouse-marker')) {
+        // Follows the cursor while drawing; markers are placed where it sits
+        snapWatchedMarkers.add(layer);
+        let snapping = false;
+        layer.on('move', function () {
+            if (snapping || !instance.snapping) return;
+            const snap = findSnapTarget(instance, layer.getLatLng());
+            if (snap) {
+                snapping = true;
+                layer.setLatLng(snap.latlng);
+                snapping = false;
+            }
+        });
+    } else if (className.includes('leaflet-editing-icon') && !className.includes('leaflet-edit-move') &&
+        !className.includes('leaflet-edit-resize') && layer.options.draggable) {
+        // Vertex handles of a shape being edited; refiring drag lets the edit
+        // tool move the shape and its midpoint handles to the snapped spot
+        snapWatchedMarkers.add(layer);
+        let snapping = false;
+        layer.on('drag', function (e) {
+            if (snapping || !instance.snapping) return;
+            const snap = findSnapTarget(instance, layer.getLatLng(), layer._origLatLng, e.originalEvent);
+            if (snap) {
+                snapping = true;
+                layer.setLatLng(snap.latlng);
+                layer.fire('drag');
+                snapping = false;
+            }
+        });
+        layer.on('dragend', () => hideSnapIndicator(instance));
+    }
+}
+
+// Nearest parcel or drawn-item corner within the tolerance, else the
+// nearest point on an edge. ownVertex excludes the shape it belongs to.
+function findSnapTarget(instance, latlng, ownVertex, originalEvent) {
+    const snapping = instance.snapping;
+    if (!snapping || snapping.suspended || isSnapSuspended(instance, originalEvent)) {
+        if (snapping) hideSnapIndicator(instance);
+        return null;
+    }
+
+    // Pixel distances use unrounded projected points so snapped positions
+    // land exactly on the corner or edge
+    const map = instance.map;
+    const options = snapping.options;
+    const tolerance = options.tolerancePixels;
+    const point = map.project(latlng);
+    const bounds = L.latLngBounds(
+        map.unproject(point.subtract([tolerance, tolerance])),
+        map.unproject(point.add([tolerance, tolerance]))
+    );
+
+    const rings = [];
+    if (options.snapToParcels) {
+        instance.parcelIndex.search({
+            minX: bounds.getWest(),
+            minY: bounds.getSouth(),
+            maxX: bounds.getEast(),
+            maxY: bounds.getNorth()
+        }).forEach(entry => {
+            flattenLatLngRings(instance.parcelRegistry[entry.parcelId].getLatLngs()).forEach(ring => rings.push({ ring: ring, closed: true }));
+        });
+    }
+    if (options.snapToDrawn && instance.drawnItems) {
+        instance.drawnItems.eachLayer(layer => {
+            if (!(layer instanceof L.Polyline) || !layer.getBounds().intersects(bounds)) return;
+            const layerRings = flattenLatLngRings(layer.getLatLngs());
+            if (ownVertex && layerRings.some(ring => ring.includes(ownVertex))) return;
+            layerRings.forEach(ring => rings.push({ ring: ring, closed: layer instanceof L.Polygon }));
+        });
+    }
+
+    let best = null;
+    const consider = (candidate, kind, vertex) => {
+        const distance = point.distanceTo(candidate);
+        if (distance <= tolerance && (!best || distance < best.distance)) {
+            best = { point: candidate, distance: distance, kind: kind, vertex: vertex };
+        }
+    };
+
+    if (options.snapToVertices) {
+        rings.forEach(({ ring }) => ring.forEach(vertex => consider(map.project(vertex), 'vertex', vertex)));
+    }
+    if (!best && options.snapToEdges) {
+        rings.forEach(({ ring, closed }) => {
+            const points = ring.map(vertex => map.project(vertex));
+            const count = closed ? points.length : points.length - 1;
+            for (let i = 0; i < count; i++) {
+                consider(L.LineUtil.closestPointOnSegment(point, points[i], points[(i + 1) % points.length]), 'edge');
+            }
+        });
+    }
+
+    if (!best) {
+        hideSnapIndicator(instance);
+        return null;
+    }
+
+    const snapped = best.vertex ? L.latLng(best.vertex.lat, best.vertex.lng) : map.unproject(best.point);
+    snapping.indicator.setLatLng(snapped);
+    snapping.indicator.setStyle({ color: best.kind === 'vertex' ? '#00B8D4' : '#64DD17' });
+    if (!map.hasLayer(snapping.indicator)) {
+        snapping.indicator.addTo(map);
+    }
+    return { latlng: snapped, kind: best.kind };
+}
+
+function hideSnapIndicator(instance) {
+    if (instance.snapping && instance.map.hasLayer(instance.snapping.indicator)) {
+        instance.map.removeLayer(instance.snapping.indicator);
+    }
+}
+
+// Rings of LatLngs from any Leaflet polyline or polygon nesting
+function flattenLatLngRings(latlngs) {
+    if (latlngs.length === 0) return [];
+    return L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs.flatMap(flattenLatLngRings);
+}
+
+// ====== INTERACTIVE SKETCHING ======
+
+// Click-by-click line sketching shared by the map tools: each click adds a
+// vertex, a rubber band follows the cursor, double-click finishes and Escape
+// cancels. Clicks snap when snapping is enabled. Handlers live in the tool's
+// namespace, so the app's own click handlers keep firing alongside.
+function startLineSketch(instance, namespace, options) {
+    const map = instance.map;
+    const latlngs = [];
+    const color = options?.color || '#E91E63';
+    const layer = L.layerGroup().addTo(map);
+    const path = L.polyline([], { color: color, weight: 3, interactive: false }).addTo(layer);
+    const rubberBand = L.polyline([], { color: color, weight: 2, dashArray: '4,6', interactive: false }).addTo(layer);
+
+    // Double-click finishes the sketch instead of zooming in
+    const doubleClickZoom = map.doubleClickZoom.enabled();
+    map.doubleClickZoom.disable();
+
+    let active = true;
+    function end() {
+        if (!active) return false;
+        active = false;
+        removeNamespacedListeners(instance, namespace);
+        if (instance.snapping) hideSnapIndicator(instance);
+        map.removeLayer(layer);
+        if (doubleClickZoom) map.doubleClickZoom.enable();
+        return true;
+    }
+
+    const sketch = {
+        latlngs: latlngs,
+        layer: layer,
+        finish() {
+            if (!active || latlngs.length < (options?.minPoints || 2)) return false;
+            end();
+            options?.onFinish?.(latlngs.slice());
+            return true;
+        },
+        cancel() {
+            if (end()) options?.onCancel?.();
+        }
+    };
+
+    addNamespacedListener(instance, namespace, map, 'click', function (e) {
+        const latlng = snapLatLng(instance, e.latlng, e.originalEvent);
+
+        // Both clicks of a double-click arrive here; skip the repeated vertex
+        const last = latlngs[latlngs.length - 1];
+        if (last && map.latLngToContainerPoint(last).distanceTo(map.latLngToContainerPoint(latlng)) < 3) return;
+
+        latlngs.push(latlng);
+        L.circleMarker(latlng, { radius: 4, color: color, fillOpacity: 1, interactive: false }).addTo(layer);
+        path.setLatLngs(latlngs);
+        rubberBand.setLatLngs([]);
+        options?.onChange?.(latlngs, null);
+    });
+    addNamespacedListener(instance, namespace, map, 'mousemove', function (e) {
+        const cursor = snapLatLng(instance, e.latlng, e.originalEvent);
+        if (latlngs.length === 0) return;
+        rubberBand.setLatLngs([latlngs[latlngs.length - 1], cursor]);
+        options?.onChange?.(latlngs, cursor);
+    });
+    addNamespacedListener(instance, namespace, map, 'dblclick', function () {
+        sketch.finish();
+    });
+    addNamespacedListener(instance, namespace, map, 'keydown', function (e) {
+        if (e.originalEvent.key === 'Escape') sketch.cancel();
+    });
+
+    return sketch;
+}
+
+// ====== HEATMAPS AND CLUSTERING ======
+
+export function createHeatmap(mapId, heatPoints, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+    
+    // Note: Requires leaflet-heat plugin
+    // instance.heatmapLayer = L.heatLayer(heatPoints, {
+    //     radius: options?.radius || 25,
+    //     blur: options?.blur || 15,
+    //     maxZoom: options?.maxZoom || 17
+    // }).addTo(instance.map);
+    
+    console.log('Heatmap feature requires leaflet-heat plugin');
+    return true;
+}
+
+export function createDisputeHeatmap(mapId, disputes) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+    
+    const heatPoints = disputes.map(d => [d.latitude, d.longitude, d.intensity || 1.0]);
+    return createHeatmap(mapId, heatPoints, { radius: 30, blur: 20 });
+}
+
+export function createMarkerCluster(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+    
+    // Note: Requires leaflet.markercluster plugin
+    // instance.markerCluster = L.markerClusterGroup({
+    //     maxClusterRadius: options?.maxClusterRadius || 80,
+    //     spiderfyOnMaxZoom: true,
+    //     showCoverageOnHover: true
+    // });
+    // instance.map.addLayer(instance.markerCluster);
+    
+    console.log('Marker cluster feature requires leaflet.markercluster plugin');
+    return true;
+}
+
+export function addMarkerToCluster(mapId, latitude, longitude, popupText, sourceCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.markerCluster || !isKnownCrs(sourceCrs)) return false;
+
+    const marker = L.marker(toMapLatLng(latitude, longitude, sourceCrs));
+    if (popupText) {
+        marker.bindPopup(popupText);
+    }
+    instance.markerCluster.addLayer(marker);
+    return true;
+}
+
+// ====== GEOCODING AND SEARCH ======
+
+export function geocodeAddress(address) {
+    // Implementation would use a geocoding service like Nominatim
+    console.log('Geocoding address:', address);
+    return { lat: -15.4167, lng: 28.2833, displayName: 'Lusaka, Zambia' };
+}
+
+export function reverseGeocode(latitude, longitude) {
+    // Implementation would use a reverse geocoding service
+    console.log('Reverse geocoding:', latitude, longitude);
+    return { address: 'Lusaka, Zambia' };
+}
+
+// Registered parcels whose id or a property value contains searchTerm,
+// ignoring case, so imported parcels are found by any of their attributes.
+// options: { fields: property names to search besides the id, limit }.
+// Returns JSON [{ parcelId, matchedFields, properties, latitude, longitude }]
+// with exact id matches first, then by id.
+export function searchParcels(mapId, searchTerm, options) {
+    const instance = getMapInstance(mapId);
+    const term = String(searchTerm ?? '').trim().toLowerCase();
+    if (!instance || !term) return JSON.stringify([]);
+
+    const results = [];
+    Object.entries(instance.parcelRegistry).forEach(([parcelId, polygon]) => {
+        const properties = { ...polygon.feature?.properties, parcelId: parcelId };
+        const matchedFields = Object.keys(properties).filter(name =>
+            (name === 'parcelId' || !options?.fields || options.fields.includes(name)) &&
+            properties[name] !== null && properties[name] !== undefined &&
+            String(properties[name]).toLowerCase().includes(term));
+        if (matchedFields.length === 0) return;
+
+        const center = polygon.getBounds().getCenter();
+        results.push({
+            parcelId: parcelId,
+            matchedFields: matchedFields,
+            properties: properties,
+            latitude: center.lat,
+            longitude: center.lng
+        });
+    });
+
+    const exact = result => result.parcelId.toLowerCase() === term ? 0 : 1;
+    results.sort((a, b) => (exact(a) - exact(b)) || a.parcelId.localeCompare(b.parcelId, undefined, { numeric: true }));
+    return JSON.stringify(options?.limit ? results.slice(0, options.limit) : results);
+}
+
+// ====== SPATIAL ANALYSIS ======
+
+export function createBuffer(mapId, latitude, longitude, radiusMeters, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(options?.sourceCrs)) return false;
+    
+    const circle = L.circle(toMapLatLng(latitude, longitude, options?.sourceCrs), {
+        radius: radiusMeters,
+        color: options?.color || '#3388ff',
+        fillColor: options?.fillColor || '#3388ff',
+        fillOpacity: options?.fillOpacity || 0.2,
+        weight: options?.weight || 1
+    });
+    
+    circle.addTo(instance.map);
+    instance.polygons.push(circle);
+    return true;
+}
+
+// Points closer than this to a boundary are reported on it, not inside
+const defaultBoundaryToleranceMeters = 0.001;
+
+// True when the point is inside the polygon or on its boundary. polygonCoords
+// may be Leaflet lat/lng rings (nested for holes and parts) or GeoJSON.
+export function isPointInPolygon(latitude, longitude, polygonCoords) {
+    return locatePointInPolygon(latitude, longitude, polygonCoords).location !== 'outside';
+}
+
+// Reports whether a point is 'inside', 'outside' or on the 'boundary' of a
+// polygon, honouring holes and MultiPolygons
+export function locatePointInPolygon(latitude, longitude, polygonCoords, toleranceMeters) {
+    const geoJson = polygonCoords?.type ? polygonCoords : L.polygon(polygonCoords).toGeoJSON();
+    return locatePoint([longitude, latitude], geoJson, toleranceMeters ?? defaultBoundaryToleranceMeters);
+}
+
+// Batch placement of points (audit checkpoints, dispute markers, ...) into
+// parcels. points: [{ id, latitude, longitude }]; options.groupName scans a
+// layer group instead of the parcel registry.
+export function locatePointsInParcels(mapId, points, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify([]);
+
+    const tolerance = options?.boundaryToleranceMeters ?? defaultBoundaryToleranceMeters;
+    const parcels = collectScanParcels(instance, options?.groupName);
+    const parcelIndex = createGridIndex(parcels, 0);
+
+    const results = points.map(point => {
+        const containingParcelIds = [];
+        const boundaryParcelIds = [];
+        const position = { minX: point.longitude, minY: point.latitude, maxX: point.longitude, maxY: point.latitude };
+
+        parcelIndex.query(position).forEach(parcel => {
+            const result = locatePoint([point.longitude, point.latitude], parcel.geoJson, tolerance);
+            if (result.location === 'inside') {
+                containingParcelIds.push(parcel.parcelId);
+            } else if (result.location === 'boundary') {
+                boundaryParcelIds.push(parcel.parcelId);
+            }
+        });
+
+        return {
+            pointId: point.id,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            location: containingParcelIds.length > 0 ? 'inside' : boundaryParcelIds.length > 0 ? 'boundary' : 'outside',
+            containingParcelIds: containingParcelIds,
+            boundaryParcelIds: boundaryParcelIds
+        };
+    });
+
+    return JSON.stringify(results);
+}
+
+// Polygon overlay operations on GeoJSON input (objects or JSON strings). Each
+// returns a GeoJSON Feature whose properties carry the ellipsoidal area; the
+// geometry is null when the result is empty.
+export function calculateIntersection(polygon1, polygon2) {
+    return runPolygonOperation('intersection', polygon1, polygon2);
+}
+
+export function calculateUnion(polygon1, polygon2) {
+    return runPolygonOperation('union', polygon1, polygon2);
+}
+
+export function calculateDifference(polygon1, polygon2) {
+    return runPolygonOperation('difference', polygon1, polygon2);
+}
+
+export function calculateSymmetricDifference(polygon1, polygon2) {
+    return runPolygonOperation('symmetricDifference', polygon1, polygon2);
+}
+
+function runPolygonOperation(operation, polygon1, polygon2) {
+    const geoJson1 = typeof polygon1 === 'string' ? JSON.parse(polygon1) : polygon1;
+    const geoJson2 = typeof polygon2 === 'string' ? JSON.parse(polygon2) : polygon2;
+
+    let geometry;
+    switch (operation) {
+        case 'intersection':
+            geometry = intersection(geoJson1, geoJson2);
+            break;
+        case 'union':
+            geometry = union([geoJson1, geoJson2]);
+            break;
+        case 'difference':
+            geometry = difference(geoJson1, geoJson2);
+            break;
+        default:
+            geometry = symmetricDifference(geoJson1, geoJson2);
+    }
+    
+    const area = geometry ? ellipsoidalArea(geometry) : 0;
+    return JSON.stringify({
+        type: 'Feature',
+        geometry: geometry,
+        properties: {
+            operation: operation,
+            areaSquareMeters: roundTo(area, 2),
+            areaHectares: roundTo(area / 10000, 4),
+            polygonCount: toPolygons(geometry).length
+        }
+    });
+}
+
+// Parcels within radiusMeters of the point, measured to the parcel boundary
+// (zero for parcels containing the point) and sorted closest first
+export function findParcelsNearby(mapId, latitude, longitude, radiusMeters) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify([]);
+
+    return JSON.stringify(queryNearestParcels(instance, latitude, longitude, Infinity, radiusMeters));
+}
+
+export function findNearestParcels(mapId, latitude, longitude, count, maxDistanceMeters) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify([]);
+
+    return JSON.stringify(queryNearestParcels(instance, latitude, longitude, count || 1, maxDistanceMeters));
+}
+
+// Ids of the parcels that are at least partly inside the current map view
+export function findParcelsInView(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify([]);
+
+    const view = instance.map.getBounds();
+    const bounds = { minX: view.getWest(), minY: view.getSouth(), maxX: view.getEast(), maxY: view.getNorth() };
+    const viewPolygon = {
+        type: 'Polygon',
+        coordinates: [[[bounds.minX, bounds.minY], [bounds.maxX, bounds.minY], [bounds.maxX, bounds.maxY], [bounds.minX, bounds.maxY], [bounds.minX, bounds.minY]]]
+    };
+
+    const parcelIds = instance.parcelIndex.search(bounds)
+        .filter(entry => {
+            // Parcels whose bounds stick out of the view need an exact check
+            const within = entry.minX >= bounds.minX && entry.maxX <= bounds.maxX && entry.minY >= bounds.minY && entry.maxY <= bounds.maxY;
+            return within || intersection(entry.geoJson, viewPolygon) !== null;
+        })
+        .map(entry => entry.parcelId);
+
+    return JSON.stringify(parcelIds);
+}
+
+function queryNearestParcels(instance, latitude, longitude, count, maxDistanceMeters) {
+    const point = [longitude, latitude];
+    const projection = createLocalProjection(latitude);
+    const origin = projection.forward(point);
+    const locations = new Map();
+
+    // Distance to the nearest point of a bounding box never exceeds the
+    // distance to anything inside it, in the same local projection
+    const boxDistance = bounds => {
+        const nearest = projection.forward([
+            Math.max(bounds.minX, Math.min(longitude, bounds.maxX)),
+            Math.max(bounds.minY, Math.min(latitude, bounds.maxY))
+        ]);
+        return Math.hypot(nearest[0] - origin[0], nearest[1] - origin[1]);
+    };
+    const parcelDistance = entry => {
+        const location = locatePoint(point, entry.geoJson, 0);
+        locations.set(entry, location);
+        return location.location === 'outside' ? location.distanceToBoundaryMeters : 0;
+    };
+
+    return instance.parcelIndex.nearest(boxDistance, parcelDistance, count, maxDistanceMeters).map(result => {
+        const location = locations.get(result.item);
+        return {
+            parcelId: result.item.parcelId,
+            distance: roundTo(result.distance, 3),
+            inside: location.location !== 'outside',
+            distanceToBoundaryMeters: roundTo(location.distanceToBoundaryMeters, 3)
+        };
+    });
+}
+
+// ====== LAYER MANAGEMENT ======
+
+export function createLayerGroup(mapId, groupName) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    if (!instance.layerGroups[groupName]) {
+        instance.layerGroups[groupName] = createFeatureGroup(instance).addTo(instance.map);
+    }
+    return true;
+}
+
+export function showLayerGroup(mapId, groupName) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    const group = instance.layerGroups[groupName];
+    if (group && !instance.map.hasLayer(group)) {
+        instance.map.addLayer(group);
+        instance.map.fire('overlayadd', { layer: group, name: groupName });
+    }
+    return true;
+}
+
+export function hideLayerGroup(mapId, groupName) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    const group = instance.layerGroups[groupName];
+    if (group && instance.map.hasLayer(group)) {
+        instance.map.removeLayer(group);
+        instance.map.fire('overlayremove', { layer: group, name: groupName });
+    }
+    return true;
+}
+
+export function removeLayerGroup(mapId, groupName) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    if (instance.layerGroups[groupName]) {
+        instance.map.removeLayer(instance.layerGroups[groupName]);
+        delete instance.layerGroups[groupName];
+    }
+    return true;
+}
+
+export function toggleLayer(mapId, layerName) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    const group = instance.layerGroups[layerName];
+    if (group) {
+        if (instance.map.hasLayer(group)) {
+            hideLayerGroup(mapId, layerName);
+        } else {
+            showLayerGroup(mapId, layerName);
+        }
+    }
+    return true;
+}
+
+// Layer groups holding features, without reference overlays such as grids
+// Provisional results of the review tools, left out of exports unless named
+const workingLayerGroups = ['validation', 'conflicts', 'subdivision', 'amalgamation', 'candidates'];
+
+// The layer groups holding map data: the named ones, else all but the grid
+// overlays and working groups
+function dataLayerGroups(instance, names) {
+    return Object.entries(instance.layerGroups).filter(([name]) => !instance.gridOverlays[name] &&
+        (names ? names.includes(name) : !workingLayerGroups.includes(name)));
+}
+
+function registerOverlay(instance, name, layer) {
+    instance.overlayLayers[name] = layer;
+    if (instance.layerSwitcher) {
+        instance.layerSwitcher.addOverlay(layer, name);
+    }
+}
+
+function unregisterOverlay(instance, name) {
+    const layer = instance.overlayLayers[name];
+    if (layer && instance.layerSwitcher) {
+        instance.layerSwitcher.removeLayer(layer);
+    }
+    delete instance.overlayLayers[name];
+}
+
+// ====== GRID OVERLAYS ======
+
+// Candidate spacings; the smallest one that keeps lines at least
+// minSpacingPixels apart is drawn
+const utmGridSpacings = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000, 200000, 500000];
+const graticuleSpacings = [1 / 3600, 2 / 3600, 5 / 3600, 10 / 3600, 15 / 3600, 30 / 3600, 1 / 60, 2 / 60, 5 / 60, 10 / 60, 15 / 60, 30 / 60, 1, 2, 5, 10, 15, 30];
+
+const defaultUtmGridOptions = {
+    name: 'UTM grid',
+    datum: 'WGS84',
+    zone: null,
+    color: '#0057b7',
+    weight: 1,
+    opacity: 0.7,
+    minSpacingPixels: 100,
+    visible: true
+};
+
+const defaultGraticuleOptions = {
+    name: 'Graticule',
+    color: '#555555',
+    weight: 1,
+    opacity: 0.7,
+    dashArray: '4 4',
+    minSpacingPixels: 100,
+    visible: true
+};
+
+// Labelled UTM grid in the zone of the map centre (or options.zone), on the
+// WGS84 or Arc 1950 datum. Lives in layerGroups['utmGrid'] and the layer
+// switcher, and is redrawn for the view after every move.
+export function addUtmGrid(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    const settings = { ...defaultUtmGridOptions, ...options };
+    if (settings.datum !== 'WGS84' && settings.datum !== 'Arc1950') {
+        console.warn(`Unsupported grid datum ${settings.datum}`);
+        return false;
+    }
+
+    addGridOverlay(instance, 'utmGrid', settings, drawUtmGrid);
+    return true;
+}
+
+export function removeUtmGrid(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    return removeGridOverlay(instance, 'utmGrid');
+}
+
+// Latitude/longitude graticule in layerGroups['graticule'], with DMS labels
+export function addGraticule(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    addGridOverlay(instance, 'graticule', { ...defaultGraticuleOptions, ...options }, drawGraticule);
+    return true;
+}
+
+export function removeGraticule(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    return removeGridOverlay(instance, 'graticule');
+}
+
+function addGridOverlay(instance, groupName, settings, draw) {
+    removeGridOverlay(instance, groupName);
+
+    const group = L.layerGroup();
+    const redraw = () => {
+        if (instance.map.hasLayer(group)) {
+            group.clearLayers();
+            draw(instance.map, group, settings);
+        }
+    };
+
+    instance.gridOverlays[groupName] = { name: settings.name, redraw: redraw };
+    instance.layerGroups[groupName] = group;
+    registerOverlay(instance, settings.name, group);
+
+    // Drawn only while shown, whether toggled here or in the layer switcher
+    addNamespacedListener(instance, `grid:${groupName}`, group, 'add', redraw);
+    addNamespacedListener(instance, `grid:${groupName}`, instance.map, 'moveend', redraw);
+
+    if (settings.visible) {
+        group.addTo(instance.map);
+    }
+}
+
+function removeGridOverlay(instance, groupName) {
+    const overlay = instance.gridOverlays[groupName];
+    if (!overlay) return false;
+
+    removeNamespacedListeners(instance, `grid:${groupName}`);
+    unregisterOverlay(instance, overlay.name);
+    instance.layerGroups[groupName].remove();
+    delete instance.layerGroups[groupName];
+    delete instance.gridOverlays[groupName];
+    return true;
+}
+
+function drawUtmGrid(map, group, settings) {
+    const center = map.getCenter();
+    const arc1950 = settings.datum === 'Arc1950';
+
+    // Arc 1950 grids exist for zones 34S-36S only
+    let zone = settings.zone || utmZoneForLongitude(center.lng);
+    if (arc1950) zone = Math.min(36, Math.max(34, zone));
+    const south = arc1950 || center.lat < 0;
+
+    const projection = createUtmProjection(zone, south);
+    const crs = arc1950 ? `EPSG:${20900 + zone}` : null;
+    const toGrid = latlng => crs
+        ? transformPoint([latlng.lng, latlng.lat], mapCrs, crs)
+        : projection.forward([latlng.lng, latlng.lat]);
+    const fromGrid = (easting, northing) => {
+        const point = crs ? transformPoint([easting, northing], crs, mapCrs) : projection.inverse([easting, northing]);
+        return L.latLng(point[1], point[0]);
+    };
+
+    const bounds = map.getBounds();
+    const corners = [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast(), center].map(toGrid);
+    const minE = Math.min(...corners.map(point => point[0]));
+    const maxE = Math.max(...corners.map(point => point[0]));
+    const minN = Math.min(...corners.map(point => point[1]));
+    const maxN = Math.max(...corners.map(point => point[1]));
+
+    const metersPerPixel = (maxE - minE) / map.getSize().x;
+    const spacing = utmGridSpacings.find(step => step / metersPerPixel >= settings.minSpacingPixels) || utmGridSpacings[utmGridSpacings.length - 1];
+    const style = { color: settings.color, weight: settings.weight, opacity: settings.opacity, interactive: false };
+
+    // Grid lines are slightly curved in Web Mercator, so each is sampled
+    const samples = 16;
+    const eStart = Math.floor(minE / spacing) * spacing;
+    const nStart = Math.floor(minN / spacing) * spacing;
+    const labelOffset = metersPerPixel * 12;
+
+    for (let easting = eStart; easting <= maxE + spacing; easting += spacing) {
+        const line = [];
+        for (let i = 0; i <= samples; i++) {
+            line.push(fromGrid(easting, nStart + (maxN + spacing - nStart) * i / samples));
+        }
+        L.polyline(line, style).addTo(group);
+        if (easting >= minE && easting <= maxE) {
+            addGridLabel(group, fromGrid(easting, minN + labelOffset), `${Math.round(easting)}mE`, settings.color);
+        }
+    }
+
+    for (let northing = nStart; northing <= maxN + spacing; northing += spacing) {
+        const line = [];
+        for (let i = 0; i <= samples; i++) {
+            line.push(fromGrid(eStart + (maxE + spacing - eStart) * i / samples, northing));
+        }
+        L.polyline(line, style).addTo(group);
+        if (northing >= minN && northing <= maxN) {
+            addGridLabel(group, fromGrid(minE + labelOffset * 4, northing), `${Math.round(northing)}mN`, settings.color);
+        }
+    }
+
+    const zoneLabel = `Zone ${zone}${south ? 'S' : 'N'} ${arc1950 ? 'Arc 1950' : 'WGS84'}, ${spacing >= 1000 ? `${spacing / 1000} km` : `${spacing} m`}`;
+    addGridLabel(group, fromGrid(minE + labelOffset * 4, maxN - labelOffset * 2), zoneLabel, settings.color);
+}
+
+function drawGraticule(map, group, settings) {
+    const bounds = map.getBounds();
+    const pixelsPerDegree = map.getSize().x / (bounds.getEast() - bounds.getWest());
+    const spacing = graticuleSpacings.find(step => step * pixelsPerDegree >= settings.minSpacingPixels) || graticuleSpacings[graticuleSpacings.length - 1];
+    const style = { color: settings.color, weight: settings.weight, opacity: settings.opacity, dashArray: settings.dashArray, interactive: false };
+
+    const south = Math.max(-85, bounds.getSouth());
+    const north = Math.min(85, bounds.getNorth());
+    const west = bounds.getWest();
+    const east = bounds.getEast();
+    const latOffset = (north - south) * 0.02;
+    const lngOffset = (east - west) * 0.04;
+
+    // Rounding to a tenth of a second keeps labels clean after float steps
+    const snap = value => Math.round(value * 36000) / 36000;
+
+    for (let lng = Math.ceil(west / spacing) * spacing; lng <= east; lng += spacing) {
+        const value = snap(lng);
+        L.polyline([[south, value], [north, value]], style).addTo(group);
+        addGridLabel(group, L.latLng(south + latOffset, value), formatAngle(value, 'lng'), settings.color);
+    }
+
+    for (let lat = Math.ceil(south / spacing) * spacing; lat <= north; lat += spacing) {
+        const value = snap(lat);
+        L.polyline([[value, west], [value, east]], style).addTo(group);
+        addGridLabel(group, L.latLng(value, west + lngOffset), formatAngle(value, 'lat'), settings.color);
+    }
+}
+
+// ====== MAP SHEET INDEX ======
+
+const defaultSheetIndexOptions = {
+    name: 'Map sheets',
+    // 'auto' shows 1:250,000 sheets when zoomed out and 1:50,000 from minZoom50k
+    scale: 'auto',
+    minZoom50k: 9,
+    extent: zambiaExtent,
+    color: '#8b4513',
+    weight: 1,
+    opacity: 0.8,
+    minLabelPixels: 60,
+    visible: true
+};
+
+// Sheet index of Zambia's 1:50,000 and 1:250,000 topographic series, drawn
+// for the current view inside options.extent and kept in
+// layerGroups['sheetIndex'] and the layer switcher like the grids
+export function addSheetIndex(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    addGridOverlay(instance, 'sheetIndex', { ...defaultSheetIndexOptions, ...options }, drawSheetIndex);
+    return true;
+}
+
+export function removeSheetIndex(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    return removeGridOverlay(instance, 'sheetIndex');
+}
+
+// Sheet codes at a position: JSON { sheet50k, sheet250k }
+export function findMapSheetsAt(latitude, longitude) {
+    return JSON.stringify({
+        sheet50k: mapSheetAt([longitude, latitude], 50000),
+        sheet250k: mapSheetAt([longitude, latitude], 250000)
+    });
+}
+
+// Sheets a registered parcel lies on, each with the share of the parcel's
+// area on it: JSON { parcelId, sheets50k: [...], sheets250k: [...] }
+export function findParcelMapSheets(mapId, parcelId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ parcelId: parcelId, sheets50k: [], sheets250k: [] });
+
+    const entry = instance.parcelIndexEntries[parcelId];
+    if (!entry) {
+        console.warn(`Parcel ${parcelId} not found`);
+        return JSON.stringify({ parcelId: parcelId, sheets50k: [], sheets250k: [] });
+    }
+
+    return JSON.stringify({
+        parcelId: parcelId,
+        sheets50k: parcelSheets(entry, 50000),
+        sheets250k: parcelSheets(entry, 250000)
+    });
+}
+
+// Cross-checks the sheet a survey record claims for a parcel. Returns JSON
+// { parcelId, parcelFound, claimedSheet, validCode, onSheet, areaFraction, sheets }.
+export function checkParcelMapSheet(mapId, parcelId, sheetCode) {
+    const instance = getMapInstance(mapId);
+    const claimed = mapSheetBounds(sheetCode);
+    const entry = instance?.parcelIndexEntries[parcelId];
+    const sheets = entry && claimed ? parcelSheets(entry, claimed.scale) : [];
+    const match = claimed ? sheets.find(sheet => sheet.code === claimed.code) : null;
+
+    return JSON.stringify({
+        parcelId: parcelId,
+        parcelFound: !!entry,
+        claimedSheet: claimed ? claimed.code : sheetCode,
+        validCode: !!claimed,
+        onSheet: !!match,
+        areaFraction: match ? match.areaFraction : 0,
+        sheets: sheets
+    });
+}
+
+function parcelSheets(entry, scale) {
+    const parcelArea = ellipsoidalArea(entry.geoJson);
+    const bounds = { south: entry.minY, north: entry.maxY, west: entry.minX, east: entry.maxX };
+
+    return mapSheetsInBounds(bounds, scale)
+        .map(sheet => {
+            const piece = intersection(entry.geoJson, sheetPolygon(sheet));
+            return {
+                code: sheet.code,
+                areaFraction: piece && parcelArea > 0 ? roundTo(ellipsoidalArea(piece) / parcelArea, 4) : 0
+            };
+        })
+        .filter(sheet => sheet.areaFraction > 0)
+        .sort((a, b) => b.areaFraction - a.areaFraction);
+}
+
+function sheetPolygon(sheet) {
+    return {
+        type: 'Polygon',
+        coordinates: [[[sheet.west, sheet.south], [sheet.east, sheet.south], [sheet.east, sheet.north], [sheet.west, sheet.north], [sheet.west, sheet.south]]]
+    };
+}
+
+function drawSheetIndex(map, group, settings) {
+    const scale = settings.scale === 'auto'
+        ? (map.getZoom() >= settings.minZoom50k ? 50000 : 250000)
+        : Number(settings.scale);
+    const view = map.getBounds();
+    const extent = settings.extent;
+    const bounds = {
+        south: Math.max(view.getSouth(), extent ? extent.south : -90),
+        north: Math.min(view.getNorth(), extent ? extent.north : 90),
+        west: Math.max(view.getWest(), extent ? extent.west : -180),
+        east: Math.min(view.getEast(), extent ? extent.east : 180)
+    };
+    if (bounds.south >= bounds.north || bounds.west >= bounds.east) return;
+
+    const style = { color: settings.color, weight: settings.weight, opacity: settings.opacity, fill: false, interactive: false };
+    mapSheetsInBounds(bounds, scale).forEach(sheet => {
+        L.rectangle([[sheet.south, sheet.west], [sheet.north, sheet.east]], style).addTo(group);
+
+        // Labels only where the sheet is wide enough on screen to hold one
+        const width = map.latLngToContainerPoint([sheet.north, sheet.east]).x - map.latLngToContainerPoint([sheet.north, sheet.west]).x;
+        if (width >= settings.minLabelPixels) {
+            addGridLabel(group, L.latLng((sheet.south + sheet.north) / 2, (sheet.west + sheet.east) / 2), sheet.code, settings.color);
+        }
+    });
+}
+
+function addGridLabel(group, latlng, text, color) {
+    L.marker(latlng, {
+        interactive: false,
+        keyboard: false,
+        icon: L.divIcon({
+            className: 'grid-label',
+            html: `<span style="color:${color};background:rgba(255,255,255,0.75);font:11px sans-serif;padding:0 2px;white-space:nowrap;">${text}</span>`,
+            iconSize: null
+        })
+    }).addTo(group);
+}
+
+// ====== FILE IMPORT ======
+
+const defaultImportStyle = {
+    color: '#e31a1c',
+    weight: 2,
+    opacity: 0.9,
+    fillOpacity: 0.2
+};
+
+// Options of importShapefile that style the imported parcels
+const parcelStyleOptions = ['color', 'weight', 'opacity', 'fillOpacity', 'fillColor'];
+
+// Loads KML text: each Folder into a layer group of the same name (created
+// through createLayerGroup), loose placemarks into options.defaultGroup
+// ('custom' by default). Returns JSON { success, name, groups, totals,
+// skipped } with feature counts per group and the elements left out.
+export function importKml(mapId, kmlText, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+
+    let document;
+    try {
+        document = parseKml(kmlText);
+    } catch (error) {
+        return JSON.stringify({ success: false, reason: error.message });
+    }
+
+    return JSON.stringify(loadKmlDocument(instance, document, options));
+}
+
+// KMZ archives arrive from .NET as base64; the main document is doc.kml or
+// else the first KML file in the archive
+export async function importKmz(mapId, base64, options) {
+    let entries;
+    try {
+        entries = await readZip(base64ToBytes(base64));
+    } catch (error) {
+        return JSON.stringify({ success: false, reason: `Could not read KMZ: ${error.message}` });
+    }
+
+    const documents = entries.filter(entry => /\.kml$/i.test(entry.name) && entry.data);
+    const main = documents.find(entry => entry.name.toLowerCase() === 'doc.kml') ||
+        documents.find(entry => !entry.name.includes('/')) ||
+        documents[0];
+    if (!main) {
+        return JSON.stringify({ success: false, reason: 'The KMZ archive holds no KML document' });
+    }
+
+    return importKml(mapId, new TextDecoder().decode(main.data), options);
+}
+
+// Lists the shapefiles in a zip (base64) or in separately chosen files
+// ([{ name, data }] with base64 data) with their CRS, record count and
+// attribute fields, so the user can pick the parcel id attribute before
+// importing. Resolves to JSON { success, reason, layers }.
+export async function inspectShapefile(input) {
+    let sets;
+    try {
+        sets = await readShapefileInput(input);
+    } catch (error) {
+        return JSON.stringify({ success: false, reason: error.message });
+    }
+
+    const layers = sets.map(set => {
+        try {
+            const shapefile = readShapefile(set.shp, set.dbf, set.cpg);
+            return {
+                name: set.name,
+                shapeType: shapefile.shapeType,
+                count: shapefile.features.length,
+                crs: crsFromPrj(set.prj)?.code ?? null,
+                prj: set.prj ?? null,
+                fields: shapefile.fields.map(field => ({ name: field.name, type: field.type })),
+                sample: shapefile.features[0]?.properties ?? null
+            };
+        } catch (error) {
+            return { name: set.name, error: error.message };
+        }
+    });
+
+    return JSON.stringify({ success: layers.some(layer => !layer.error), reason: null, layers: layers });
+}
+
+// Imports shapefiles (zip as base64, or [{ name, data }] with base64 data).
+// Coordinates are reprojected to WGS84 from the CRS in each .prj, falling
+// back to options.sourceCrs when the .prj is missing or not recognised.
+// Polygons become parcels through addParcelBoundary with their id taken from
+// options.idAttribute (records without one are numbered after the file);
+// points and lines go to a layer group named options.group or after the file.
+// A repeated id replaces the parcel loaded before it and is listed in
+// duplicateIds. The parcel style options (color, weight, opacity,
+// fillOpacity, fillColor) and validation mode are passed on to the parcels;
+// topology issues are listed per file in topologyIssues rather than logged.
+// Resolves to JSON { success, reason, layers, totals, duplicateIds }.
+export async function importShapefile(mapId, input, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+
+    let sets;
+    try {
+        sets = await readShapefileInput(input);
+    } catch (error) {
+        return JSON.stringify({ success: false, reason: error.message });
+    }
+    if (sets.length === 0) {
+        return JSON.stringify({ success: false, reason: 'No .shp file was found' });
+    }
+
+    const totals = { parcels: 0, points: 0, lines: 0, skipped: 0 };
+    const layers = [];
+    const seenIds = new Set();
+    const duplicateIds = [];
+    const bounds = L.latLngBounds([]);
+    const parcelOptions = { validation: options?.validation };
+    parcelStyleOptions.filter(key => options?.[key] !== undefined).forEach(key => parcelOptions[key] = options[key]);
+
+    sets.forEach(set => {
+        const prjCrs = crsFromPrj(set.prj);
+        const crs = prjCrs || getCrs(options?.sourceCrs);
+        if (!crs) {
+            layers.push({ name: set.name, error: set.prj ? 'The .prj describes an unsupported coordinate reference system' : 'No .prj file; pass options.sourceCrs' });
+            return;
+        }
+
+        let shapefile;
+        try {
+            shapefile = readShapefile(set.shp, set.dbf, set.cpg);
+        } catch (error) {
+            layers.push({ name: set.name, error: error.message });
+            return;
+        }
+
+        const counts = { name: set.name, crs: crs.code, crsSource: prjCrs ? 'prj' : 'option', parcels: 0, points: 0, lines: 0, missingIds: 0, skipped: shapefile.skipped, topologyIssues: [] };
+        const collection = toMapGeoJson({ type: 'FeatureCollection', features: shapefile.features }, crs.code);
+
+        collection.features.forEach((feature, index) => {
+            const kind = geometryKind(feature.geometry.type);
+            if (kind !== 'polygons') {
+                const groupName = options?.group || set.name;
+                createLayerGroup(mapId, groupName);
+                const layer = L.geoJSON(feature, { style: defaultImportStyle });
+                layer.eachLayer(child => {
+                    featureRefs.set(child, { featureType: 'imported', featureId: null });
+                    child.bindPopup(createImportedPopup(feature.properties));
+                });
+                layer.addTo(instance.layerGroups[groupName]);
+                bounds.extend(layer.getBounds());
+                counts[kind]++;
+                totals[kind]++;
+                return;
+            }
+
+            const attribute = options?.idAttribute ? feature.properties[options.idAttribute] : null;
+            if (attribute === null || attribute === undefined || attribute === '') counts.missingIds++;
+            const parcelId = attribute === null || attribute === undefined || attribute === '' ? `${set.name}-${index + 1}` : String(attribute);
+            if (seenIds.has(parcelId)) duplicateIds.push(parcelId);
+            seenIds.add(parcelId);
+
+            const onIssues = (message, issues) => counts.topologyIssues.push({ record: index + 1, parcelId: parcelId, message: message, issues: issues });
+            const polygon = createParcelBoundary(instance, parcelId, geometryToLatLngs(feature.geometry), parcelOptions, feature.properties, onIssues);
+            if (!polygon) {
+                counts.skipped.push({ record: index + 1, parcelId: parcelId, reason: 'Rejected by boundary validation' });
+                return;
+            }
+
+            // Attribute values come from outside, so the popup shows them escaped
+            const safe = Object.fromEntries(Object.entries(feature.properties).map(([key, value]) => [escapeHtml(key), escapeHtml(value)]));
+            polygon.setPopupContent(createParcelPopup(escapeHtml(parcelId), safe));
+            bounds.extend(polygon.getBounds());
+            counts.parcels++;
+            totals.parcels++;
+        });
+
+        totals.skipped += counts.skipped.length;
+        layers.push(counts);
+    });
+
+    if (options?.fitBounds !== false && bounds.isValid()) {
+        instance.map.fitBounds(bounds, { padding: [20, 20] });
+    }
+
+    const loaded = totals.parcels + totals.points + totals.lines;
+    return JSON.stringify({
+        success: loaded > 0,
+        reason: loaded > 0 ? null : 'No features were imported',
+        layers: layers,
+        totals: totals,
+        duplicateIds: duplicateIds
+    });
+}
+
+async function readShapefileInput(input) {
+    let entries;
+    if (typeof input === 'string') {
+        try {
+            entries = await readZip(base64ToBytes(input));
+        } catch (error) {
+            throw new Error(`Could not read zip: ${error.message}`);
+        }
+    } else {
+        entries = (input || []).map(file => ({ name: file.name, data: base64ToBytes(file.data) }));
+    }
+
+    const decoder = new TextDecoder();
+    return collectShapefiles(entries.filter(entry => entry.data)).map(set => ({
+        ...set,
+        prj: set.prj ? decoder.decode(set.prj) : undefined,
+        cpg: set.cpg ? decoder.decode(set.cpg) : undefined
+    }));
+}
+
+// Tracks further apart than this between start and end are not closed
+const defaultClosureToleranceMeters = 10;
+
+// Loads a GPX file from a handheld unit: tracks and routes through
+// addPolyline (elevation kept as the vertex altitude, timestamps in the
+// layer's feature properties) and waypoints through addMarker. Every track
+// reports its closure gap, the distance from its first to its last point;
+// with options.candidateParcels, tracks that close within
+// options.closureToleranceMeters (10 m by default) also become candidate
+// parcel polygons in the 'candidates' layer group, returned as GeoJSON for
+// comparison with the registered boundary. Other options: color, weight,
+// fitBounds. Returns JSON { success, reason, name, tracks, routes,
+// waypoints, skipped }.
+export function importGpx(mapId, gpxText, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+
+    let document;
+    try {
+        document = parseGpx(gpxText);
+    } catch (error) {
+        return JSON.stringify({ success: false, reason: error.message });
+    }
+
+    const tolerance = options?.closureToleranceMeters ?? defaultClosureToleranceMeters;
+    const lineStyle = { color: options?.color || '#e31a1c', weight: options?.weight || 3 };
+    const bounds = L.latLngBounds([]);
+
+    const addGpxLine = (parts, properties, style) => {
+        if (!addPolyline(mapId, parts.map(points => points.map(gpxLatLng)), style)) return null;
+
+        const polyline = instance.polygons[instance.polygons.length - 1];
+        polyline.feature = { type: 'Feature', properties: properties };
+        featureRefs.set(polyline, { featureType: 'imported', featureId: properties.name });
+        polyline.bindPopup(createImportedPopup({
+            name: properties.name,
+            points: parts.reduce((total, points) => total + points.length, 0),
+            start: properties.startTime,
+            end: properties.endTime,
+            length: formatLength(properties.lengthMeters)
+        }));
+        bounds.extend(polyline.getBounds());
+        return polyline;
+    };
+
+    const tracks = document.tracks.filter(track => track.segments.length > 0).map((track, index) => {
+        const points = track.segments.flat();
+        const name = track.name || `Track ${index + 1}`;
+        const times = points.map(point => point.time).filter(Boolean);
+        const summary = {
+            name: name,
+            segments: track.segments.length,
+            points: points.length,
+            lengthMeters: roundTo(track.segments.reduce((total, segment) => total + gpxLength(segment), 0), 2),
+            startTime: times[0] ?? null,
+            endTime: times[times.length - 1] ?? null,
+            closureGapMeters: roundTo(L.latLng(gpxLatLng(points[0])).distanceTo(gpxLatLng(points[points.length - 1])), 2)
+        };
+        summary.closed = points.length >= 4 && summary.closureGapMeters <= tolerance;
+
+        addGpxLine(track.segments, {
+            name: name,
+            description: track.description,
+            source: 'gpx-track',
+            startTime: summary.startTime,
+            endTime: summary.endTime,
+            lengthMeters: summary.lengthMeters,
+            times: track.segments.map(segment => segment.map(point => point.time))
+        }, lineStyle);
+
+        if (options?.candidateParcels && summary.closed) {
+            summary.candidate = addCandidateParcel(instance, name, points, summary);
+        }
+        return summary;
+    });
+
+    const routes = document.routes.filter(route => route.points.length >= 2).map((route, index) => {
+        const name = route.name || `Route ${index + 1}`;
+        addGpxLine([route.points], {
+            name: name,
+            description: route.description,
+            source: 'gpx-route',
+            lengthMeters: roundTo(gpxLength(route.points), 2)
+        }, { ...lineStyle, dashArray: '8, 6' });
+        return { name: name, points: route.points.length };
+    });
+
+    let waypoints = 0;
+    document.waypoints.forEach(waypoint => {
+        const popup = createImportedPopup({
+            name: waypoint.name,
+            description: waypoint.description,
+            time: waypoint.time,
+            elevation: waypoint.elevation === null ? null : `${waypoint.elevation} m`
+        });
+        if (!addMarker(mapId, waypoint.latitude, waypoint.longitude, popup)) return;
+
+        const marker = instance.markers[instance.markers.length - 1];
+        marker.feature = {
+            type: 'Feature',
+            properties: { name: waypoint.name, description: waypoint.description, symbol: waypoint.symbol, time: waypoint.time, elevation: waypoint.elevation, source: 'gpx-waypoint' }
+        };
+        featureRefs.set(marker, { featureType: 'imported', featureId: waypoint.name });
+        bounds.extend(marker.getLatLng());
+        waypoints++;
+    });
 
-// ====== GEOCODING AND SEARCH ======
+    if (options?.fitBounds !== false && bounds.isValid()) {
+        instance.map.fitBounds(bounds, { padding: [20, 20] });
+    }
 
-export function geocodeAddress(address) {
-    // Implementation would use a geocoding service like Nominatim
-    console.log('Geocoding address:', address);
-    return { lat: -15.4167, lng: 28.2833, displayName: 'Lusaka, Zambia' };
+    const loaded = tracks.length + routes.length + waypoints;
+    return JSON.stringify({
+        success: loaded > 0,
+        reason: loaded > 0 ? null : 'No tracks, routes or waypoints were found',
+        name: document.name,
+        tracks: tracks,
+        routes: routes,
+        waypoints: waypoints,
+        skipped: document.skipped
+    });
 }
 
-export function reverseGeocode(latitude, longitude) {
-    // Implementation would use a reverse geocoding service
-    console.log('Reverse geocoding:', latitude, longitude);
-    return { address: 'Lusaka, Zambia' };
+function gpxLatLng(point) {
+    return point.elevation === null ? [point.latitude, point.longitude] : [point.latitude, point.longitude, point.elevation];
 }
 
-export function searchParcels(searchTerm) {
-    // Implementation would search through parcel registry
-    console.log('Searching parcels:', searchTerm);
-    return true;
+function gpxLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += L.latLng(gpxLatLng(points[i - 1])).distanceTo(gpxLatLng(points[i]));
+    }
+    return length;
 }
 
-// ====== SPATIAL ANALYSIS ======
-
-export function createBuffer(latitude, longitude, radiusMeters, options) {
-    if (!map) return false;
-    
-    const circle = L.circle([latitude, longitude], {
-        radius: radiusMeters,
-        color: options?.color || '#3388ff',
-        fillColor: options?.fillColor || '#3388ff',
-        fillOpacity: options?.fillOpacity || 0.2,
-        weight: options?.weight || 1
+// The walked ring, closed across the gap, drawn for review rather than
+// registered; its id is the track name
+function addCandidateParcel(instance, name, points, summary) {
+    const ring = summary.closureGapMeters === 0 ? points.slice(0, -1) : points;
+    const polygon = L.polygon(ring.map(point => [point.latitude, point.longitude]), {
+        color: '#6a3d9a',
+        weight: 2,
+        dashArray: '6, 4',
+        fillOpacity: 0.15
     });
-    
-    circle.addTo(map);
-    polygons.push(circle);
-    return true;
-}
 
-export function isPointInPolygon(latitude, longitude, polygonCoords) {
-    const point = L.latLng(latitude, longitude);
-    const polygon = L.polygon(polygonCoords);
-    
-    // Simple ray-casting algorithm for point-in-polygon test
-    const bounds = polygon.getBounds();
-    return bounds.contains(point);
-}
+    const geoJson = polygon.toGeoJSON(false);
+    const report = buildValidationReport(geoJson);
+    const areaSquareMeters = roundTo(ellipsoidalArea(geoJson), 2);
+    polygon.feature = {
+        type: 'Feature',
+        properties: { candidateId: name, source: 'gpx-track', closureGapMeters: summary.closureGapMeters, areaSquareMeters: areaSquareMeters, startTime: summary.startTime, endTime: summary.endTime }
+    };
+    featureRefs.set(polygon, { featureType: 'candidate', featureId: name });
+    polygon.bindPopup(createImportedPopup({
+        'candidate parcel': name,
+        'closure gap': formatLength(summary.closureGapMeters),
+        area: formatArea(areaSquareMeters)
+    }));
 
-export function calculateIntersection(polygon1, polygon2) {
-    // This would require turf.js or similar library for proper polygon intersection
-    console.log('Calculate intersection requires additional library');
-    return '{}';
+    createLayerGroup(instance.id, 'candidates');
+    polygon.addTo(instance.layerGroups['candidates']);
+
+    return {
+        id: name,
+        areaSquareMeters: areaSquareMeters,
+        valid: report.valid,
+        // Walking direction decides the winding, so that alone is no issue
+        issues: report.issues.filter(issue => issue.type !== 'reversed-ring'),
+        geoJson: { ...geoJson, properties: polygon.feature.properties }
+    };
 }
 
-export function findParcelsNearby(latitude, longitude, radiusMeters) {
-    // Search through parcel registry for nearby parcels
-    const nearbyParcels = [];
-    const searchPoint = L.latLng(latitude, longitude);
-    
-    for (const [parcelId, parcel] of Object.entries(parcelRegistry)) {
-        const parcelCenter = parcel.getBounds().getCenter();
-        const distance = searchPoint.distanceTo(parcelCenter);
-        
-        if (distance <= radiusMeters) {
-            nearbyParcels.push({
-                parcelId: parcelId,
-                distance: distance
+function loadKmlDocument(instance, document, options) {
+    const totals = { placemarks: 0, points: 0, lines: 0, polygons: 0, collections: 0 };
+    const groups = [];
+    const bounds = L.latLngBounds([]);
+
+    document.folders.forEach(folder => {
+        const groupName = folder.name || options?.defaultGroup || 'custom';
+        createLayerGroup(instance.id, groupName);
+
+        const counts = { group: groupName, folder: folder.name, placemarks: 0, points: 0, lines: 0, polygons: 0, collections: 0 };
+        folder.placemarks.forEach(placemark => {
+            const properties = { ...placemark.properties };
+            if (placemark.name !== null) properties.name = placemark.name;
+            if (placemark.description) properties.description = placemark.description;
+
+            const layer = L.geoJSON({ type: 'Feature', properties: properties, geometry: placemark.geometry }, {
+                style: { ...defaultImportStyle, ...placemark.style },
+                pointToLayer: (feature, latlng) => placemark.style?.iconColor
+                    ? L.circleMarker(latlng, { radius: 7, color: placemark.style.iconColor, fillColor: placemark.style.iconColor, fillOpacity: 0.8 })
+                    : L.marker(latlng)
             });
-        }
-    }
-    
-    return JSON.stringify(nearbyParcels);
-}
 
-// ====== LAYER MANAGEMENT ======
+            layer.eachLayer(child => {
+                featureRefs.set(child, { featureType: 'imported', featureId: placemark.name });
+                child.bindPopup(createImportedPopup(properties));
+            });
+            layer.addTo(instance.layerGroups[groupName]);
+            bounds.extend(layer.getBounds());
 
-export function createLayerGroup(groupName) {
-    if (!layerGroups[groupName]) {
-        layerGroups[groupName] = L.layerGroup().addTo(map);
-    }
-    return true;
-}
+            const kind = geometryKind(placemark.geometry.type);
+            counts.placemarks++;
+            counts[kind]++;
+            totals.placemarks++;
+            totals[kind]++;
+        });
+        groups.push(counts);
+    });
 
-export function showLayerGroup(groupName) {
-    if (layerGroups[groupName] && !map.hasLayer(layerGroups[groupName])) {
-        map.addLayer(layerGroups[groupName]);
+    if (options?.fitBounds !== false && bounds.isValid()) {
+        instance.map.fitBounds(bounds, { padding: [20, 20] });
     }
-    return true;
+
+    return {
+        success: totals.placemarks > 0,
+        reason: totals.placemarks > 0 ? null : 'No placemarks with supported geometry were found',
+        name: document.name,
+        groups: groups,
+        totals: totals,
+        skipped: document.skipped
+    };
 }
 
-export function hideLayerGroup(groupName) {
-    if (layerGroups[groupName] && map.hasLayer(layerGroups[groupName])) {
-        map.removeLayer(layerGroups[groupName]);
+function geometryKind(type) {
+    switch (type) {
+        case 'Point':
+        case 'MultiPoint':
+            return 'points';
+        case 'LineString':
+        case 'MultiLineString':
+            return 'lines';
+        case 'Polygon':
+        case 'MultiPolygon':
+            return 'polygons';
+        default:
+            return 'collections';
     }
-    return true;
 }
 
-export function removeLayerGroup(groupName) {
-    if (layerGroups[groupName]) {
-        map.removeLayer(layerGroups[groupName]);
-        delete layerGroups[groupName];
+// Imported files come from outside, so their text is escaped and any markup
+// in descriptions reduced to plain text before it reaches a popup
+function createImportedPopup(properties) {
+    const safe = {};
+    for (const [key, value] of Object.entries(properties)) {
+        if (value === null || value === undefined) continue;
+        const text = key === 'description' ? String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() : value;
+        safe[escapeHtml(key)] = escapeHtml(text);
     }
-    return true;
+    return createFeaturePopup(safe);
 }
 
-export function toggleLayer(layerName) {
-    if (layerGroups[layerName]) {
-        if (map.hasLayer(layerGroups[layerName])) {
-            hideLayerGroup(layerName);
-        } else {
-            showLayerGroup(layerName);
-        }
-    }
-    return true;
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // ====== EXPORT AND PRINT ======
 
-export function exportMapAsImage() {
+export function exportMapAsImage(mapId) {
     // Would use leaflet-image or similar library
     console.log('Export as image requires additional library');
     return '';
 }
 
-export function exportAsGeoJson() {
+export function exportAsGeoJson(mapId, targetCrs) {
     const allFeatures = {
         type: 'FeatureCollection',
         features: []
     };
     
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(targetCrs)) return JSON.stringify(allFeatures);
+
     // Collect all features from layer groups
-    for (const [name, group] of Object.entries(layerGroups)) {
+    for (const [name, group] of dataLayerGroups(instance)) {
         if (group) {
-            const geoJson = group.toGeoJSON();
+            const geoJson = group.toGeoJSON(exportPrecision(targetCrs));
             if (geoJson.features) {
                 allFeatures.features.push(...geoJson.features);
             }
         }
     }
     
-    return JSON.stringify(allFeatures);
+    return JSON.stringify(fromMapGeoJson(allFeatures, targetCrs));
 }
 
-export function exportAsKML() {
-    // Would convert GeoJSON to KML format
-    const geoJson = exportAsGeoJson();
-    console.log('KML export requires conversion library');
-    return '';
+// KML 2.2 with one Folder per data layer group (and one for drawn features),
+// styles taken from each layer's Leaflet style and feature properties as
+// ExtendedData and a plain-text description. options: { name, groups:
+// [names to include, working groups too], includeDrawn }
+export function exportAsKML(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return '';
+
+    return writeKml(buildKmlDocument(instance, options));
 }
 
-export function exportAsShapefile() {
-    // Would convert to Shapefile format
-    console.log('Shapefile export requires specialized library');
-    return '';
+// The same document packaged as KMZ, resolved as base64 for download from .NET
+export async function exportAsKMZ(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return '';
+
+    const archive = await createZip([{ name: 'doc.kml', data: writeKml(buildKmlDocument(instance, options)) }]);
+    return bytesToBase64(archive);
+}
+
+function buildKmlDocument(instance, options) {
+    const folders = dataLayerGroups(instance, options?.groups)
+        .map(([name, group]) => ({ name: name, placemarks: collectLeafLayers(group).map(layer => layerToPlacemark(layer)) }));
+
+    if (options?.includeDrawn !== false && instance.drawnItems) {
+        folders.push({ name: 'drawn', placemarks: collectLeafLayers(instance.drawnItems).map(layer => layerToPlacemark(layer)) });
+    }
+
+    return {
+        name: options?.name || 'Land audit export',
+        folders: folders.filter(folder => folder.placemarks.length > 0)
+    };
+}
+
+// Layers inside a group, looking into nested groups such as GeoJSON layers
+function collectLeafLayers(group) {
+    const layers = [];
+    group.eachLayer(layer => {
+        if (layer instanceof L.LayerGroup) {
+            layers.push(...collectLeafLayers(layer));
+        } else {
+            layers.push(layer);
+        }
+    });
+    return layers;
+}
+
+function layerToPlacemark(layer) {
+    const ref = featureRefs.get(layer);
+    const properties = layerExportProperties(layer);
+    const tooltip = layer.getTooltip?.()?.getContent();
+
+    return {
+        name: ref?.featureId ?? properties.name ?? (typeof tooltip === 'string' ? tooltip : null),
+        description: propertiesDescription(properties),
+        geometry: layerExportGeometry(layer),
+        properties: properties,
+        style: layerKmlStyle(layer)
+    };
+}
+
+// One "key: value" line per property; popups hold markup meant for the map
+function propertiesDescription(properties) {
+    const lines = Object.entries(properties)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    return lines.length > 0 ? lines.join('\n') : null;
+}
+
+// Feature properties plus the parcel, dispute or checkpoint reference
+function layerExportProperties(layer) {
+    const ref = featureRefs.get(layer);
+    const properties = { ...layer.feature?.properties };
+    if (ref) {
+        properties.featureType = ref.featureType;
+        if (ref.featureId !== null && ref.featureId !== undefined) properties.featureId = ref.featureId;
+    }
+    return properties;
+}
+
+function layerExportGeometry(layer) {
+    return layer instanceof L.Circle ? circleToPolygon(layer) : layer.toGeoJSON(false).geometry;
+}
+
+function layerKmlStyle(layer) {
+    if (layer instanceof L.Path) {
+        const options = layer.options;
+        return {
+            stroke: options.stroke,
+            color: options.color,
+            opacity: options.opacity,
+            weight: options.weight,
+            fill: options.fill,
+            fillColor: options.fillColor || options.color,
+            fillOpacity: options.fillOpacity
+        };
+    }
+
+    // Div icons carry their colour in the icon markup
+    const html = layer.options?.icon?.options?.html;
+    const color = typeof html === 'string' ? html.match(/color:\s*([^;"']+)/)?.[1]?.trim() : null;
+    return color ? { iconColor: color } : null;
+}
+
+// KML has no circles; L.Circle is written as a 72-sided polygon
+function circleToPolygon(circle) {
+    const center = circle.getLatLng();
+    const angular = circle.getRadius() / 6371000;
+    const lat1 = center.lat * Math.PI / 180;
+    const lng1 = center.lng * Math.PI / 180;
+    const ring = [];
+
+    for (let i = 0; i <= 72; i++) {
+        const bearing = (i % 72) * 5 * Math.PI / 180;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+        const lng2 = lng1 + Math.atan2(Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1), Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+        ring.push([lng2 * 180 / Math.PI, lat2 * 180 / Math.PI]);
+    }
+    return { type: 'Polygon', coordinates: [ring] };
+}
+
+// Zipped shapefiles (.shp/.shx/.dbf/.prj/.cpg, one set per geometry type)
+// of the chosen layer groups, or of the parcels listed in options.parcelIds.
+// options: { groups, parcelIds, includeDrawn, targetCrs (WGS84 by default or
+// an Arc 1950 / WGS84 UTM zone), baseName }. Resolves to JSON { success,
+// fileName, zip (base64), crs, layers, fieldMap, skipped }; fieldMap shows
+// how long property names were shortened for dBASE.
+export async function exportAsShapefile(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+
+    const crs = getCrs(options?.targetCrs || mapCrs);
+    if (!crs) return JSON.stringify({ success: false, reason: `Unsupported coordinate reference system: ${options.targetCrs}` });
+
+    const features = [];
+    const addLayers = (layers, groupName) => layers.forEach(layer => features.push({
+        type: 'Feature',
+        properties: { ...layerExportProperties(layer), layer: groupName },
+        geometry: layerExportGeometry(layer)
+    }));
+
+    if (options?.parcelIds) {
+        const missing = options.parcelIds.filter(parcelId => !instance.parcelRegistry[parcelId]);
+        if (missing.length > 0) {
+            console.warn(`Parcels not found: ${missing.join(', ')}`);
+        }
+        addLayers(options.parcelIds.filter(parcelId => instance.parcelRegistry[parcelId]).map(parcelId => instance.parcelRegistry[parcelId]), 'parcels');
+    } else {
+        dataLayerGroups(instance, options?.groups)
+            .forEach(([name, group]) => addLayers(collectLeafLayers(group), name));
+        if (options?.includeDrawn !== false && instance.drawnItems) {
+            addLayers(collectLeafLayers(instance.drawnItems), 'drawn');
+        }
+    }
+
+    if (features.length === 0) {
+        return JSON.stringify({ success: false, reason: 'Nothing to export' });
+    }
+
+    const baseName = (options?.baseName || 'land_audit').replace(/[^\w-]+/g, '_');
+    const collection = fromMapGeoJson({ type: 'FeatureCollection', features: features }, crs.code);
+    const result = writeShapefiles(collection.features, { baseName: baseName, prj: crsToPrj(crs) });
+    const archive = await createZip(result.files);
+
+    return JSON.stringify({
+        success: true,
+        fileName: `${baseName}.zip`,
+        zip: bytesToBase64(archive),
+        crs: crs.code,
+        layers: result.layers,
+        fieldMap: result.fieldMap,
+        skipped: result.skipped
+    });
 }
 
 export function printMap(options) {
@@ -859,30 +3705,33 @@ export function printMap(options) {
 
 // ====== CONTROLS AND UI ======
 
-export function addScaleControl(position) {
-    if (!map) return false;
+export function addScaleControl(mapId, position) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     L.control.scale({
         position: position || 'bottomleft',
         imperial: false,
         metric: true
-    }).addTo(map);
+    }).addTo(instance.map);
     
     return true;
 }
 
-export function addZoomControl(position) {
-    if (!map) return false;
+export function addZoomControl(mapId, position) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     L.control.zoom({
         position: position || 'topleft'
-    }).addTo(map);
+    }).addTo(instance.map);
     
     return true;
 }
 
-export function addLegend(legendData, position) {
-    if (!map) return false;
+export function addLegend(mapId, legendData, position) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     const legend = L.control({ position: position || 'bottomright' });
     
@@ -897,72 +3746,490 @@ export function addLegend(legendData, position) {
         return div;
     };
     
-    legend.addTo(map);
+    legend.addTo(instance.map);
     return true;
 }
 
-export function addMiniMap(miniMapLayerUrl, options) {
-    if (!map) return false;
+export function addMiniMap(mapId, miniMapLayerUrl, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     // Note: Requires leaflet-minimap plugin
     console.log('MiniMap requires leaflet-minimap plugin');
     return true;
 }
 
-export function removeMiniMap() {
-    if (miniMapControl) {
-        map.removeControl(miniMapControl);
-        miniMapControl = null;
+export function removeMiniMap(mapId) {
+    const instance = getMapInstance(mapId);
+    if (instance && instance.miniMapControl) {
+        instance.map.removeControl(instance.miniMapControl);
+        instance.miniMapControl = null;
     }
     return true;
 }
 
-export function toggleMiniMap() {
-    if (miniMapControl) {
-        removeMiniMap();
+export function toggleMiniMap(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    if (instance.miniMapControl) {
+        removeMiniMap(mapId);
     } else {
-        addMiniMap();
+        addMiniMap(mapId);
     }
     return true;
 }
 
-export function addFullscreenControl() {
-    if (!map) return false;
+export function addFullscreenControl(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
     
     // Note: Requires leaflet.fullscreen plugin
     console.log('Fullscreen control requires plugin');
     return true;
 }
 
-export function addLayerSwitcher(layers) {
-    if (!map) return false;
-    
-    L.control.layers(baseLayers, overlayLayers, {
+export function addLayerSwitcher(mapId, layers) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    if (instance.layerSwitcher) {
+        instance.map.removeControl(instance.layerSwitcher);
+    }
+
+    // Kept so overlays registered later (grids, sheet indexes) still appear
+    instance.layerSwitcher = L.control.layers(instance.baseLayers, instance.overlayLayers, {
         position: 'topright',
         collapsed: false
-    }).addTo(map);
+    }).addTo(instance.map);
     
     return true;
 }
 
+// ====== COORDINATE READOUT ======
+
+const coordinateFormatLabels = {
+    dd: 'Decimal degrees',
+    dms: 'DMS',
+    utm: 'UTM (WGS84)',
+    arc1950utm: 'UTM (Arc 1950)',
+    mgrs: 'MGRS'
+};
+
+const defaultCoordinateReadoutOptions = {
+    position: 'bottomleft',
+    format: 'dd',
+    copyOnMapClick: false // map clicks also select parcels and place vertices
+};
+
+// Shows the position under the cursor in a selectable format. Clicking the
+// readout copies the displayed text; with copyOnMapClick a map click copies
+// the clicked position without interfering with other click handlers.
+export function addCoordinateReadout(mapId, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    removeCoordinateReadout(mapId);
+
+    const settings = { ...defaultCoordinateReadoutOptions, ...options };
+    const readout = {
+        format: coordinateFormats.includes(settings.format) ? settings.format : 'dd',
+        formatOptions: settings.formatOptions,
+        latlng: null,
+        control: L.control({ position: settings.position }),
+        select: null,
+        text: null
+    };
+
+    readout.control.onAdd = function() {
+        const container = L.DomUtil.create('div', 'leaflet-bar coordinate-readout');
+        container.style.cssText = 'background:#fff;padding:2px 6px;font:12px monospace;display:flex;gap:6px;align-items:center;';
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        readout.select = L.DomUtil.create('select', 'coordinate-readout-format', container);
+        coordinateFormats.forEach(format => {
+            const option = L.DomUtil.create('option', '', readout.select);
+            option.value = format;
+            option.textContent = coordinateFormatLabels[format];
+        });
+        readout.select.value = readout.format;
+        L.DomEvent.on(readout.select, 'change', () => setCoordinateReadoutFormat(mapId, readout.select.value));
+
+        readout.text = L.DomUtil.create('span', 'coordinate-readout-text', container);
+        readout.text.title = 'Click to copy';
+        readout.text.style.cursor = 'copy';
+        L.DomEvent.on(readout.text, 'click', () => {
+            if (readout.latlng) {
+                copyCoordinateText(readout, readout.text.textContent);
+            }
+        });
+
+        return container;
+    };
+
+    readout.control.addTo(instance.map);
+    instance.coordinateReadout = readout;
+    updateCoordinateReadout(readout, null);
+
+    addNamespacedListener(instance, 'coordinateReadout', instance.map, 'mousemove', e => updateCoordinateReadout(readout, e.latlng));
+    if (settings.copyOnMapClick) {
+        addNamespacedListener(instance, 'coordinateReadout', instance.map, 'click', e => {
+            updateCoordinateReadout(readout, e.latlng);
+            copyCoordinateText(readout, readout.text.textContent);
+        });
+    }
+
+    return true;
+}
+
+export function setCoordinateReadoutFormat(mapId, format) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.coordinateReadout || !coordinateFormats.includes(format)) return false;
+
+    const readout = instance.coordinateReadout;
+    readout.format = format;
+    readout.select.value = format;
+    updateCoordinateReadout(readout, readout.latlng);
+    return true;
+}
+
+export function removeCoordinateReadout(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.coordinateReadout) return false;
+
+    removeNamespacedListeners(instance, 'coordinateReadout');
+    instance.map.removeControl(instance.coordinateReadout.control);
+    instance.coordinateReadout = null;
+    return true;
+}
+
+function updateCoordinateReadout(readout, latlng) {
+    readout.latlng = latlng;
+    readout.text.textContent = latlng
+        ? formatCoordinate(latlng.lat, latlng.lng, readout.format, readout.formatOptions)
+        : 'Move the cursor over the map';
+}
+
+function copyCoordinateText(readout, text) {
+    const showCopied = () => {
+        readout.text.textContent = 'Copied';
+        setTimeout(() => updateCoordinateReadout(readout, readout.latlng), 800);
+    };
+
+    // The async clipboard API needs a secure context; fall back to a
+    // temporary text area elsewhere
+    if (navigator.clipboard && window.isSecureContext) {
+        navigator.clipboard.writeText(text).then(showCopied, () => console.warn('Could not copy coordinates'));
+        return;
+    }
+
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.style.cssText = 'position:fixed;opacity:0;';
+    document.body.appendChild(textArea);
+    textArea.select();
+    const copied = document.execCommand && document.execCommand('copy');
+    document.body.removeChild(textArea);
+    if (copied) {
+        showCopied();
+    } else {
+        console.warn('Could not copy coordinates');
+    }
+}
+
+// ====== GO TO COORDINATE ======
+
+const defaultGoToOptions = {
+    markerDurationMs: 15000
+};
+
+// Parses pasted coordinates (DMS, UTM or MGRS) without touching the map, so
+// search dialogs can validate input; see parseCoordinate for the formats
+export function parseCoordinateText(text, options) {
+    return JSON.stringify(describeParsedCoordinate(parseCoordinate(text, options)));
+}
+
+// Parses the text, checks it lies in Zambia and zooms to it with a temporary
+// marker. Returns JSON { success, reason, format, latitude, longitude }.
+export function goToCoordinate(mapId, text, options) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return JSON.stringify({ success: false, reason: 'Map not found' });
+
+    const settings = { ...defaultGoToOptions, ...options };
+    const parsed = parseCoordinate(text, settings);
+    const result = describeParsedCoordinate(parsed);
+    if (!parsed.success) return JSON.stringify(result);
+
+    clearGoToMarker(mapId);
+
+    // Coarse MGRS squares are shown whole rather than zoomed into
+    const precision = parsed.precisionMeters || 1;
+    const zoom = settings.zoom || (precision >= 10000 ? 11 : precision >= 1000 ? 14 : 17);
+    const latlng = L.latLng(result.latitude, result.longitude);
+
+    const marker = L.marker(latlng)
+        .bindPopup(`<div class="goto-popup">
+            <p><strong>${formatCoordinate(latlng.lat, latlng.lng, 'dd')}</strong></p>
+            <p>${formatCoordinate(latlng.lat, latlng.lng, 'dms')}<br>${formatCoordinate(latlng.lat, latlng.lng, 'utm')}</p>
+        </div>`)
+        .addTo(instance.map);
+
+    instance.goToMarker = {
+        marker: marker,
+        timer: settings.markerDurationMs > 0 ? setTimeout(() => clearGoToMarker(mapId), settings.markerDurationMs) : null
+    };
+
+    instance.map.setView(latlng, zoom);
+    marker.openPopup();
+    return JSON.stringify(result);
+}
+
+export function clearGoToMarker(mapId) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !instance.goToMarker) return false;
+
+    clearTimeout(instance.goToMarker.timer);
+    instance.goToMarker.marker.remove();
+    instance.goToMarker = null;
+    return true;
+}
+
+function describeParsedCoordinate(parsed) {
+    if (!parsed.success) return { success: false, reason: parsed.reason };
+
+    return {
+        success: true,
+        format: parsed.format,
+        latitude: parsed.point[1],
+        longitude: parsed.point[0],
+        precisionMeters: parsed.precisionMeters || null
+    };
+}
+
 // ====== EVENT HANDLERS ======
 
-export function setupMapClick(dotNetReference) {
-    if (!map) return false;
-    
-    map.on('click', function(e) {
+// Listeners are grouped by namespace ('app', 'measurement', 'drawing', ...)
+// so each tool can remove its own handlers without touching the others.
+function addNamespacedListener(instance, namespace, target, type, handler) {
+    if (!instance.listeners[namespace]) {
+        instance.listeners[namespace] = [];
+    }
+    instance.listeners[namespace].push({ target: target, type: type, handler: handler });
+    target.on(type, handler);
+}
+
+function removeNamespacedListeners(instance, namespace) {
+    const listeners = instance.listeners[namespace];
+    if (!listeners) return;
+
+    listeners.forEach(listener => listener.target.off(listener.type, listener.handler));
+    delete instance.listeners[namespace];
+}
+
+export function setupMapClick(mapId, dotNetReference, namespace) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    addNamespacedListener(instance, namespace || 'app', instance.map, 'click', function(e) {
         dotNetReference.invokeMethodAsync('OnMapClickEvent', e.latlng.lat, e.latlng.lng);
     });
     
     return true;
 }
 
-// ====== UTILITY METHODS ======
+const mapEventTypes = ['moveend', 'zoomend', 'baselayerchange', 'overlaytoggle', 'popupopen', 'popupclose', 'featureclick', 'featurehover'];
 
-export function getMapBounds() {
-    if (!map) return {};
-    
+// Subscribes a .NET reference to map events. Each callback receives a JSON
+// payload; feature events carry the featureType ('parcel', 'checkpoint',
+// 'dispute', 'drawn', ...) and featureId of the layer involved.
+export function subscribeMapEvents(mapId, dotNetReference, eventTypes, namespace) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !dotNetReference) return false;
+
+    const map = instance.map;
+    const ns = namespace || 'app';
+    const notify = (methodName, payload) => dotNetReference.invokeMethodAsync(methodName, JSON.stringify(payload));
+    const listen = (target, type, handler) => addNamespacedListener(instance, ns, target, type, handler);
+
+    (eventTypes && eventTypes.length ? eventTypes : mapEventTypes).forEach(eventType => {
+        switch (eventType) {
+            case 'moveend':
+                listen(map, 'moveend', () => notify('OnMapMoveEndEvent', describeMapView(map)));
+                break;
+            case 'zoomend':
+                listen(map, 'zoomend', () => notify('OnMapZoomEndEvent', describeMapView(map)));
+                break;
+            case 'baselayerchange':
+                listen(map, 'baselayerchange', e => notify('OnBaseLayerChangedEvent', { name: e.name }));
+                break;
+            case 'overlaytoggle':
+                listen(map, 'overlayadd', e => notify('OnOverlayToggledEvent', { name: e.name, visible: true }));
+                listen(map, 'overlayremove', e => notify('OnOverlayToggledEvent', { name: e.name, visible: false }));
+                break;
+            case 'popupopen':
+                listen(instance.featureEvents, 'popupopen', e => notify('OnPopupOpenedEvent', describeFeatureEvent(e)));
+                break;
+            case 'popupclose':
+                listen(instance.featureEvents, 'popupclose', e => notify('OnPopupClosedEvent', describeFeatureEvent(e)));
+                break;
+            case 'featureclick':
+                listen(instance.featureEvents, 'click', e => notify('OnFeatureClickEvent', describeFeatureEvent(e)));
+                break;
+            case 'featurehover':
+                listen(instance.featureEvents, 'mouseover', e => notify('OnFeatureHoverEvent', { ...describeFeatureEvent(e), hovering: true }));
+                listen(instance.featureEvents, 'mouseout', e => notify('OnFeatureHoverEvent', { ...describeFeatureEvent(e), hovering: false }));
+                break;
+            default:
+                console.warn('Unknown map event type:', eventType);
+        }
+    });
+
+    return true;
+}
+
+export function unsubscribeMapEvents(mapId, namespace) {
+    const instance = getMapInstance(mapId);
+    if (!instance) return false;
+
+    removeNamespacedListeners(instance, namespace || 'app');
+    return true;
+}
+
+function describeMapView(map) {
     const bounds = map.getBounds();
+    const center = map.getCenter();
+    return {
+        bounds: {
+            north: bounds.getNorth(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            west: bounds.getWest()
+        },
+        center: {
+            latitude: center.lat,
+            longitude: center.lng
+        },
+        zoom: map.getZoom()
+    };
+}
+
+function describeFeatureEvent(e) {
+    // Events arrive here through the feature groups, so propagatedFrom is the
+    // parcel polygon or marker itself
+    const layer = e.propagatedFrom || e.layer || e.target;
+    const ref = featureRefs.get(layer) || {
+        featureType: layer?.feature?.properties?.featureId ? 'drawn' : 'unknown',
+        featureId: layer?.feature?.properties?.featureId || null
+    };
+    const latlng = e.latlng || e.popup?.getLatLng();
+
+    return {
+        featureType: ref.featureType,
+        featureId: ref.featureId,
+        latitude: latlng ? latlng.lat : null,
+        longitude: latlng ? latlng.lng : null
+    };
+}
+
+// ====== COORDINATE REFERENCE SYSTEMS ======
+
+// Leaflet works in WGS84; data in another CRS (Arc 1950 or the UTM zones
+// 34S-36S, on either datum) is converted on the way in and out. For a
+// projected source CRS the latitude/longitude arguments of the add
+// functions carry northing/easting.
+const mapCrs = 'EPSG:4326';
+
+export function transformCoordinate(x, y, fromCrs, toCrs) {
+    const [tx, ty] = transformPoint([x, y], fromCrs, toCrs);
+    return { x: tx, y: ty };
+}
+
+export function transformGeoJsonCrs(geoJson, fromCrs, toCrs) {
+    const source = fromCrs || declaredCrs(geoJson) || mapCrs;
+    return JSON.stringify(transformGeoJson(geoJson, source, toCrs || mapCrs));
+}
+
+// Shared by the cursor readout, popups and exports so coordinates read the
+// same everywhere; format is one of 'dd', 'dms', 'utm', 'arc1950utm', 'mgrs'
+export function formatCoordinate(latitude, longitude, format, options) {
+    return formatPosition([longitude, latitude], format, options);
+}
+
+// Unknown CRS codes make the add, import or export call that was given them
+// fail (false, '{}' or { success: false }) instead of throwing into .NET
+function isKnownCrs(crs) {
+    if (!crs || getCrs(crs)) return true;
+    console.warn(`Unsupported coordinate reference system: ${crs}`);
+    return false;
+}
+
+function isMapCrs(crs) {
+    if (!crs) return true;
+    const definition = getCrs(crs);
+    if (!definition) {
+        throw new Error(`Unsupported coordinate reference system: ${crs}`);
+    }
+    return definition.code === mapCrs;
+}
+
+function toMapLatLng(latitude, longitude, sourceCrs) {
+    if (isMapCrs(sourceCrs)) return [latitude, longitude];
+
+    const point = transformPoint([longitude, latitude], sourceCrs, mapCrs);
+    return [point[1], point[0]];
+}
+
+// Nested arrays of [lat, lng] pairs or { lat, lng } objects, as Leaflet takes them
+function toMapLatLngs(latlngs, sourceCrs) {
+    if (isMapCrs(sourceCrs)) return latlngs;
+
+    return latlngs.map(item => {
+        if (Array.isArray(item)) {
+            return typeof item[0] === 'number' ? toMapLatLng(item[0], item[1], sourceCrs) : toMapLatLngs(item, sourceCrs);
+        }
+        const [lat, lng] = toMapLatLng(item.lat, item.lng, sourceCrs);
+        return { ...item, lat, lng };
+    });
+}
+
+// GeoJSON in the declared source CRS, else the CRS named in its "crs" member
+function toMapGeoJson(geoJson, sourceCrs) {
+    const crs = sourceCrs || declaredCrs(geoJson);
+    return isMapCrs(crs) ? geoJson : transformGeoJson(geoJson, crs, mapCrs);
+}
+
+// Leaflet rounds exported degrees to 6 decimals (~0.1 m); keep full
+// precision when the output is reprojected for survey use
+function exportPrecision(targetCrs) {
+    return isMapCrs(targetCrs) ? undefined : false;
+}
+
+function fromMapGeoJson(geoJson, targetCrs) {
+    return isMapCrs(targetCrs) ? geoJson : transformGeoJson(geoJson, mapCrs, targetCrs);
+}
+
+// ====== UTILITY METHODS ======
+
+export function getMapBounds(mapId, targetCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(targetCrs)) return {};
+
+    const bounds = instance.map.getBounds();
+    if (!isMapCrs(targetCrs)) {
+        // Envelope of the transformed corners; in a projected CRS north and
+        // south are northings, east and west eastings
+        const corners = [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()]
+            .map(corner => transformPoint([corner.lng, corner.lat], mapCrs, targetCrs));
+        return {
+            north: Math.max(...corners.map(point => point[1])),
+            south: Math.min(...corners.map(point => point[1])),
+            east: Math.max(...corners.map(point => point[0])),
+            west: Math.min(...corners.map(point => point[0])),
+            crs: getCrs(targetCrs).code
+        };
+    }
+
     return {
         north: bounds.getNorth(),
         south: bounds.getSouth(),
@@ -971,23 +4238,34 @@ export function getMapBounds() {
     };
 }
 
-export function getZoomLevel() {
-    return map ? map.getZoom() : 0;
+export function getZoomLevel(mapId) {
+    const instance = getMapInstance(mapId);
+    return instance ? instance.map.getZoom() : 0;
 }
 
-export function getMapCenter() {
-    if (!map) return {};
-    
-    const center = map.getCenter();
+export function getMapCenter(mapId, targetCrs) {
+    const instance = getMapInstance(mapId);
+    if (!instance || !isKnownCrs(targetCrs)) return {};
+
+    const center = instance.map.getCenter();
+    if (!isMapCrs(targetCrs)) {
+        const crs = getCrs(targetCrs);
+        const [x, y] = transformPoint([center.lng, center.lat], mapCrs, crs);
+        return crs.projected
+            ? { easting: x, northing: y, crs: crs.code }
+            : { latitude: y, longitude: x, crs: crs.code };
+    }
+
     return {
         latitude: center.lat,
         longitude: center.lng
     };
 }
 
-export function invalidateSize() {
-    if (map) {
-        map.invalidateSize();
+export function invalidateSize(mapId) {
+    const instance = getMapInstance(mapId);
+    if (instance) {
+        instance.map.invalidateSize();
     }
     return true;
 }
@@ -0,0 +1,559 @@
+// ESRI shapefile reading and writing for exchange with the Survey
+// Department's desktop GIS. Works on GeoJSON features in the shapefile's own
+// CRS; reprojection and .prj interpretation are left to the caller.
+// Geometry is handled in 2D, Z and M values are dropped on reading.
+
+const textEncoder = new TextEncoder();
+
+// Shape type codes from the ESRI shapefile specification
+const SHAPE_POINT = 1;
+const SHAPE_POLYLINE = 3;
+const SHAPE_POLYGON = 5;
+const SHAPE_MULTIPOINT = 8;
+
+const MAX_DBF_FIELDS = 255;
+
+// ====== WRITING ======
+
+// Splits features by geometry type into one shapefile each and returns
+// { files: [{ name, data }], layers: [{ name, shapeType, count }],
+// fieldMap: [{ property, field, type, truncated }], skipped }. Every file
+// shares one attribute table layout; property names longer than the ten
+// characters dBASE allows are shortened and kept unique, and fieldMap
+// records what each property became. options: { baseName, prj }
+export function writeShapefiles(features, options) {
+    const baseName = options?.baseName || 'export';
+    const skipped = [];
+    const buckets = {
+        points: { shapeType: SHAPE_POINT, records: [] },
+        multipoints: { shapeType: SHAPE_MULTIPOINT, records: [] },
+        lines: { shapeType: SHAPE_POLYLINE, records: [] },
+        polygons: { shapeType: SHAPE_POLYGON, records: [] }
+    };
+
+    features.forEach((feature, index) => {
+        const parts = splitGeometry(feature.geometry);
+        if (parts.length === 0) {
+            skipped.push({ index: index, reason: `Unsupported or empty geometry ${feature.geometry?.type ?? 'null'}` });
+        }
+        parts.forEach(part => buckets[part.bucket].records.push({ coordinates: part.coordinates, properties: feature.properties || {} }));
+    });
+
+    const { fields, fieldMap } = buildDbfFields(features.map(feature => feature.properties || {}), skipped);
+
+    const files = [];
+    const layers = [];
+    Object.entries(buckets).forEach(([suffix, bucket]) => {
+        if (bucket.records.length === 0) return;
+
+        const name = `${baseName}_${suffix}`;
+        const { shp, shx } = writeShpAndShx(bucket.shapeType, bucket.records.map(record => record.coordinates));
+        files.push({ name: `${name}.shp`, data: shp });
+        files.push({ name: `${name}.shx`, data: shx });
+        files.push({ name: `${name}.dbf`, data: writeDbf(fields, bucket.records.map(record => record.properties)) });
+        if (options?.prj) {
+            files.push({ name: `${name}.prj`, data: options.prj });
+        }
+        files.push({ name: `${name}.cpg`, data: 'UTF-8' });
+        layers.push({ name: name, shapeType: bucket.shapeType, count: bucket.records.length });
+    });
+
+    return { files: files, layers: layers, fieldMap: fieldMap, skipped: skipped };
+}
+
+// GeoJSON geometry to [{ bucket, coordinates }]; collections are spread over
+// the buckets of their members, each carrying the feature's attributes
+function splitGeometry(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'Point':
+            return [{ bucket: 'points', coordinates: geometry.coordinates }];
+        case 'MultiPoint':
+            return geometry.coordinates.length > 0 ? [{ bucket: 'multipoints', coordinates: geometry.coordinates }] : [];
+        case 'LineString':
+            return geometry.coordinates.length >= 2 ? [{ bucket: 'lines', coordinates: [geometry.coordinates] }] : [];
+        case 'MultiLineString': {
+            const lines = geometry.coordinates.filter(line => line.length >= 2);
+            return lines.length > 0 ? [{ bucket: 'lines', coordinates: lines }] : [];
+        }
+        case 'Polygon':
+            return geometry.coordinates.length > 0 ? [{ bucket: 'polygons', coordinates: orientPolygonRings([geometry.coordinates]) }] : [];
+        case 'MultiPolygon': {
+            const polygons = geometry.coordinates.filter(polygon => polygon.length > 0);
+            return polygons.length > 0 ? [{ bucket: 'polygons', coordinates: orientPolygonRings(polygons) }] : [];
+        }
+        case 'GeometryCollection':
+            return geometry.geometries.flatMap(splitGeometry);
+        default:
+            return [];
+    }
+}
+
+// Shapefile rings are closed, outer rings clockwise and holes counter-clockwise
+function orientPolygonRings(polygons) {
+    const rings = [];
+    polygons.forEach(polygon => polygon.forEach((ring, index) => {
+        const closed = ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1] ? [...ring, ring[0]] : ring;
+        const clockwise = signedRingArea(closed) < 0;
+        rings.push(clockwise === (index === 0) ? closed : [...closed].reverse());
+    }));
+    return rings;
+}
+
+function signedRingArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+}
+
+function writeShpAndShx(shapeType, shapes) {
+    const contents = shapes.map(coordinates => shapeContent(shapeType, coordinates));
+    const shpLength = 100 + contents.reduce((total, content) => total + 8 + content.byteLength, 0);
+    const shxLength = 100 + shapes.length * 8;
+
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(shxLength));
+    const box = shapesBox(shapeType, shapes);
+    writeShpHeader(shp, shapeType, shpLength, box);
+    writeShpHeader(shx, shapeType, shxLength, box);
+
+    let offset = 100;
+    contents.forEach((content, index) => {
+        shx.setInt32(100 + index * 8, offset / 2, false);
+        shx.setInt32(104 + index * 8, content.byteLength / 2, false);
+
+        shp.setInt32(offset, index + 1, false);
+        shp.setInt32(offset + 4, content.byteLength / 2, false);
+        new Uint8Array(shp.buffer).set(new Uint8Array(content), offset + 8);
+        offset += 8 + content.byteLength;
+    });
+
+    return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+}
+
+// Lengths are counted in 16-bit words and stored big-endian; everything else is little-endian
+function writeShpHeader(view, shapeType, byteLength, box) {
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, byteLength / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    box.forEach((value, index) => view.setFloat64(36 + index * 8, value, true));
+}
+
+function shapeContent(shapeType, coordinates) {
+    if (shapeType === SHAPE_POINT) {
+        const view = new DataView(new ArrayBuffer(20));
+        view.setInt32(0, SHAPE_POINT, true);
+        view.setFloat64(4, coordinates[0], true);
+        view.setFloat64(12, coordinates[1], true);
+        return view.buffer;
+    }
+
+    if (shapeType === SHAPE_MULTIPOINT) {
+        const view = new DataView(new ArrayBuffer(40 + coordinates.length * 16));
+        view.setInt32(0, SHAPE_MULTIPOINT, true);
+        pointsBox(coordinates).forEach((value, index) => view.setFloat64(4 + index * 8, value, true));
+        view.setInt32(36, coordinates.length, true);
+        coordinates.forEach((point, index) => {
+            view.setFloat64(40 + index * 16, point[0], true);
+            view.setFloat64(48 + index * 16, point[1], true);
+        });
+        return view.buffer;
+    }
+
+    // Polylines and polygons: a list of parts (lines or rings) sharing one point array
+    const points = coordinates.flat();
+    const view = new DataView(new ArrayBuffer(44 + coordinates.length * 4 + points.length * 16));
+    view.setInt32(0, shapeType, true);
+    pointsBox(points).forEach((value, index) => view.setFloat64(4 + index * 8, value, true));
+    view.setInt32(36, coordinates.length, true);
+    view.setInt32(40, points.length, true);
+
+    let start = 0;
+    coordinates.forEach((part, index) => {
+        view.setInt32(44 + index * 4, start, true);
+        start += part.length;
+    });
+
+    const pointsOffset = 44 + coordinates.length * 4;
+    points.forEach((point, index) => {
+        view.setFloat64(pointsOffset + index * 16, point[0], true);
+        view.setFloat64(pointsOffset + index * 16 + 8, point[1], true);
+    });
+    return view.buffer;
+}
+
+function shapesBox(shapeType, shapes) {
+    const points = shapeType === SHAPE_POINT ? shapes : shapeType === SHAPE_MULTIPOINT ? shapes.flat() : shapes.flat(2);
+    return points.length > 0 ? pointsBox(points) : [0, 0, 0, 0];
+}
+
+function pointsBox(points) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    points.forEach(point => {
+        minX = Math.min(minX, point[0]);
+        minY = Math.min(minY, point[1]);
+        maxX = Math.max(maxX, point[0]);
+        maxY = Math.max(maxY, point[1]);
+    });
+    return [minX, minY, maxX, maxY];
+}
+
+// ====== READING ======
+
+// Groups the files of one or more shapefiles by base name:
+// [{ name, data }] -> [{ name, shp, shx, dbf, prj, cpg }]. Entries inside
+// folders and other file types are matched by base name as well.
+export function collectShapefiles(entries) {
+    const sets = new Map();
+    entries.forEach(entry => {
+        const match = entry.name.match(/^(.*?)\.(shp|shx|dbf|prj|cpg)$/i);
+        if (!match || match[1].split('/').pop().startsWith('._')) return;
+
+        const key = match[1].toLowerCase();
+        if (!sets.has(key)) sets.set(key, { name: match[1].split('/').pop() });
+        sets.get(key)[match[2].toLowerCase()] = entry.data;
+    });
+    return [...sets.values()].filter(set => set.shp);
+}
+
+// Reads a .shp (and its .dbf, when given) into GeoJSON features in file
+// order. cpg names the attribute encoding; without one, UTF-8 is tried and
+// Windows-1252 used when the text is not valid UTF-8. Returns { shapeType,
+// features, fields: [{ name, type, length, decimals }], skipped }.
+export function readShapefile(shp, dbf, cpg) {
+    const view = new DataView(shp.buffer, shp.byteOffset, shp.byteLength);
+    if (shp.byteLength < 100 || view.getInt32(0, false) !== 9994) {
+        throw new Error('Not a shapefile (.shp)');
+    }
+
+    const table = dbf ? readDbf(dbf, cpg) : { fields: [], rows: [] };
+    const fileLength = Math.min(shp.byteLength, view.getInt32(24, false) * 2);
+    const features = [];
+    const skipped = [];
+
+    let offset = 100;
+    for (let index = 0; offset + 8 <= fileLength; index++) {
+        const contentLength = view.getInt32(offset + 4, false) * 2;
+        const content = new DataView(shp.buffer, shp.byteOffset + offset + 8, Math.min(contentLength, fileLength - offset - 8));
+        offset += 8 + contentLength;
+
+        const row = table.rows[index];
+        if (row === null) continue; // deleted in the .dbf
+
+        let geometry;
+        try {
+            geometry = readShape(content);
+        } catch (error) {
+            skipped.push({ record: index + 1, reason: error.message });
+            continue;
+        }
+        if (!geometry) {
+            skipped.push({ record: index + 1, reason: 'Null or empty shape' });
+            continue;
+        }
+        features.push({ type: 'Feature', properties: row || {}, geometry: geometry });
+    }
+
+    return { shapeType: view.getInt32(32, true), features: features, fields: table.fields, skipped: skipped };
+}
+
+// Z and M variants share the 2D layout up to the point array, so they are
+// read by the same code and their extra measures ignored
+function readShape(view) {
+    const shapeType = view.getInt32(0, true);
+    switch (shapeType % 10) {
+        case 0:
+            return null;
+        case SHAPE_POINT:
+            return shapeType === 31 ? unsupportedShape(shapeType) : { type: 'Point', coordinates: [view.getFloat64(4, true), view.getFloat64(12, true)] };
+        case SHAPE_MULTIPOINT: {
+            const points = readPoints(view, 40, view.getInt32(36, true));
+            return points.length === 0 ? null : { type: 'MultiPoint', coordinates: points };
+        }
+        case SHAPE_POLYLINE: {
+            const parts = readParts(view).filter(part => part.length >= 2);
+            if (parts.length === 0) return null;
+            return parts.length === 1 ? { type: 'LineString', coordinates: parts[0] } : { type: 'MultiLineString', coordinates: parts };
+        }
+        case SHAPE_POLYGON: {
+            const polygons = assembleRings(readParts(view).filter(ring => ring.length >= 4));
+            if (polygons.length === 0) return null;
+            return polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : { type: 'MultiPolygon', coordinates: polygons };
+        }
+        default:
+            return unsupportedShape(shapeType);
+    }
+}
+
+function unsupportedShape(shapeType) {
+    throw new Error(`Shape type ${shapeType} is not supported`);
+}
+
+function readParts(view) {
+    const partCount = view.getInt32(36, true);
+    const pointCount = view.getInt32(40, true);
+    const points = readPoints(view, 44 + partCount * 4, pointCount);
+    const starts = [];
+    for (let i = 0; i < partCount; i++) {
+        starts.push(view.getInt32(44 + i * 4, true));
+    }
+    return starts.map((start, i) => points.slice(start, i + 1 < partCount ? starts[i + 1] : pointCount));
+}
+
+function readPoints(view, offset, count) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push([view.getFloat64(offset + i * 16, true), view.getFloat64(offset + i * 16 + 8, true)]);
+    }
+    return points;
+}
+
+// Clockwise rings are outer boundaries and counter-clockwise rings holes,
+// each hole going to the first outer ring that contains it. GeoJSON wants
+// the opposite winding, so every ring is reversed on the way.
+function assembleRings(rings) {
+    const outers = [];
+    const holes = [];
+    rings.forEach(ring => (signedRingArea(ring) < 0 ? outers : holes).push([...ring].reverse()));
+
+    // A file with only counter-clockwise rings has them the wrong way round
+    if (outers.length === 0) {
+        return holes.map(ring => [[...ring].reverse()]);
+    }
+
+    const polygons = outers.map(ring => [ring]);
+    holes.forEach(hole => {
+        const owner = polygons.find(polygon => ringContainsPoint(polygon[0], hole[0])) || polygons[0];
+        owner.push(hole);
+    });
+    return polygons;
+}
+
+function ringContainsPoint(ring, point) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// ====== DBF ======
+
+// One field per property seen on any feature, typed from its values:
+// numbers as N, booleans as L and anything else as UTF-8 text (C)
+function buildDbfFields(propertyRows, skipped) {
+    const properties = [];
+    const seen = new Set();
+    propertyRows.forEach(row => Object.keys(row).forEach(key => {
+        if (!seen.has(key)) {
+            seen.add(key);
+            properties.push(key);
+        }
+    }));
+
+    const fields = [];
+    const fieldMap = [];
+    const usedNames = new Set();
+
+    properties.forEach(property => {
+        if (fields.length >= MAX_DBF_FIELDS) {
+            skipped.push({ property: property, reason: `dBASE files hold at most ${MAX_DBF_FIELDS} fields` });
+            return;
+        }
+
+        const values = propertyRows.map(row => row[property]).filter(value => value !== null && value !== undefined && value !== '');
+        const name = uniqueFieldName(property, usedNames);
+        const field = { property: property, name: name, ...fieldTypeFor(values) };
+        fields.push(field);
+        fieldMap.push({ property: property, field: name, type: field.type, truncated: name !== property });
+    });
+
+    return { fields: fields, fieldMap: fieldMap };
+}
+
+function uniqueFieldName(property, usedNames) {
+    const base = (String(property).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(?=[0-9_])/, 'F') || 'FIELD').slice(0, 10);
+    let name = base;
+    for (let counter = 1; usedNames.has(name.toUpperCase()); counter++) {
+        const suffix = `_${counter}`;
+        name = base.slice(0, 10 - suffix.length) + suffix;
+    }
+    usedNames.add(name.toUpperCase());
+    return name;
+}
+
+function fieldTypeFor(values) {
+    if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+        return { type: 'L', length: 1, decimals: 0 };
+    }
+
+    if (values.length > 0 && values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        const decimals = Math.min(8, Math.max(0, ...values.map(value => {
+            const text = String(value);
+            return text.includes('e') ? 8 : (text.split('.')[1] || '').length;
+        })));
+        const integerDigits = Math.max(...values.map(value => Math.trunc(Math.abs(value)).toString().length + (value < 0 ? 1 : 0)));
+        const length = Math.min(19, integerDigits + (decimals > 0 ? decimals + 1 : 0));
+        return { type: 'N', length: length, decimals: Math.max(0, Math.min(decimals, length - integerDigits - 1)) };
+    }
+
+    const longest = Math.max(1, ...values.map(value => textEncoder.encode(dbfText(value)).length));
+    return { type: 'C', length: Math.min(254, longest), decimals: 0 };
+}
+
+function writeDbf(fields, rows) {
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((total, field) => total + field.length, 0);
+    const bytes = new Uint8Array(headerLength + rows.length * recordLength + 1);
+    const view = new DataView(bytes.buffer);
+    const today = new Date();
+
+    bytes[0] = 0x03;
+    bytes[1] = today.getFullYear() - 1900;
+    bytes[2] = today.getMonth() + 1;
+    bytes[3] = today.getDate();
+    view.setUint32(4, rows.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, index) => {
+        const offset = 32 + index * 32;
+        bytes.set(textEncoder.encode(field.name), offset);
+        bytes[offset + 11] = field.type.charCodeAt(0);
+        bytes[offset + 16] = field.length;
+        bytes[offset + 17] = field.decimals;
+    });
+    bytes[headerLength - 1] = 0x0D;
+
+    rows.forEach((row, rowIndex) => {
+        let offset = headerLength + rowIndex * recordLength;
+        bytes[offset++] = 0x20; // not deleted
+        fields.forEach(field => {
+            bytes.set(dbfValue(field, row[field.property]), offset);
+            offset += field.length;
+        });
+    });
+    bytes[bytes.length - 1] = 0x1A;
+
+    return bytes;
+}
+
+function dbfValue(field, value) {
+    const cell = new Uint8Array(field.length).fill(0x20);
+    if (value === null || value === undefined || value === '') return cell;
+
+    if (field.type === 'L') {
+        cell[0] = (value ? 'T' : 'F').charCodeAt(0);
+    } else if (field.type === 'N') {
+        const text = Number(value).toFixed(field.decimals);
+        const encoded = textEncoder.encode(text.length > field.length ? '*'.repeat(field.length) : text);
+        cell.set(encoded, field.length - encoded.length);
+    } else {
+        cell.set(truncateUtf8(textEncoder.encode(dbfText(value)), field.length));
+    }
+    return cell;
+}
+
+function dbfText(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Rows come back in record order, deleted records as null
+function readDbf(bytes, cpg) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+    const decode = dbfDecoder(bytes, cpg, headerLength);
+
+    const fields = [];
+    let fieldOffset = 1;
+    for (let offset = 32; offset + 32 <= headerLength && bytes[offset] !== 0x0D; offset += 32) {
+        const nameBytes = bytes.subarray(offset, offset + 11);
+        const nameEnd = nameBytes.indexOf(0);
+        fields.push({
+            name: decode(nameBytes.subarray(0, nameEnd < 0 ? 11 : nameEnd)).trim(),
+            type: String.fromCharCode(bytes[offset + 11]),
+            length: bytes[offset + 16],
+            decimals: bytes[offset + 17],
+            offset: fieldOffset
+        });
+        fieldOffset += bytes[offset + 16];
+    }
+
+    const rows = [];
+    for (let index = 0; index < recordCount; index++) {
+        const start = headerLength + index * recordLength;
+        if (start + recordLength > bytes.length) break;
+        if (bytes[start] === 0x2A) {
+            rows.push(null);
+            continue;
+        }
+
+        const row = {};
+        fields.forEach(field => {
+            row[field.name] = parseDbfValue(field, decode(bytes.subarray(start + field.offset, start + field.offset + field.length)));
+        });
+        rows.push(row);
+    }
+
+    return { fields: fields.map(({ name, type, length, decimals }) => ({ name, type, length, decimals })), rows: rows };
+}
+
+function dbfDecoder(bytes, cpg, headerLength) {
+    const label = String(cpg ?? '').trim().toLowerCase();
+    if (label) {
+        const encoding = label === '65001' ? 'utf-8' : /^\d+$/.test(label) ? `windows-${label}` : label;
+        try {
+            const decoder = new TextDecoder(encoding);
+            return part => decoder.decode(part);
+        } catch {
+            // Unknown code page names fall through to detection
+        }
+    }
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(headerLength));
+        const decoder = new TextDecoder('utf-8');
+        return part => decoder.decode(part);
+    } catch {
+        const decoder = new TextDecoder('windows-1252');
+        return part => decoder.decode(part);
+    }
+}
+
+function parseDbfValue(field, text) {
+    const value = text.trim();
+    switch (field.type) {
+        case 'N':
+        case 'F': {
+            const number = Number(value);
+            return value === '' || Number.isNaN(number) ? null : number;
+        }
+        case 'L':
+            return /^[TtYy]$/.test(value) ? true : /^[FfNn]$/.test(value) ? false : null;
+        case 'D':
+            return /^\d{8}$/.test(value) && value !== '00000000' ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+        default:
+            return value === '' ? null : value;
+    }
+}
+
+// Cuts to a byte length without splitting a multi-byte character
+function truncateUtf8(bytes, length) {
+    if (bytes.length <= length) return bytes;
+    let end = length;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) end--;
+    return bytes.subarray(0, end);
+}
@@ -0,0 +1,202 @@
+// Minimal ZIP reading and writing for KMZ and zipped shapefile exchange.
+// Deflate goes through the browser's CompressionStream/DecompressionStream;
+// stored (uncompressed) entries work without them. ZIP64 archives and
+// encrypted entries are not supported.
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// ====== CRC-32 ======
+
+const crcTable = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ====== WRITING ======
+
+// Builds a ZIP archive from [{ name, data }] where data is a string (written
+// as UTF-8) or bytes. Entries are deflated when the browser supports it and
+// options.compress is not false. Resolves to a Uint8Array.
+export async function createZip(files, options) {
+    const compress = options?.compress !== false && typeof CompressionStream !== 'undefined';
+    const { time, date } = dosDateTime(options?.date || new Date());
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = textEncoder.encode(file.name);
+        const data = typeof file.data === 'string' ? textEncoder.encode(file.data) : new Uint8Array(file.data);
+        const deflated = compress ? await transformBytes(data, new CompressionStream('deflate-raw')) : null;
+        // Small or incompressible entries are stored as they are
+        const useDeflate = deflated !== null && deflated.length < data.length;
+        const content = useDeflate ? deflated : data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, useDeflate ? 8 : 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, content.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), name, content);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, useDeflate ? 8 : 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, content.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + content.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+// ====== READING ======
+
+// Reads the entries of a ZIP archive given as bytes (Uint8Array or
+// ArrayBuffer). Resolves to [{ name, data }] with data as a Uint8Array;
+// directories are left out and entries that cannot be read are reported
+// with an error instead of data.
+export async function readZip(bytes) {
+    const buffer = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+    // The end-of-central-directory record sits before an optional comment
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== 0x02014B50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const flags = view.getUint16(position + 8, true);
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = textDecoder.decode(buffer.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const content = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (flags & 0x0001) {
+            entries.push({ name: name, error: 'Encrypted entries are not supported' });
+        } else if (method === 0) {
+            entries.push({ name: name, data: content.slice() });
+        } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+            entries.push({ name: name, data: await transformBytes(content, new DecompressionStream('deflate-raw')) });
+        } else {
+            entries.push({ name: name, error: `Compression method ${method} is not supported` });
+        }
+    }
+
+    return entries;
+}
+
+// Whether the bytes start with a ZIP local file header
+export function isZip(bytes) {
+    const buffer = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    return buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04;
+}
+
+// ====== ENCODING HELPERS ======
+
+// Base64 is how binary files cross the JS interop boundary to .NET
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    const binary = atob(base64.replace(/^data:[^,]*,/, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function dosDateTime(value) {
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((Math.max(1980, value.getFullYear()) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
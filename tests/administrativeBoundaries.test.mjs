@@ -0,0 +1,49 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { locatePoint, validatePolygon } from '../_content/CompanyApp.Component.LandAudit/geometryEngine.js';
+import { ellipsoidalArea } from '../_content/CompanyApp.Component.LandAudit/coordinateSystems.js';
+
+const readBoundaries = file => JSON.parse(readFileSync(new URL(`../_content/CompanyApp.Component.LandAudit/data/${file}`, import.meta.url), 'utf8'));
+
+const provinces = readBoundaries('zambia-provinces.geojson');
+
+test('the ten provinces are bundled with names and ISO codes', () => {
+    assert.equal(provinces.features.length, 10);
+
+    const codes = provinces.features.map(feature => feature.properties.code);
+    assert.deepEqual([...codes].sort(), Array.from({ length: 10 }, (_, i) => `ZM-${String(i + 1).padStart(2, '0')}`));
+    provinces.features.forEach(feature => assert.ok(feature.properties.name, `${feature.properties.code} has no name`));
+});
+
+test('province polygons are valid and together cover Zambia', () => {
+    let total = 0;
+    provinces.features.forEach(feature => {
+        const errors = validatePolygon(feature.geometry).filter(issue => issue.severity === 'error');
+        assert.deepEqual(errors, [], feature.properties.name);
+        total += ellipsoidalArea(feature.geometry);
+    });
+
+    // Zambia covers about 752 600 km²
+    assert.ok(Math.abs(total / 1e6 - 752600) < 7500, `total area ${Math.round(total / 1e6)} km²`);
+});
+
+test('known towns fall in their provinces', () => {
+    const provinceOf = point => provinces.features.find(feature => locatePoint(point, feature.geometry).location === 'inside')?.properties.name;
+
+    assert.equal(provinceOf([28.2833, -15.4167]), 'Lusaka');
+    assert.equal(provinceOf([28.2136, -12.8024]), 'Copperbelt');
+    assert.equal(provinceOf([25.8544, -17.8419]), 'Southern');
+    assert.equal(provinceOf([32.6447, -13.6401]), 'Eastern');
+});
+
+test('empty district and chiefdom files explain themselves', () => {
+    ['zambia-districts.geojson', 'zambia-chiefdoms.geojson'].forEach(file => {
+        const data = readBoundaries(file);
+        assert.equal(data.type, 'FeatureCollection');
+        if (data.features.length === 0) {
+            assert.ok(data.metadata?.note, `${file} is empty without a note`);
+        }
+    });
+});
@@ -0,0 +1,223 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseCoordinate, ellipsoidalArea, utmArea, getCrs, transformPoint, transformGeoJson, declaredCrs, utmZoneForLongitude,
+    createUtmProjection, mapSheetAt, mapSheetBounds, mapSheetsInBounds, mapSheetScales, zambiaExtent
+} from '../_content/CompanyApp.Component.LandAudit/coordinateSystems.js';
+
+const assertPoint = (result, latitude, longitude) => {
+    assert.equal(result.success, true, result.reason);
+    assert.ok(Math.abs(result.point[1] - latitude) < 1e-9, `latitude ${result.point[1]}`);
+    assert.ok(Math.abs(result.point[0] - longitude) < 1e-9, `longitude ${result.point[0]}`);
+};
+
+test('unlabelled six-number DMS splits into latitude and longitude', () => {
+    const result = parseCoordinate('15 25 0 28 17 0', { extent: null });
+    assertPoint(result, 15 + 25 / 60, 28 + 17 / 60);
+    assert.equal(result.format, 'dms');
+
+    assertPoint(parseCoordinate('-15 25 30 28 17 0'), -(15 + 25 / 60 + 30 / 3600), 28 + 17 / 60);
+});
+
+test('unlabelled four-number degrees and minutes split evenly', () => {
+    assertPoint(parseCoordinate('-15 25 28 17'), -(15 + 25 / 60), 28 + 17 / 60);
+});
+
+test('unlabelled northern input inside Zambia hints at the missing hemisphere', () => {
+    const result = parseCoordinate('15 25 0 28 17 0');
+    assert.equal(result.success, false);
+    assert.match(result.reason, /S hemisphere missing/);
+});
+
+test('hemisphere letters lead or trail their component', () => {
+    const expected = [-(15 + 25 / 60), 28 + 17 / 60];
+    assertPoint(parseCoordinate('15 25 0 S 28 17 0 E'), ...expected);
+    assertPoint(parseCoordinate('S 15 25 0 E 28 17 0'), ...expected);
+    assertPoint(parseCoordinate('15°25\'0"S 28°17\'0"E'), ...expected);
+    assertPoint(parseCoordinate('E 28 17 0, S 15 25 0'), ...expected);
+});
+
+test('unrecognised text is quoted as typed', () => {
+    const result = parseCoordinate('garbage');
+    assert.equal(result.success, false);
+    assert.equal(result.reason, 'Unrecognised text "garbage" in "garbage"');
+});
+
+// ====== AREA ======
+
+// A 0.01 degree cell near Lusaka; reference areas are from proj4 (Lambert
+// azimuthal equal-area with densified edges, and UTM zone 35S)
+const cell = {
+    type: 'Polygon',
+    coordinates: [[[28, -15], [28.01, -15], [28.01, -14.99], [28, -14.99], [28, -15]]]
+};
+
+const assertClose = (actual, expected, tolerance, message) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} instead of ${expected}`);
+};
+
+test('ellipsoidal area matches an equal-area projection on both ellipsoids', () => {
+    assertClose(ellipsoidalArea(cell), 1190059.25992, 0.001, 'WGS84');
+    assertClose(ellipsoidalArea(cell, 'Clarke1880'), 1189987.78311, 0.001, 'Clarke 1880');
+
+    // An eighth of the WGS84 ellipsoid, whose surface is 510,065,621.724 km²
+    const octant = { type: 'Polygon', coordinates: [[[0, 0], [90, 0], [90, 90], [0, 90], [0, 0]]] };
+    assertClose(ellipsoidalArea(octant) * 8 / 1e6, 510065621.724, 0.001, 'octant');
+});
+
+test('holes are subtracted and MultiPolygon parts added', () => {
+    const hole = [[28.004, -14.996], [28.004, -14.994], [28.006, -14.994], [28.006, -14.996], [28.004, -14.996]];
+    const holeArea = ellipsoidalArea({ type: 'Polygon', coordinates: [hole] });
+    const courtyard = { type: 'Polygon', coordinates: [cell.coordinates[0], hole] };
+
+    assertClose(ellipsoidalArea(courtyard), ellipsoidalArea(cell) - holeArea, 1e-6, 'with hole');
+    assertClose(ellipsoidalArea({ type: 'MultiPolygon', coordinates: [courtyard.coordinates, [hole]] }), ellipsoidalArea(cell), 1e-6, 'hole filled by a second part');
+    assert.equal(ellipsoidalArea({ type: 'Point', coordinates: [28, -15] }), 0);
+});
+
+test('grid area is the planimetric area in the local UTM zone', () => {
+    const grid = utmArea(cell);
+    assert.deepEqual([grid.zone, grid.south], [35, true]);
+    assertClose(grid.areaSquareMeters, 1189450.97754, 0.01, 'WGS84 / UTM 35S');
+    assertClose(utmArea(cell, { ellipsoid: 'Clarke1880' }).areaSquareMeters, 1189379.57275, 0.01, 'Arc 1950 / UTM 35S');
+
+    // On the central meridian the grid scale factor of 0.9996 shrinks areas
+    const onMeridian = { type: 'Polygon', coordinates: [[[26.995, -15], [27.005, -15], [27.005, -14.99], [26.995, -14.99], [26.995, -15]]] };
+    assertClose(utmArea(onMeridian).areaSquareMeters / ellipsoidalArea(onMeridian), 0.9996 * 0.9996, 1e-6, 'scale');
+    assert.equal(utmArea(cell, { zone: 36 }).zone, 36);
+});
+
+// ====== TRANSFORMATIONS ======
+
+// Control points with reference coordinates from proj4, using the Arc 1950
+// shift +towgs84=-147,-74,-283 on Clarke 1880
+const lusaka = [28.2833, -15.4167];
+const controlPoints = [
+    { name: 'Lusaka', wgs84: lusaka, crs: 'EPSG:20935', expected: [637702.770748566, 8295462.822103294] },
+    { name: 'Lusaka', wgs84: lusaka, crs: 'EPSG:4209', expected: [28.283258192680673, -15.415453289693698] },
+    { name: 'Lusaka', wgs84: lusaka, crs: 'EPSG:32735', expected: [637703.48292201, 8295174.284128794] },
+    { name: 'Chipata', wgs84: [32.6447, -13.6401], crs: 'EPSG:20936', expected: [461553.70067199005, 8492336.498015065] },
+    { name: 'Mongu', wgs84: [23.1333, -15.2541], crs: 'EPSG:32734', expected: [729118.5262060054, 8312446.500790085] }
+];
+
+test('WGS84 control points land on their Arc 1950 and UTM coordinates', () => {
+    controlPoints.forEach(({ name, wgs84, crs, expected }) => {
+        const [x, y] = transformPoint(wgs84, 'EPSG:4326', crs);
+        const tolerance = getCrs(crs).projected ? 0.001 : 1e-8;
+        assertClose(x, expected[0], tolerance, `${name} in ${crs} x`);
+        assertClose(y, expected[1], tolerance, `${name} in ${crs} y`);
+    });
+});
+
+test('Arc 1950 UTM coordinates round-trip through WGS84', () => {
+    controlPoints.forEach(({ name, crs, expected }) => {
+        const [lng, lat] = transformPoint(expected, crs, 'EPSG:4326');
+        const back = transformPoint([lng, lat], 'EPSG:4326', crs);
+        // The datum shift drops heights, which leaves a few micrometres
+        const tolerance = getCrs(crs).projected ? 1e-4 : 1e-9;
+        assertClose(back[0], expected[0], tolerance, `${name} x`);
+        assertClose(back[1], expected[1], tolerance, `${name} y`);
+    });
+
+    // Between the two datums on one grid the shift is about 290 m northwards
+    const [easting, northing] = transformPoint([637702.770748566, 8295462.822103294], 'EPSG:20935', 'EPSG:32735');
+    assertClose(easting, 637703.48292201, 0.001, 'WGS84 easting');
+    assertClose(northing, 8295174.284128794, 0.001, 'WGS84 northing');
+});
+
+test('CRS names resolve by code, URN and alias', () => {
+    ['EPSG:20935', '20935', 20935, 'urn:ogc:def:crs:EPSG::20935', 'Arc1950/UTM35S', ' arc1950/utm35s '].forEach(name => {
+        assert.equal(getCrs(name)?.code, 'EPSG:20935', String(name));
+    });
+    assert.equal(getCrs('urn:ogc:def:crs:OGC:1.3:CRS84').code, 'EPSG:4326');
+    assert.equal(getCrs('EPSG:9999'), null);
+    assert.equal(getCrs(''), null);
+    assert.throws(() => transformPoint(lusaka, 'EPSG:4326', 'EPSG:9999'), /Unsupported coordinate reference system: EPSG:9999/);
+});
+
+test('transformed GeoJSON declares its CRS and keeps heights', () => {
+    const survey = transformGeoJson({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { parcelId: 'P-1' }, geometry: { type: 'Point', coordinates: [...lusaka, 1270] } }]
+    }, 'WGS84', 'Arc1950/UTM35S');
+
+    assert.equal(declaredCrs(survey).code, 'EPSG:20935');
+    assert.equal(survey.features[0].properties.parcelId, 'P-1');
+    assertClose(survey.features[0].geometry.coordinates[0], 637702.770748566, 0.001, 'easting');
+    assert.equal(survey.features[0].geometry.coordinates[2], 1270);
+
+    const back = transformGeoJson(survey, declaredCrs(survey), 'WGS84');
+    assert.equal(back.crs, undefined);
+    assertClose(back.features[0].geometry.coordinates[1], lusaka[1], 1e-9, 'latitude');
+});
+
+// ====== UTM GRID ======
+
+test('Zambia spans UTM zones 34 to 36', () => {
+    assert.deepEqual([21.9, 23.99, 24, 29.99, 30, 33.8].map(utmZoneForLongitude), [34, 34, 35, 35, 36, 36]);
+    assert.equal(utmZoneForLongitude(-180), 1);
+    assert.equal(utmZoneForLongitude(180), 60);
+});
+
+test('UTM projection puts the central meridian at 500 km and inverts', () => {
+    const projection = createUtmProjection(35, true);
+    const [easting, northing] = projection.forward([27, 0]);
+    assertClose(easting, 500000, 1e-6, 'easting');
+    assertClose(northing, 10000000, 1e-6, 'northing');
+
+    // Corners of every zone's part of Zambia come back to where they started
+    [[34, [21.9, -18.1]], [34, [24, -8.2]], [35, [24, -18.1]], [35, [30, -8.2]], [36, [30, -18.1]], [36, [33.8, -8.2]]].forEach(([zone, point]) => {
+        ['WGS84', 'Clarke1880'].forEach(ellipsoid => {
+            const utm = createUtmProjection(zone, true, ellipsoid);
+            const [lng, lat] = utm.inverse(utm.forward(point));
+            assertClose(lng, point[0], 1e-10, `zone ${zone} ${ellipsoid} longitude`);
+            assertClose(lat, point[1], 1e-10, `zone ${zone} ${ellipsoid} latitude`);
+        });
+    });
+});
+
+// ====== MAP SHEETS ======
+
+test('Lusaka lies on sheet 1528 A4 and SD-35-15', () => {
+    assert.equal(mapSheetAt(lusaka, 50000), '1528 A4');
+    assert.equal(mapSheetAt(lusaka, 250000), 'SD-35-15');
+    assert.equal(mapSheetAt([28.2833, 15.4167], 50000), null);
+});
+
+test('sheet codes parse in common spellings and bound their sheet', () => {
+    assert.deepEqual(mapSheetBounds('1528a4'), { code: '1528 A4', scale: 50000, south: -15.5, north: -15.25, west: 28.25, east: 28.5 });
+    assert.equal(mapSheetBounds('1528-A4').code, '1528 A4');
+    assert.deepEqual(mapSheetBounds('SD 35/15'), { code: 'SD-35-15', scale: 250000, south: -16, north: -15, west: 27, east: 28.5 });
+    ['1528 E1', '1528 A5', 'SD-35-17', 'SD-61-1', 'Lusaka', null].forEach(code => assert.equal(mapSheetBounds(code), null, String(code)));
+});
+
+test('every point falls inside the bounds of its own sheet', () => {
+    for (let latitude = zambiaExtent.south; latitude < zambiaExtent.north; latitude += 0.37) {
+        for (let longitude = zambiaExtent.west; longitude < zambiaExtent.east; longitude += 0.41) {
+            mapSheetScales.forEach(scale => {
+                const sheet = mapSheetBounds(mapSheetAt([longitude, latitude], scale));
+                assert.equal(sheet.scale, scale);
+                assert.ok(latitude >= sheet.south && latitude < sheet.north && longitude >= sheet.west && longitude < sheet.east,
+                    `${longitude}, ${latitude} outside ${sheet.code}`);
+            });
+        }
+    }
+});
+
+test('sheets in bounds tile the area once each', () => {
+    const square = { south: -16, north: -15, west: 28, east: 29 };
+    const fifty = mapSheetsInBounds(square, 50000);
+    assert.equal(fifty.length, 16);
+    assert.equal(new Set(fifty.map(sheet => sheet.code)).size, 16);
+    assert.ok(fifty.every(sheet => sheet.code.startsWith('1528 ')));
+
+    // A parcel-sized box across a sheet corner touches four sheets
+    assert.deepEqual(mapSheetsInBounds({ south: -15.51, north: -15.49, west: 28.24, east: 28.26 }, 50000).map(sheet => sheet.code).sort(),
+        ['1528 A3', '1528 A4', '1528 C1', '1528 C2']);
+
+    const zambia = mapSheetsInBounds(zambiaExtent, 250000);
+    const covered = zambia.reduce((total, sheet) => total + (sheet.north - sheet.south) * (sheet.east - sheet.west), 0);
+    assert.ok(zambia.some(sheet => sheet.code === 'SD-35-15'));
+    assert.equal(covered, 11 * 9 * 1.5);
+});
@@ -0,0 +1,376 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    intersection, union, difference, symmetricDifference, boundariesTouch, overlay, toGeoJsonGeometry, locatePoint,
+    splitPolygon, createGridIndex, createRTree, validatePolygon, repairPolygon, haversineDistance, geodesicPathLength,
+    geodesicPerimeter
+} from '../_content/CompanyApp.Component.LandAudit/geometryEngine.js';
+import { ellipsoidalArea } from '../_content/CompanyApp.Component.LandAudit/coordinateSystems.js';
+
+// Square parcel size degrees across with its south-west corner at west, south
+const square = (west, south, size) => ({
+    type: 'Polygon',
+    coordinates: [[[west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]]]
+});
+
+const assertArea = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) <= expected * 1e-9, `${message}: ${actual} m² instead of ${expected} m²`);
+};
+
+// ====== OVERLAP DETECTION ======
+
+test('overlap of two offset squares is the shared quarter', () => {
+    const overlap = intersection(square(28, -15, 0.01), square(28.005, -14.995, 0.01));
+
+    assert.equal(overlap.type, 'Polygon');
+    assertArea(ellipsoidalArea(overlap), ellipsoidalArea(square(28.005, -14.995, 0.005)), 'overlap area');
+    assert.ok(ellipsoidalArea(overlap) > 290000 && ellipsoidalArea(overlap) < 300000);
+});
+
+test('neighbours sharing an edge or a corner touch without overlapping', () => {
+    const parcel = square(28, -15, 0.01);
+    const edgeNeighbour = square(28.01, -15, 0.01);
+    const cornerNeighbour = square(28.01, -14.99, 0.01);
+
+    assert.equal(intersection(parcel, edgeNeighbour), null);
+    assert.equal(intersection(parcel, cornerNeighbour), null);
+    assert.equal(boundariesTouch(parcel, edgeNeighbour, 0.01), true);
+    assert.equal(boundariesTouch(parcel, cornerNeighbour, 0.01), true);
+    assert.equal(boundariesTouch(parcel, square(28.02, -15, 0.01), 0.01), false);
+});
+
+test('a sliver overlap keeps its thin area', () => {
+    // The neighbour's west edge is surveyed 1e-5 degrees (about 1 m) inside the parcel
+    const sliver = intersection(square(28, -15, 0.01), square(28.00999, -15, 0.01));
+    assertArea(ellipsoidalArea(sliver), ellipsoidalArea({
+        type: 'Polygon',
+        coordinates: [[[28.00999, -15], [28.01, -15], [28.01, -14.99], [28.00999, -14.99], [28.00999, -15]]]
+    }), 'sliver area');
+});
+
+// ====== FABRIC SCAN ======
+
+test('a void enclosed by parcels is a hole in the dissolved fabric', () => {
+    // Eight parcels around an unallocated middle plot
+    const parcels = [];
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            if (i !== 1 || j !== 1) parcels.push(square(28 + i * 0.001, -15 + j * 0.001, 0.001));
+        }
+    }
+
+    const fabric = overlay(parcels, inside => inside.size > 0);
+    assert.equal(fabric.length, 1);
+    assert.equal(fabric[0].length, 2);
+
+    const gap = toGeoJsonGeometry([[fabric[0][1].slice().reverse()]]);
+    assertArea(ellipsoidalArea(gap), ellipsoidalArea(square(28.001, -14.999, 0.001)), 'gap area');
+});
+
+test('dissolving thousands of parcels finds every enclosed void', () => {
+    const size = 0.001;
+    const count = 60;
+    const missing = (i, j) => (i * 7 + j * 3) % 11 === 0;
+    const parcels = [];
+    let enclosed = 0;
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+            if (!missing(i, j)) {
+                parcels.push(square(28 + i * size, -15 + j * size, size));
+            } else if (i > 0 && j > 0 && i < count - 1 && j < count - 1) {
+                // No two missing plots touch, so each inner one is its own void
+                enclosed++;
+            }
+        }
+    }
+
+    const fabric = overlay(parcels, inside => inside.size > 0);
+    assert.ok(parcels.length > 3000);
+    assert.equal(fabric.length, 1);
+    assert.equal(fabric[0].length - 1, enclosed);
+});
+
+// ====== POINT IN POLYGON ======
+
+test('a point in the notch of an L-shaped parcel is outside', () => {
+    const lShape = {
+        type: 'Polygon',
+        coordinates: [[[28, -15], [28.02, -15], [28.02, -14.99], [28.01, -14.99], [28.01, -14.98], [28, -14.98], [28, -15]]]
+    };
+
+    assert.equal(locatePoint([28.015, -14.985], lShape).location, 'outside');
+    assert.equal(locatePoint([28.005, -14.985], lShape).location, 'inside');
+    assert.equal(locatePoint([28.015, -14.995], lShape).location, 'inside');
+});
+
+test('points in an excised plot are outside and boundary points are reported as such', () => {
+    const courtyard = {
+        type: 'Polygon',
+        coordinates: [
+            square(28, -15, 0.01).coordinates[0],
+            [[28.004, -14.996], [28.004, -14.994], [28.006, -14.994], [28.006, -14.996], [28.004, -14.996]]
+        ]
+    };
+
+    assert.equal(locatePoint([28.005, -14.995], courtyard).location, 'outside');
+    assert.equal(locatePoint([28.002, -14.995], courtyard).location, 'inside');
+
+    const onEdge = locatePoint([28.005, -15], courtyard, 0.001);
+    assert.equal(onEdge.location, 'boundary');
+    assert.ok(onEdge.distanceToBoundaryMeters < 0.001);
+    assert.equal(locatePoint([28.004, -14.995], courtyard, 0.001).location, 'boundary');
+});
+
+test('each part of a MultiPolygon is searched', () => {
+    const parts = {
+        type: 'MultiPolygon',
+        coordinates: [square(28, -15, 0.01).coordinates, square(28.05, -15, 0.01).coordinates]
+    };
+
+    assert.deepEqual(
+        [locatePoint([28.055, -14.995], parts).location, locatePoint([28.055, -14.995], parts).polygonIndex],
+        ['inside', 1]
+    );
+    assert.equal(locatePoint([28.03, -14.995], parts).location, 'outside');
+});
+
+// ====== OVERLAY OPERATIONS ======
+
+test('union, difference and symmetric difference areas add up', () => {
+    const title = square(28, -15, 0.01);
+    const surveyed = square(28.005, -14.995, 0.01);
+    const parcelArea = ellipsoidalArea(title);
+    const overlapArea = ellipsoidalArea(intersection(title, surveyed));
+
+    assertArea(ellipsoidalArea(union([title, surveyed])), parcelArea + ellipsoidalArea(surveyed) - overlapArea, 'union');
+    assertArea(ellipsoidalArea(difference(title, surveyed)), parcelArea - overlapArea, 'difference');
+    assertArea(ellipsoidalArea(symmetricDifference(title, surveyed)), parcelArea + ellipsoidalArea(surveyed) - 2 * overlapArea, 'symmetric difference');
+});
+
+test('difference of a parcel and a plot inside it leaves a hole', () => {
+    const plot = square(28.004, -14.996, 0.002);
+    const remainder = difference(square(28, -15, 0.01), plot);
+
+    assert.equal(remainder.type, 'Polygon');
+    assert.equal(remainder.coordinates.length, 2);
+    assertArea(ellipsoidalArea(remainder), ellipsoidalArea(square(28, -15, 0.01)) - ellipsoidalArea(plot), 'remainder');
+});
+
+test('operations on disjoint parcels', () => {
+    const a = square(28, -15, 0.01);
+    const b = square(28.02, -15, 0.01);
+
+    assert.equal(intersection(a, b), null);
+    assert.equal(union([a, b]).type, 'MultiPolygon');
+    assert.equal(difference(a, b).coordinates[0].length, 5);
+    assert.equal(difference(a, a), null);
+});
+
+// ====== SUBDIVISION ======
+
+const pieceAreas = pieces => pieces.map(piece => ellipsoidalArea(toGeoJsonGeometry([piece])));
+
+test('a straight cut splits a parcel into pieces that add up to it', () => {
+    const parent = square(28, -15, 0.01);
+    const areas = pieceAreas(splitPolygon(parent, [[27.99, -14.997], [28.02, -14.997]]));
+
+    assert.equal(areas.length, 2);
+    assertArea(areas[0] + areas[1], ellipsoidalArea(parent), 'children');
+
+    // The cut runs 30% of the way up the parcel
+    const [south, north] = areas.slice().sort((a, b) => a - b);
+    assert.ok(Math.abs(south / (south + north) - 0.3) < 1e-3, `south piece is ${south / (south + north)} of the parcel`);
+});
+
+test('a bent cut and a cut through an excised plot balance too', () => {
+    const parent = square(28, -15, 0.01);
+    const bent = pieceAreas(splitPolygon(parent, [[28.003, -15.001], [28.006, -14.995], [28.003, -14.989]]));
+    assert.equal(bent.length, 2);
+    assertArea(bent[0] + bent[1], ellipsoidalArea(parent), 'bent cut');
+
+    const courtyard = {
+        type: 'Polygon',
+        coordinates: [parent.coordinates[0], [[28.004, -14.996], [28.004, -14.994], [28.006, -14.994], [28.006, -14.996], [28.004, -14.996]]]
+    };
+    const throughHole = pieceAreas(splitPolygon(courtyard, [[27.99, -14.995], [28.02, -14.995]]));
+    assert.equal(throughHole.length, 2);
+    assertArea(throughHole[0] + throughHole[1], ellipsoidalArea(courtyard), 'cut through the hole');
+});
+
+test('a cut that stops inside the parcel leaves it whole', () => {
+    const parent = square(28, -15, 0.01);
+    const pieces = splitPolygon(parent, [[27.99, -14.995], [28.005, -14.995]]);
+
+    assert.equal(pieces.length, 1);
+    assertArea(pieceAreas(pieces)[0], ellipsoidalArea(parent), 'uncut parcel');
+});
+
+// ====== AMALGAMATION ======
+
+test('merging adjacent parcels removes their shared edges', () => {
+    // Three parcels in an L: two side by side and one on top of the first
+    const merged = union([square(28, -15, 0.01), square(28.01, -15, 0.01), square(28, -14.99, 0.01)]);
+
+    assert.equal(merged.type, 'Polygon');
+    assert.equal(merged.coordinates.length, 1);
+    assert.equal(merged.coordinates[0].length, 7);
+    assertArea(ellipsoidalArea(merged), ellipsoidalArea(square(28, -15, 0.01)) + ellipsoidalArea(square(28.01, -15, 0.01)) + ellipsoidalArea(square(28, -14.99, 0.01)), 'merged area');
+});
+
+test('parcels meeting only at a corner stay apart', () => {
+    const merged = union([square(28, -15, 0.01), square(28.01, -14.99, 0.01)]);
+
+    assert.equal(merged.type, 'MultiPolygon');
+    assert.equal(merged.coordinates.length, 2);
+});
+
+// ====== SPATIAL INDEX ======
+
+// Deterministic scatter of small boxes, some overlapping their neighbours
+const boxes = count => Array.from({ length: count }, (_, index) => {
+    const minX = ((index * 7919) % 1000) / 10;
+    const minY = ((index * 104729) % 1000) / 10;
+    const size = 0.5 + (index % 5);
+    return { id: index, minX: minX, minY: minY, maxX: minX + size, maxY: minY + size };
+});
+
+const boxesOverlap = (a, b) => a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+const ids = items => items.map(item => item.id).sort((a, b) => a - b);
+
+test('the R-tree answers window searches like a full scan, also after removals', () => {
+    const items = boxes(2000);
+    const tree = createRTree();
+    items.forEach(tree.insert);
+    assert.equal(tree.size(), 2000);
+
+    const windows = [
+        { minX: 10, minY: 10, maxX: 20, maxY: 20 },
+        { minX: 0, minY: 50, maxX: 100, maxY: 51 },
+        { minX: 200, minY: 200, maxX: 300, maxY: 300 }
+    ];
+    windows.forEach(window => assert.deepEqual(ids(tree.search(window)), ids(items.filter(item => boxesOverlap(item, window)))));
+
+    const removed = items.filter(item => item.id % 3 === 0);
+    removed.forEach(item => assert.equal(tree.remove(item), true));
+    assert.equal(tree.remove(removed[0]), false);
+    assert.equal(tree.size(), 2000 - removed.length);
+
+    const kept = items.filter(item => item.id % 3 !== 0);
+    windows.forEach(window => assert.deepEqual(ids(tree.search(window)), ids(kept.filter(item => boxesOverlap(item, window)))));
+});
+
+test('the R-tree finds the nearest items closest first', () => {
+    const items = boxes(1000);
+    const tree = createRTree(6);
+    items.forEach(tree.insert);
+
+    const point = { x: 42.3, y: 61.7 };
+    const distance = box => Math.hypot(
+        Math.max(box.minX - point.x, 0, point.x - box.maxX),
+        Math.max(box.minY - point.y, 0, point.y - box.maxY)
+    );
+    const byDistance = items.map(item => ({ item: item, distance: distance(item) })).sort((a, b) => a.distance - b.distance);
+
+    const nearest = tree.nearest(distance, distance, 10);
+    assert.deepEqual(nearest.map(result => result.distance), byDistance.slice(0, 10).map(result => result.distance));
+
+    const withinReach = tree.nearest(distance, distance, 0, 3);
+    assert.equal(withinReach.length, byDistance.filter(result => result.distance <= 3).length);
+    assert.ok(withinReach.every((result, index) => index === 0 || withinReach[index - 1].distance <= result.distance));
+});
+
+test('the grid index reports every overlapping pair exactly once', () => {
+    // One province-sized box among the parcels goes through the oversized path
+    const items = boxes(600).concat([{ id: 600, minX: 0, minY: 0, maxX: 100, maxY: 100 }]);
+    const grid = createGridIndex(items);
+
+    const pairs = [];
+    grid.forEachPair((a, b) => pairs.push([Math.min(a.id, b.id), Math.max(a.id, b.id)].join('-')));
+
+    const expected = [];
+    items.forEach((a, i) => items.slice(i + 1).forEach(b => {
+        if (boxesOverlap(a, b)) expected.push([Math.min(a.id, b.id), Math.max(a.id, b.id)].join('-'));
+    }));
+    assert.deepEqual(pairs.sort(), expected.sort());
+
+    const window = { minX: 30, minY: 30, maxX: 35, maxY: 35 };
+    assert.deepEqual(ids(grid.query(window)), ids(items.filter(item => boxesOverlap(item, window))));
+});
+
+// ====== TOPOLOGY VALIDATION ======
+
+const issueTypes = geoJson => validatePolygon(geoJson).map(issue => issue.type).sort();
+const ring = points => ({ type: 'Polygon', coordinates: [points.concat([points[0]])] });
+
+test('a clean parcel has no issues', () => {
+    assert.deepEqual(validatePolygon(square(28, -15, 0.01)), []);
+});
+
+test('each capture defect is reported with its vertex', () => {
+    const bowtie = ring([[28, -15], [28.01, -14.99], [28.01, -15], [28, -14.99]]);
+    const selfIntersection = validatePolygon(bowtie).find(issue => issue.type === 'self-intersection');
+    assert.ok(selfIntersection);
+    assert.ok(Math.abs(selfIntersection.location[0] - 28.005) < 1e-6 && Math.abs(selfIntersection.location[1] + 14.995) < 1e-6);
+
+    const duplicate = validatePolygon(ring([[28, -15], [28.01, -15], [28.01, -15], [28.01, -14.99], [28, -14.99]]));
+    assert.deepEqual(duplicate.map(issue => [issue.type, issue.vertexIndex]), [['duplicate-vertex', 2]]);
+
+    // A surveyed offset that runs 300 m out and straight back to the edge
+    const spike = validatePolygon(ring([[28, -15], [28.01, -15], [28.01, -14.995], [28.013, -14.995], [28.01, -14.994999], [28.01, -14.99], [28, -14.99]]));
+    assert.deepEqual(spike.map(issue => [issue.type, issue.vertexIndex]), [['spike', 3]]);
+
+    assert.deepEqual(issueTypes(ring([[28, -15], [28, -14.99], [28.01, -14.99], [28.01, -15]])), ['reversed-ring']);
+    assert.ok(issueTypes(ring([[28, -15], [28.005, -15], [28.01, -15]])).includes('zero-area-ring'));
+
+    const strayHole = {
+        type: 'Polygon',
+        coordinates: [square(28, -15, 0.01).coordinates[0], [[28.008, -14.996], [28.008, -14.994], [28.012, -14.994], [28.012, -14.996], [28.008, -14.996]]]
+    };
+    assert.ok(issueTypes(strayHole).includes('hole-outside-shell'));
+    assert.deepEqual(issueTypes({ type: 'Polygon', coordinates: [] }), ['empty-geometry']);
+});
+
+test('repair removes duplicates and spikes and reorients rings but leaves crossings alone', () => {
+    const captured = ring([[28, -15], [28, -14.99], [28, -14.99], [28.01, -14.99], [28.01, -14.995], [28.013, -14.995], [28.01, -14.995001], [28.01, -15]]);
+    const { geometry, fixes } = repairPolygon(captured);
+
+    assert.deepEqual(fixes, { 'duplicate-vertex': 1, 'spike': 1, 'zero-area-ring': 0, 'reversed-ring': 1 });
+    assert.deepEqual(validatePolygon(geometry).filter(issue => issue.type !== 'duplicate-vertex'), []);
+    assertArea(ellipsoidalArea(geometry), ellipsoidalArea(square(28, -15, 0.01)), 'repaired area');
+
+    const bowtie = ring([[28, -15], [28.01, -14.99], [28.01, -15], [28, -14.99]]);
+    assert.ok(issueTypes(repairPolygon(bowtie).geometry).includes('self-intersection'));
+});
+
+// ====== GEODESIC MEASURES ======
+
+// Mean earth radius shared with Leaflet's distanceTo
+const earthRadius = 6371000;
+
+test('great-circle distances match the sphere', () => {
+    assert.ok(Math.abs(haversineDistance([28, -15], [28, -14]) - earthRadius * Math.PI / 180) < 1e-6);
+    assert.ok(Math.abs(haversineDistance([0, 0], [0, 90]) - earthRadius * Math.PI / 2) < 1e-6);
+    assert.ok(Math.abs(haversineDistance([28, 0], [-152, 0]) - earthRadius * Math.PI) < 1e-6);
+
+    // A degree of longitude shrinks with the cosine of the latitude
+    const alongParallel = haversineDistance([28, -15], [28.001, -15]);
+    assert.ok(Math.abs(alongParallel - earthRadius * 0.001 * Math.PI / 180 * Math.cos(15 * Math.PI / 180)) < 1e-6);
+});
+
+test('path length is open or closed and the perimeter follows every ring', () => {
+    const corners = square(28, -15, 0.01).coordinates[0].slice(0, 4);
+    const sides = corners.map((point, i) => haversineDistance(point, corners[(i + 1) % 4]));
+
+    assert.ok(Math.abs(geodesicPathLength(corners, false) - (sides[0] + sides[1] + sides[2])) < 1e-6);
+    assert.ok(Math.abs(geodesicPathLength(corners, true) - sides.reduce((a, b) => a + b)) < 1e-6);
+    assert.equal(geodesicPathLength([[28, -15]], false), 0);
+
+    const courtyard = {
+        type: 'Polygon',
+        coordinates: [square(28, -15, 0.01).coordinates[0], [[28.004, -14.996], [28.004, -14.994], [28.006, -14.994], [28.006, -14.996], [28.004, -14.996]]]
+    };
+    const perimeter = geodesicPerimeter(courtyard);
+    assert.ok(Math.abs(perimeter - geodesicPerimeter(square(28, -15, 0.01)) - geodesicPerimeter(square(28.004, -14.996, 0.002))) < 1e-6);
+    assert.ok(perimeter > 5200 && perimeter < 5300);
+});
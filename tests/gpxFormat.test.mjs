@@ -0,0 +1,69 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsDom } from './helpers/browser.mjs';
+import { parseGpx } from '../_content/CompanyApp.Component.LandAudit/gpxFormat.js';
+
+// ====== READING ======
+
+// A boundary walk as a Garmin unit saves it, with a lost fix mid-track
+const walk = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="eTrex 32x" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Chongwe inspection</name></metadata>
+  <wpt lat="-15.3301" lon="28.6802"><ele>1147.5</ele><time>2024-05-02T07:58:10Z</time><name>BEACON 4</name><desc>Concrete, damaged</desc><sym>Flag, Blue</sym></wpt>
+  <wpt lat="" lon="28.6810"><name>NO FIX</name></wpt>
+  <rte><name>Access road</name><rtept lat="-15.33" lon="28.68"/><rtept lat="-15.331" lon="28.681"/></rte>
+  <trk>
+    <name>Plot 112 boundary</name><desc>Clockwise from beacon 4</desc><type>walking</type>
+    <trkseg>
+      <trkpt lat="-15.3301" lon="28.6802"><ele>1147.5</ele><time>2024-05-02T08:00:00Z</time></trkpt>
+      <trkpt lat="-15.3301" lon="28.6812"><ele>1149</ele><time>2024-05-02T08:01:10Z</time></trkpt>
+      <trkpt lat="95" lon="28.6812"><time>2024-05-02T08:01:40Z</time></trkpt>
+      <trkpt lat="-15.3311" lon="28.6812"/>
+    </trkseg>
+    <trkseg><trkpt lon="28.68"/></trkseg>
+    <trkseg><trkpt lat="-15.3311" lon="28.6802"><ele>1146</ele></trkpt></trkseg>
+  </trk>
+</gpx>`;
+
+test('tracks, routes and waypoints keep elevation and time', { skip: needsDom }, () => {
+    const gpx = parseGpx(walk);
+    assert.equal(gpx.name, 'Chongwe inspection');
+
+    const [track] = gpx.tracks;
+    assert.deepEqual([track.name, track.description, track.type], ['Plot 112 boundary', 'Clockwise from beacon 4', 'walking']);
+    assert.deepEqual(track.segments, [
+        [
+            { latitude: -15.3301, longitude: 28.6802, elevation: 1147.5, time: '2024-05-02T08:00:00Z' },
+            { latitude: -15.3301, longitude: 28.6812, elevation: 1149, time: '2024-05-02T08:01:10Z' },
+            { latitude: -15.3311, longitude: 28.6812, elevation: null, time: null }
+        ],
+        [{ latitude: -15.3311, longitude: 28.6802, elevation: 1146, time: null }]
+    ]);
+
+    assert.deepEqual(gpx.routes.map(route => [route.name, route.points.length]), [['Access road', 2]]);
+    assert.deepEqual(gpx.waypoints, [{
+        latitude: -15.3301, longitude: 28.6802, elevation: 1147.5, time: '2024-05-02T07:58:10Z',
+        name: 'BEACON 4', description: 'Concrete, damaged', symbol: 'Flag, Blue'
+    }]);
+});
+
+test('points without a usable position are skipped and reported', { skip: needsDom }, () => {
+    assert.deepEqual(parseGpx(walk).skipped, [
+        { element: 'trkpt', name: 'Plot 112 boundary', reason: 'Missing or invalid lat/lon' },
+        { element: 'trkpt', name: 'Plot 112 boundary', reason: 'Missing or invalid lat/lon' },
+        { element: 'wpt', name: null, reason: 'Missing or invalid lat/lon' }
+    ]);
+});
+
+test('GPX 1.0 files are read with their name under gpx', { skip: needsDom }, () => {
+    const gpx = parseGpx(`<gpx version="1.0" xmlns="http://www.topografix.com/GPX/1/0"><name>Old unit</name>
+        <trk><trkseg><trkpt lat="-15" lon="28"><ele>1200</ele></trkpt></trkseg></trk></gpx>`);
+    assert.equal(gpx.name, 'Old unit');
+    assert.equal(gpx.tracks[0].name, null);
+    assert.equal(gpx.tracks[0].segments[0][0].elevation, 1200);
+
+    assert.equal(parseGpx('<gpx version="1.1"/>').name, null);
+    assert.throws(() => parseGpx('<kml/>'), /Not a valid GPX document/);
+    assert.throws(() => parseGpx('<gpx><trk>'), /Not a valid GPX document/);
+});
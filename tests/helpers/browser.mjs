@@ -0,0 +1,47 @@
+// Browser globals for the modules that parse XML with DOMParser or drive
+// Leaflet. jsdom and leaflet are only needed to run the tests; where they are
+// not installed the tests that use them are skipped with the reason below.
+let domMissing = false;
+let leafletMissing = false;
+const maps = [];
+
+try {
+    const { JSDOM } = await import('jsdom');
+    const dom = new JSDOM('<!DOCTYPE html><div id="map"></div>', { pretendToBeVisual: true });
+    const window = dom.window;
+
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.navigator = window.navigator;
+    globalThis.Element = window.Element;
+    globalThis.HTMLElement = window.HTMLElement;
+    globalThis.DOMParser = window.DOMParser;
+    globalThis.XMLSerializer = window.XMLSerializer;
+
+    // jsdom does no layout, so give map containers a screen-sized box
+    Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => 800 });
+    Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get: () => 600 });
+} catch (error) {
+    domMissing = `jsdom is not installed (${error.code || error.message})`;
+}
+
+if (domMissing) {
+    leafletMissing = domMissing;
+} else {
+    try {
+        const leaflet = await import('leaflet');
+        globalThis.L = window.L = leaflet.default;
+        L.Map.addInitHook(function () {
+            maps.push(this);
+        });
+    } catch (error) {
+        leafletMissing = `leaflet is not installed (${error.code || error.message})`;
+    }
+}
+
+// Pass as the skip option of tests that need DOMParser or Leaflet
+export const needsDom = domMissing;
+export const needsLeaflet = leafletMissing;
+
+// The Leaflet map most recently created, so tests can fire map events on it
+export const latestMap = () => maps[maps.length - 1];
@@ -0,0 +1,158 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsDom } from './helpers/browser.mjs';
+import { writeKml, kmlColor, parseKml } from '../_content/CompanyApp.Component.LandAudit/kmlFormat.js';
+
+const parcel = {
+    type: 'Polygon',
+    coordinates: [[[28, -15], [28.01, -15], [28.01, -14.99], [28, -14.99], [28, -15]]]
+};
+
+// ====== WRITING ======
+
+test('names, property keys and values are escaped', () => {
+    const kml = writeKml({
+        name: 'Lusaka & <Chongwe>',
+        folders: [{
+            name: 'parcels "A"',
+            placemarks: [{ name: 'Banda & Sons <Ltd>', geometry: parcel, properties: { 'owner<name>': 'M\'tonga & "Phiri"', area: 120 } }]
+        }]
+    });
+
+    assert.match(kml, /<name>Lusaka &amp; &lt;Chongwe&gt;<\/name>/);
+    assert.match(kml, /<name>parcels &quot;A&quot;<\/name>/);
+    assert.match(kml, /<name>Banda &amp; Sons &lt;Ltd&gt;<\/name>/);
+    assert.match(kml, /<Data name="owner&lt;name&gt;"><value>M'tonga &amp; &quot;Phiri&quot;<\/value><\/Data>/);
+    assert.match(kml, /<Data name="area"><value>120<\/value><\/Data>/);
+    assert.doesNotMatch(kml.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ''), /&(?!amp;|lt;|gt;|quot;)/);
+});
+
+test('descriptions are wrapped in CDATA that cannot be closed early', () => {
+    const kml = writeKml({
+        folders: [{ name: 'parcels', placemarks: [{ name: 'P-1', description: 'owner: Banda\nnote: a ]]> b <b>', geometry: parcel }] }]
+    });
+
+    assert.match(kml, /<description><!\[CDATA\[owner: Banda\nnote: a ]]]]><!\[CDATA\[> b <b>]]><\/description>/);
+});
+
+test('CSS colours become aabbggrr', () => {
+    assert.equal(kmlColor('#3388ff', 1), 'ffff8833');
+    assert.equal(kmlColor('#38f', 0.2), '33ff8833');
+    assert.equal(kmlColor('red'), 'ff0000ff');
+    assert.equal(kmlColor('rgba(255, 0, 0, 0.5)', 1), '800000ff');
+    assert.equal(kmlColor('#ff000080', 0.5), '400000ff');
+    assert.equal(kmlColor('not a colour', 1), 'ffff8833');
+});
+
+test('matching styles are shared and polygons are closed', () => {
+    const style = { color: '#e31a1c', weight: 3, opacity: 1, fill: true, fillColor: '#e31a1c', fillOpacity: 0.2 };
+    const kml = writeKml({
+        folders: [{
+            name: 'parcels',
+            placemarks: [
+                { name: 'open ring', geometry: { type: 'Polygon', coordinates: [parcel.coordinates[0].slice(0, 4)] }, style: style },
+                { name: 'parts', geometry: { type: 'MultiPolygon', coordinates: [parcel.coordinates, parcel.coordinates] }, style: { ...style } },
+                { name: 'no geometry', geometry: null }
+            ]
+        }]
+    });
+
+    assert.equal(kml.match(/<Style id=/g).length, 1);
+    assert.match(kml, /<Style id="style-1"><LineStyle><color>ff1c1ae3<\/color><width>3<\/width><\/LineStyle><PolyStyle><color>331c1ae3<\/color><fill>1<\/fill><outline>1<\/outline><\/PolyStyle><\/Style>/);
+    assert.equal(kml.match(/<styleUrl>#style-1<\/styleUrl>/g).length, 2);
+    assert.equal(kml.match(/<Placemark>/g).length, 2);
+    assert.match(kml, /<coordinates>28,-15 28.01,-15 28.01,-14.99 28,-14.99 28,-15<\/coordinates>/);
+    assert.match(kml, /<MultiGeometry>(<Polygon>.*?<\/Polygon>){2}<\/MultiGeometry>/);
+});
+
+// ====== READING ======
+
+// A consultation sketch the way Google Earth saves one
+const sketch = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+<Document>
+  <name>Chiefdom consultation</name>
+  <Style id="boundary-normal"><LineStyle><color>ff0000ff</color><width>2</width></LineStyle><PolyStyle><color>4d00ff00</color><outline>0</outline></PolyStyle></Style>
+  <StyleMap id="boundary"><Pair><key>normal</key><styleUrl>#boundary-normal</styleUrl></Pair><Pair><key>highlight</key><styleUrl>#other</styleUrl></Pair></StyleMap>
+  <Placemark><name>Meeting point</name><Point><coordinates>28.2833,-15.4167,1270</coordinates></Point></Placemark>
+  <Folder>
+    <name>Chiefdoms</name>
+    <Folder>
+      <name>Mungule</name>
+      <Placemark>
+        <name>Village lands</name>
+        <description>Agreed at the indaba</description>
+        <styleUrl>#boundary</styleUrl>
+        <ExtendedData>
+          <Data name="headman"><value>Mwale</value></Data>
+          <SchemaData schemaUrl="#s"><SimpleData name="households">42</SimpleData></SchemaData>
+        </ExtendedData>
+        <MultiGeometry>
+          <Polygon><outerBoundaryIs><LinearRing><coordinates>28,-15 28.01,-15 28.01,-14.99 28,-15</coordinates></LinearRing></outerBoundaryIs></Polygon>
+          <Polygon><outerBoundaryIs><LinearRing><coordinates>
+            28.02,-15 28.03,-15 28.03,-14.99 28.02,-15
+          </coordinates></LinearRing></outerBoundaryIs></Polygon>
+        </MultiGeometry>
+      </Placemark>
+      <Placemark><name>Walked path</name><gx:Track><when>2024-05-01T08:00:00Z</when><gx:coord>28 -15 0</gx:coord></gx:Track></Placemark>
+    </Folder>
+    <Placemark><name>Stream</name><Style><LineStyle><color>80ff0000</color></LineStyle></Style><LineString><coordinates>28,-15 28.1,-15.1</coordinates></LineString></Placemark>
+    <GroundOverlay><name>Scanned sketch</name></GroundOverlay>
+    <Placemark><name>Unlocated</name></Placemark>
+  </Folder>
+</Document>
+</kml>`;
+
+test('folders, MultiGeometry, ExtendedData and styles are read', { skip: needsDom }, () => {
+    const document = parseKml(sketch);
+
+    assert.equal(document.name, 'Chiefdom consultation');
+    assert.deepEqual(document.folders.map(folder => [folder.name, folder.placemarks.map(placemark => placemark.name)]), [
+        [null, ['Meeting point']],
+        ['Chiefdoms / Mungule', ['Village lands']],
+        ['Chiefdoms', ['Stream']]
+    ]);
+
+    const [meeting] = document.folders[0].placemarks;
+    assert.deepEqual(meeting.geometry, { type: 'Point', coordinates: [28.2833, -15.4167, 1270] });
+
+    const [village] = document.folders[1].placemarks;
+    assert.equal(village.description, 'Agreed at the indaba');
+    assert.deepEqual(village.properties, { headman: 'Mwale', households: '42' });
+    assert.equal(village.geometry.type, 'MultiPolygon');
+    assert.deepEqual(village.geometry.coordinates[1][0][0], [28.02, -15]);
+    assert.deepEqual(village.style, { color: '#ff0000', opacity: 1, weight: 2, fillColor: '#00ff00', fillOpacity: 0.3, stroke: false });
+
+    // An inline style on the placemark
+    assert.deepEqual(document.folders[2].placemarks[0].style, { color: '#0000ff', opacity: 0.5 });
+});
+
+test('elements that cannot be imported are listed with a reason', { skip: needsDom }, () => {
+    assert.deepEqual(parseKml(sketch).skipped, [
+        { element: 'Track', name: 'Walked path', reason: 'Track geometry is not supported' },
+        { element: 'GroundOverlay', name: 'Scanned sketch', reason: 'GroundOverlay elements are not imported' },
+        { element: 'Placemark', name: 'Unlocated', reason: 'No supported geometry' }
+    ]);
+
+    assert.throws(() => parseKml('<gpx></gpx>'), /Not a valid KML document/);
+    assert.throws(() => parseKml('<kml><Document>'), /Not a valid KML document/);
+});
+
+test('written KML reads back with its text intact', { skip: needsDom }, () => {
+    const properties = { owner: 'M\'tonga & "Phiri" <Ltd>', note: 'a ]]> b' };
+    const style = { color: '#e31a1c', opacity: 0.8, weight: 3, fill: true, fillColor: '#ffff00', fillOpacity: 0.2 };
+    const document = parseKml(writeKml({
+        name: 'Round & trip',
+        folders: [{ name: 'parcels <A>', placemarks: [{ name: 'P & 1', description: properties.note, geometry: parcel, properties: properties, style: style }] }]
+    }));
+
+    assert.equal(document.name, 'Round & trip');
+    const [placemark] = document.folders[0].placemarks;
+    assert.equal(document.folders[0].name, 'parcels <A>');
+    assert.equal(placemark.name, 'P & 1');
+    assert.equal(placemark.description, 'a ]]> b');
+    assert.deepEqual(placemark.properties, properties);
+    assert.deepEqual(placemark.geometry, parcel);
+    assert.deepEqual(placemark.style, { color: '#e31a1c', opacity: 0.8, weight: 3, fillColor: '#ffff00', fillOpacity: 0.2 });
+});
@@ -0,0 +1,519 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsLeaflet, latestMap } from './helpers/browser.mjs';
+import {
+    initializeMap, addParcelBoundary, enableSnapping, disableSnapping, enableMeasurementTool, disableMeasurementTool,
+    setupMapClick, measureArea, addMarker, createBuffer, getMapCenter, exportAsGeoJson,
+    addUtmGrid, removeUtmGrid, addGraticule, findParcelMapSheets, checkParcelMapSheet,
+    scanParcelFabric, exportAsKML, exportAsKMZ, importKml, importKmz, exportAsShapefile,
+    inspectShapefile, importShapefile, searchParcels, importGpx
+} from '../_content/CompanyApp.Component.LandAudit/leafletInterop.js';
+import { haversineDistance } from '../_content/CompanyApp.Component.LandAudit/geometryEngine.js';
+import { ellipsoidalArea, transformPoint, transformGeoJson, crsToPrj } from '../_content/CompanyApp.Component.LandAudit/coordinateSystems.js';
+import { readZip, createZip, base64ToBytes, bytesToBase64 } from '../_content/CompanyApp.Component.LandAudit/zipArchive.js';
+import { writeShapefiles } from '../_content/CompanyApp.Component.LandAudit/shapefileFormat.js';
+
+// Map at zoom 17 over a 0.001 degree parcel (about 110 m across)
+function setUpMap() {
+    initializeMap('map', -15.0005, 28.0005, 17);
+    addParcelBoundary('map', 'P-1', [[-15, 28], [-15, 28.001], [-15.001, 28.001], [-15.001, 28]], {});
+    return latestMap();
+}
+
+// Reports of the measurement tool, which places its vertices through snapping
+function measure(map, clicks) {
+    const reports = [];
+    enableMeasurementTool('map', 'distance', { invokeMethodAsync: (name, json) => reports.push(JSON.parse(json)) });
+    clicks.forEach(({ latlng, originalEvent }) => map.fire('click', { latlng: latlng, originalEvent: originalEvent || {} }));
+    map.fire('dblclick', {});
+    disableMeasurementTool('map');
+    return reports[0].coordinates;
+}
+
+const assertNear = (actual, expected, tolerance, message) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} instead of ${expected}`);
+};
+
+// The position pixels away from latlng on screen
+const offset = (map, latlng, dx, dy) => map.unproject(map.project(L.latLng(latlng)).add([dx, dy]));
+
+// ====== SNAPPING ======
+
+test('clicks near a parcel corner or edge land on it', { skip: needsLeaflet }, () => {
+    const map = setUpMap();
+    enableSnapping('map', { tolerancePixels: 10 });
+
+    const [corner, edge] = measure(map, [
+        { latlng: offset(map, [-15, 28.001], 4, 3) },
+        { latlng: offset(map, [-15.0005, 28.001], 6, 0) }
+    ]);
+
+    assert.deepEqual(corner, { lat: -15, lng: 28.001 });
+    assert.ok(Math.abs(edge.lng - 28.001) < 1e-9, `edge snap at ${edge.lng}`);
+    assert.ok(Math.abs(edge.lat + 15.0005) < 1e-6);
+});
+
+test('clicks beyond the tolerance or with the modifier key stay put', { skip: needsLeaflet }, () => {
+    const map = setUpMap();
+    enableSnapping('map', { tolerancePixels: 10 });
+
+    const far = offset(map, [-15, 28.001], 15, 0);
+    const held = offset(map, [-15, 28.001], 3, 3);
+    const [farClick, heldClick] = measure(map, [
+        { latlng: far },
+        { latlng: held, originalEvent: { altKey: true } }
+    ]);
+
+    assert.deepEqual(farClick, { lat: far.lat, lng: far.lng });
+    assert.deepEqual(heldClick, { lat: held.lat, lng: held.lng });
+
+    disableSnapping('map');
+    const near = offset(map, [-15, 28.001], 3, 3);
+    assert.deepEqual(measure(map, [{ latlng: near }, { latlng: far }])[0], { lat: near.lat, lng: near.lng });
+});
+
+// ====== MEASUREMENT ======
+
+test('parcel areas are measured without leaflet.draw', { skip: needsLeaflet }, () => {
+    assert.equal(L.GeometryUtil, undefined);
+
+    const area = measureArea([[-15, 28], [-15, 28.01], [-14.99, 28.01], [-14.99, 28]]);
+    assert.equal(area.squareMeters, '1190059.26');
+    assert.equal(area.hectares, '119.0059');
+    assert.equal(area.utmZone, '35S');
+    assert.equal(area.utmSquareMeters, '1189450.98');
+    assert.equal(measureArea([[-15, 28], [-15, 28.01], [-14.99, 28.01], [-14.99, 28]], { ellipsoid: 'Clarke1880' }).squareMeters, '1189987.78');
+});
+
+// Collects the .NET callbacks by method name
+function recorder() {
+    const calls = {};
+    return {
+        calls: calls,
+        invokeMethodAsync(name, ...args) {
+            (calls[name] = calls[name] || []).push(args);
+        }
+    };
+}
+
+const click = (map, lat, lng) => map.fire('click', { latlng: L.latLng(lat, lng), originalEvent: {} });
+
+test('distance measurement reports each segment and the total', { skip: needsLeaflet }, () => {
+    const map = setUpMap();
+    const dotNet = recorder();
+    enableMeasurementTool('map', 'distance', dotNet);
+
+    click(map, -15, 28);
+    click(map, -15, 28.001);
+    click(map, -15.001, 28.001);
+    // The second click of a double-click does not add a vertex
+    click(map, -15.001, 28.001);
+    map.fire('dblclick', {});
+
+    const result = JSON.parse(dotNet.calls.OnMeasurementCompletedEvent[0][0]);
+    const first = haversineDistance([28, -15], [28.001, -15]);
+    const second = haversineDistance([28.001, -15], [28.001, -15.001]);
+    assert.equal(result.coordinates.length, 3);
+    assert.deepEqual(result.segmentLengthsMeters, [Math.round(first * 100) / 100, Math.round(second * 100) / 100]);
+    assert.ok(Math.abs(result.distanceMeters - (first + second)) < 0.01);
+    assert.ok(Math.abs(result.distanceKilometers - (first + second) / 1000) < 0.001);
+});
+
+test('area measurement reports square metres, hectares and the perimeter', { skip: needsLeaflet }, () => {
+    const map = setUpMap();
+    const dotNet = recorder();
+    enableMeasurementTool('map', 'area', dotNet);
+
+    [[-15, 28], [-15, 28.001], [-15.001, 28.001], [-15.001, 28]].forEach(([lat, lng]) => click(map, lat, lng));
+    map.fire('dblclick', {});
+
+    const result = JSON.parse(dotNet.calls.OnMeasurementCompletedEvent[0][0]);
+    const area = ellipsoidalArea({ type: 'Polygon', coordinates: [[[28, -15], [28.001, -15], [28.001, -15.001], [28, -15.001], [28, -15]]] });
+    assert.equal(result.segmentLengthsMeters.length, 4);
+    assert.ok(Math.abs(result.areaSquareMeters - area) < 0.01);
+    assert.ok(Math.abs(result.areaHectares - area / 10000) < 0.0001);
+    assert.ok(Math.abs(result.perimeterMeters - result.segmentLengthsMeters.reduce((a, b) => a + b)) < 0.05);
+});
+
+test('measuring leaves the app click handler in place and Escape cancels', { skip: needsLeaflet }, () => {
+    const map = setUpMap();
+    const dotNet = recorder();
+    setupMapClick('map', dotNet);
+    enableMeasurementTool('map', 'perimeter', dotNet);
+
+    click(map, -15, 28);
+    click(map, -15, 28.001);
+    map.fire('keydown', { originalEvent: { key: 'Escape' } });
+    map.fire('dblclick', {});
+    assert.equal(dotNet.calls.OnMeasurementCompletedEvent, undefined);
+
+    // A new measurement starts after the cancelled one
+    [[-15, 28], [-15, 28.001], [-15.001, 28.001]].forEach(([lat, lng]) => click(map, lat, lng));
+    map.fire('dblclick', {});
+    assert.equal(dotNet.calls.OnMeasurementCompletedEvent.length, 1);
+
+    disableMeasurementTool('map');
+    click(map, -15, 28);
+    assert.equal(dotNet.calls.OnMapClickEvent.length, 6);
+    assert.equal(map.doubleClickZoom.enabled(), true);
+});
+
+// ====== COORDINATE REFERENCE SYSTEMS ======
+
+test('an unknown CRS is refused without throwing', { skip: needsLeaflet }, (t) => {
+    setUpMap();
+    const warnings = t.mock.method(console, 'warn', () => {});
+
+    assert.equal(addMarker('map', -15, 28, 'Beacon', 'EPSG:9999'), false);
+    assert.equal(addParcelBoundary('map', 'P-2', [[-15, 28], [-15, 28.001], [-15.001, 28]], { sourceCrs: 'EPSG:9999' }), false);
+    assert.deepEqual(getMapCenter('map', 'EPSG:9999'), {});
+    assert.deepEqual(JSON.parse(exportAsGeoJson('map', 'EPSG:9999')).features, []);
+    assert.ok(warnings.mock.callCount() >= 4);
+});
+
+test('surveyed positions are placed through their source CRS', { skip: needsLeaflet }, () => {
+    const map = setUpMap();
+
+    // Lusaka in Arc 1950 / UTM 35S, given as northing then easting
+    assert.equal(createBuffer('map', 8295462.822103294, 637702.770748566, 100, { sourceCrs: 'EPSG:20935' }), true);
+    let centre = null;
+    map.eachLayer(layer => {
+        if (layer instanceof L.Circle && layer.getRadius() === 100) centre = layer.getLatLng();
+    });
+    assert.ok(Math.abs(centre.lat + 15.4167) < 1e-8 && Math.abs(centre.lng - 28.2833) < 1e-8, `centre at ${centre}`);
+
+    const { easting, northing, crs } = getMapCenter('map', 'EPSG:32735');
+    assert.equal(crs, 'EPSG:32735');
+    assert.ok(Math.abs(easting - 607565.739) < 0.01 && Math.abs(northing - 8341375.606) < 0.01, `map centre ${easting}, ${northing}`);
+});
+
+// ====== GRID OVERLAYS ======
+
+// Text and position of the grid labels on the map
+function gridLabels(map) {
+    const labels = [];
+    map.eachLayer(layer => {
+        if (layer instanceof L.Marker && layer.options.icon.options.className === 'grid-label') {
+            labels.push({ text: layer.options.icon.options.html.replace(/<[^>]+>/g, ''), latlng: layer.getLatLng() });
+        }
+    });
+    return labels;
+}
+
+test('the UTM grid labels whole grid values in the zone of the view', { skip: needsLeaflet }, () => {
+    initializeMap('map', -15.4167, 28.2833, 13);
+    const map = latestMap();
+    assert.equal(addUtmGrid('map', { datum: 'Arc1950' }), true);
+
+    const labels = gridLabels(map);
+    const zone = labels.find(label => label.text.startsWith('Zone'));
+    assert.match(zone.text, /^Zone 35S Arc 1950, (\d+ m|\d+ km)$/);
+    const spacing = zone.text.endsWith(' km') ? parseFloat(zone.text.split(', ')[1]) * 1000 : parseFloat(zone.text.split(', ')[1]);
+
+    const eastings = labels.filter(label => label.text.endsWith('mE'));
+    assert.ok(eastings.length >= 2);
+    eastings.forEach(label => {
+        const value = Number(label.text.slice(0, -2));
+        assert.equal(value % spacing, 0, label.text);
+        // The label sits on its grid line
+        assertNear(transformPoint([label.latlng.lng, label.latlng.lat], 'EPSG:4326', 'EPSG:20935')[0], value, 0.01, label.text);
+    });
+
+    // Zooming in tightens the spacing
+    map.setZoom(16);
+    const closer = gridLabels(map).find(label => label.text.startsWith('Zone')).text;
+    assert.notEqual(closer, zone.text);
+
+    assert.equal(removeUtmGrid('map'), true);
+    assert.equal(removeUtmGrid('map'), false);
+    assert.equal(gridLabels(map).length, 0);
+    assert.equal(addUtmGrid('map', { datum: 'Cape' }), false);
+});
+
+test('the graticule labels its lines in degrees, minutes and seconds', { skip: needsLeaflet }, () => {
+    initializeMap('map', -15.4167, 28.2833, 13);
+    const map = latestMap();
+    addGraticule('map');
+
+    const labels = gridLabels(map).map(label => label.text);
+    assert.ok(labels.some(text => /S$/.test(text)) && labels.some(text => /E$/.test(text)), labels.join(' | '));
+});
+
+// ====== MAP SHEETS ======
+
+test('a parcel across a sheet edge is reported on both sheets by area', { skip: needsLeaflet }, () => {
+    initializeMap('map', -15.25, 28.25, 14);
+    // Three quarters of the parcel lie west of 28.25°E, on 1528 A3
+    addParcelBoundary('map', 'P-9', [[-15.26, 28.247], [-15.26, 28.251], [-15.262, 28.251], [-15.262, 28.247]], {});
+
+    const { sheets50k, sheets250k } = JSON.parse(findParcelMapSheets('map', 'P-9'));
+    assert.deepEqual(sheets50k.map(sheet => sheet.code), ['1528 A3', '1528 A4']);
+    assert.ok(Math.abs(sheets50k[0].areaFraction - 0.75) < 0.001);
+    assert.ok(Math.abs(sheets50k[0].areaFraction + sheets50k[1].areaFraction - 1) < 0.001);
+    assert.deepEqual(sheets250k.map(sheet => [sheet.code, sheet.areaFraction]), [['SD-35-15', 1]]);
+
+    const claimed = JSON.parse(checkParcelMapSheet('map', 'P-9', '1528a4'));
+    assert.deepEqual([claimed.claimedSheet, claimed.validCode, claimed.onSheet], ['1528 A4', true, true]);
+    assert.equal(JSON.parse(checkParcelMapSheet('map', 'P-9', '1528 C1')).onSheet, false);
+    assert.equal(JSON.parse(checkParcelMapSheet('map', 'P-9', '1528 Z9')).validCode, false);
+});
+
+// ====== KML EXPORT ======
+
+// Two overlapping parcels, so the fabric scan fills the working conflicts group
+function setUpOverlap() {
+    initializeMap('map', -15, 28, 10);
+    addParcelBoundary('map', 'A', [[-15, 28], [-15, 28.01], [-14.99, 28.01], [-14.99, 28]], {}, { owner: 'Banda & <Sons>', areaHectares: 120 });
+    addParcelBoundary('map', 'B', [[-15, 28.005], [-15, 28.02], [-14.99, 28.02], [-14.99, 28.005]], {}, {});
+    scanParcelFabric('map');
+}
+
+const folderNames = kml => [...kml.matchAll(/<Folder>\s*<name>([^<]*)<\/name>/g)].map(match => match[1]);
+
+test('KML export holds the data groups with plain-text descriptions', { skip: needsLeaflet }, () => {
+    setUpOverlap();
+    const kml = exportAsKML('map');
+
+    assert.deepEqual(folderNames(kml), ['parcels']);
+    assert.equal(kml.match(/<Placemark>/g).length, 2);
+    assert.match(kml, /<name>A<\/name>/);
+    assert.match(kml, /<description><!\[CDATA\[parcelId: A\nowner: Banda & <Sons>\nareaHectares: 120\nfeatureType: parcel\nfeatureId: A\]\]><\/description>/);
+    assert.match(kml, /<Data name="owner"><value>Banda &amp; &lt;Sons&gt;<\/value><\/Data>/);
+
+    // Working groups only when asked for by name
+    assert.deepEqual(folderNames(exportAsKML('map', { groups: ['conflicts'] })), ['conflicts']);
+});
+
+test('KMZ export is a zipped doc.kml', { skip: needsLeaflet }, async () => {
+    setUpOverlap();
+    const entries = await readZip(base64ToBytes(await exportAsKMZ('map', { name: 'Chongwe audit' })));
+
+    assert.deepEqual(entries.map(entry => entry.name), ['doc.kml']);
+    const kml = new TextDecoder().decode(entries[0].data);
+    assert.match(kml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<kml xmlns="http:\/\/www.opengis.net\/kml\/2.2">/);
+    assert.match(kml, /<Document>\n<name>Chongwe audit<\/name>/);
+    assert.deepEqual(folderNames(kml), ['parcels']);
+});
+
+// ====== KML IMPORT ======
+
+const consultation = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Consultation</name>
+<Folder><name>sketches</name>
+<Placemark><name>Village &amp; &lt;lands&gt;</name><description><![CDATA[Agreed <script>alert(1)</script> at the indaba]]></description>
+<Polygon><outerBoundaryIs><LinearRing><coordinates>28,-15 28.01,-15 28.01,-14.99 28,-15</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>
+<Placemark><name>Well</name><Point><coordinates>28.005,-14.995</coordinates></Point></Placemark>
+<NetworkLink><name>Live feed</name></NetworkLink>
+</Folder>
+<Placemark><name>Road</name><LineString><coordinates>28,-15 28.1,-15.1</coordinates></LineString></Placemark>
+</Document></kml>`;
+
+test('KML folders load into layer groups with counts per group', { skip: needsLeaflet }, () => {
+    initializeMap('map', -15, 28, 10);
+    const result = JSON.parse(importKml('map', consultation, { defaultGroup: 'imported' }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.name, 'Consultation');
+    assert.deepEqual(result.groups.map(group => [group.group, group.placemarks, group.polygons, group.points, group.lines]), [
+        ['sketches', 2, 1, 1, 0],
+        ['imported', 1, 0, 0, 1]
+    ]);
+    assert.deepEqual(result.totals, { placemarks: 3, points: 1, lines: 1, polygons: 1, collections: 0 });
+    assert.deepEqual(result.skipped.map(item => item.element), ['NetworkLink']);
+
+    // Popup text from the file is escaped, with markup stripped from descriptions
+    const popups = [];
+    latestMap().eachLayer(layer => {
+        if (layer.getPopup?.()) popups.push(layer.getPopup().getContent());
+    });
+    const village = popups.find(content => content.includes('Village'));
+    assert.match(village, /<td>Village &amp; &lt;lands&gt;<\/td>/);
+    assert.doesNotMatch(village, /<script>/);
+});
+
+test('KMZ archives and bad input are reported', { skip: needsLeaflet }, async () => {
+    initializeMap('map', -15, 28, 10);
+    const kmz = bytesToBase64(await createZip([{ name: 'files/readme.txt', data: 'Photos' }, { name: 'doc.kml', data: consultation }]));
+    assert.deepEqual(JSON.parse(await importKmz('map', kmz)).totals.placemarks, 3);
+
+    assert.equal(JSON.parse(importKml('map', '<html></html>')).reason, 'Not a valid KML document');
+    assert.match(JSON.parse(await importKmz('map', bytesToBase64(new TextEncoder().encode(consultation)))).reason, /^Could not read KMZ/);
+    const empty = bytesToBase64(await createZip([{ name: 'readme.txt', data: 'No map here' }]));
+    assert.equal(JSON.parse(await importKmz('map', empty)).reason, 'The KMZ archive holds no KML document');
+    assert.equal(JSON.parse(importKml('map', '<kml><Document></Document></kml>')).success, false);
+});
+
+// ====== SHAPEFILE EXPORT ======
+
+test('selected parcels export as a zipped Arc 1950 UTM shapefile', { skip: needsLeaflet }, async (t) => {
+    const warnings = t.mock.method(console, 'warn', () => {});
+    initializeMap('map', -15.4167, 28.2833, 14);
+    addParcelBoundary('map', 'LUS/1', [[-15.4167, 28.2833], [-15.4167, 28.2843], [-15.4177, 28.2843]], {}, { registrationNumber: 'R-1' });
+    addParcelBoundary('map', 'LUS/2', [[-15.42, 28.29], [-15.42, 28.291], [-15.421, 28.291]], {}, {});
+
+    const result = JSON.parse(await exportAsShapefile('map', { parcelIds: ['LUS/1', 'LUS/404'], targetCrs: 'Arc1950/UTM35S', baseName: 'Lusaka parcels' }));
+    assert.equal(result.success, true);
+    assert.equal(result.fileName, 'Lusaka_parcels.zip');
+    assert.equal(result.crs, 'EPSG:20935');
+    assert.deepEqual(warnings.mock.calls.map(call => call.arguments[0]), ['Parcels not found: LUS/404']);
+    assert.deepEqual(result.layers, [{ name: 'Lusaka_parcels_polygons', shapeType: 5, count: 1 }]);
+    assert.ok(result.fieldMap.some(field => field.property === 'registrationNumber' && field.field === 'registrati'));
+
+    const files = Object.fromEntries((await readZip(base64ToBytes(result.zip))).map(entry => [entry.name, entry.data]));
+    assert.deepEqual(Object.keys(files).sort(), ['cpg', 'dbf', 'prj', 'shp', 'shx'].map(extension => `Lusaka_parcels_polygons.${extension}`));
+    assert.match(new TextDecoder().decode(files['Lusaka_parcels_polygons.prj']), /^PROJCS\["Arc_1950_UTM_Zone_35S"/);
+
+    // The bounding box in the header is in grid metres around Lusaka
+    const shp = new DataView(files['Lusaka_parcels_polygons.shp'].buffer);
+    assert.ok(Math.abs(shp.getFloat64(36, true) - 637702.77) < 0.01, `min easting ${shp.getFloat64(36, true)}`);
+    assert.ok(Math.abs(shp.getFloat64(60, true) - 8295462.82) < 0.01, `max northing ${shp.getFloat64(60, true)}`);
+
+    assert.equal(JSON.parse(await exportAsShapefile('map', { targetCrs: 'EPSG:9999' })).success, false);
+    assert.equal(JSON.parse(await exportAsShapefile('map', { parcelIds: [] })).reason, 'Nothing to export');
+});
+
+// ====== SHAPEFILE IMPORT ======
+
+// Three Lusaka plots and a beacon surveyed in Arc 1950 / UTM 35S, as a
+// council would send them: a zipped shapefile with an ArcGIS .prj
+const plot = (id, west, south) => ({
+    type: 'Feature',
+    properties: { PLOT_NO: id, OWNER: `Owner of ${id}` },
+    geometry: { type: 'Polygon', coordinates: [[[west, south], [west + 0.001, south], [west + 0.001, south + 0.001], [west, south + 0.001], [west, south]]] }
+});
+const survey = [
+    plot('LUS/7', 28.28, -15.42),
+    plot('LUS/8', 28.282, -15.42),
+    { ...plot('LUS/7', 28.284, -15.42), properties: { PLOT_NO: 'LUS/7', OWNER: 'Resurvey <2024>' } },
+    { ...plot('', 28.286, -15.42) },
+    { type: 'Feature', properties: { PLOT_NO: 'BEACON 12' }, geometry: { type: 'Point', coordinates: [28.2805, -15.4195] } }
+];
+
+async function surveyZip(options) {
+    const gridded = transformGeoJson({ type: 'FeatureCollection', features: survey }, 'EPSG:4326', 'EPSG:20935').features;
+    const files = writeShapefiles(gridded, { baseName: 'plots' }).files;
+    const withPrj = options?.prj === false ? files : [...files, ...files.filter(file => file.name.endsWith('.shp'))
+        .map(file => ({ name: file.name.replace(/\.shp$/, '.prj'), data: crsToPrj('EPSG:20935') }))];
+    return bytesToBase64(await createZip(withPrj));
+}
+
+test('a zipped Arc 1950 UTM shapefile lands on its WGS84 position', { skip: needsLeaflet }, async () => {
+    initializeMap('map', -15.4167, 28.2833, 12);
+    const zip = await surveyZip();
+
+    const inspected = JSON.parse(await inspectShapefile(zip));
+    assert.deepEqual(inspected.layers.map(layer => [layer.name, layer.shapeType, layer.count, layer.crs]).sort(), [
+        ['plots_points', 1, 1, 'EPSG:20935'],
+        ['plots_polygons', 5, 4, 'EPSG:20935']
+    ]);
+    const polygons = inspected.layers.find(layer => layer.name === 'plots_polygons');
+    assert.deepEqual(polygons.fields.map(field => field.name), ['PLOT_NO', 'OWNER']);
+    assert.deepEqual(polygons.sample, { PLOT_NO: 'LUS/7', OWNER: 'Owner of LUS/7' });
+
+    const result = JSON.parse(await importShapefile('map', zip, { idAttribute: 'PLOT_NO', group: 'Beacons' }));
+    assert.equal(result.success, true);
+    assert.deepEqual(result.totals, { parcels: 4, points: 1, lines: 0, skipped: 0 });
+    assert.deepEqual(result.duplicateIds, ['LUS/7']);
+    const imported = result.layers.find(layer => layer.name === 'plots_polygons');
+    assert.deepEqual([imported.crs, imported.crsSource, imported.parcels, imported.missingIds], ['EPSG:20935', 'prj', 4, 1]);
+
+    // The later LUS/7 replaced the first; the plot without a number is named after its file and record
+    const found = JSON.parse(searchParcels('map', 'lus/'));
+    assert.deepEqual(found.map(parcel => parcel.parcelId), ['LUS/7', 'LUS/8']);
+    assert.equal(found[0].properties.OWNER, 'Resurvey <2024>');
+    assertNear(found[0].longitude, 28.2845, 1e-7, 'longitude of LUS/7');
+    assertNear(found[0].latitude, -15.4195, 1e-7, 'latitude of LUS/7');
+    assertNear(found[1].longitude, 28.2825, 1e-7, 'longitude of LUS/8');
+    assert.deepEqual(JSON.parse(searchParcels('map', 'plots_polygons-4')).map(parcel => parcel.parcelId), ['plots_polygons-4']);
+});
+
+test('imported parcels are found by their attributes', { skip: needsLeaflet }, async () => {
+    initializeMap('map', -15.4167, 28.2833, 12);
+    await importShapefile('map', await surveyZip(), { idAttribute: 'PLOT_NO' });
+
+    const byOwner = JSON.parse(searchParcels('map', 'OWNER OF'));
+    assert.deepEqual(byOwner.map(parcel => [parcel.parcelId, parcel.matchedFields]), [['LUS/8', ['OWNER']], ['plots_polygons-4', ['OWNER']]]);
+    assert.deepEqual(JSON.parse(searchParcels('map', 'owner of', { fields: ['PLOT_NO'] })), []);
+    assert.deepEqual(JSON.parse(searchParcels('map', 'lus/7', { fields: [] })).map(parcel => parcel.parcelId), ['LUS/7']);
+    assert.equal(JSON.parse(searchParcels('map', 'LUS', { limit: 1 })).length, 1);
+    assert.deepEqual(JSON.parse(searchParcels('map', '  ')), []);
+});
+
+test('a shapefile without a .prj needs a source CRS', { skip: needsLeaflet }, async () => {
+    initializeMap('map', -15.4167, 28.2833, 12);
+    const zip = await surveyZip({ prj: false });
+
+    const refused = JSON.parse(await importShapefile('map', zip, { idAttribute: 'PLOT_NO' }));
+    assert.equal(refused.success, false);
+    assert.equal(refused.reason, 'No features were imported');
+    assert.ok(refused.layers.every(layer => layer.error === 'No .prj file; pass options.sourceCrs'));
+
+    const placed = JSON.parse(await importShapefile('map', zip, { idAttribute: 'PLOT_NO', sourceCrs: 'EPSG:20935' }));
+    assert.equal(placed.totals.parcels, 4);
+    assert.ok(placed.layers.every(layer => layer.crsSource === 'option'));
+    assertNear(JSON.parse(searchParcels('map', 'LUS/8'))[0].longitude, 28.2825, 1e-7, 'longitude of LUS/8');
+
+    assert.match(JSON.parse(await importShapefile('map', 'bm90IGEgemlw')).reason, /^Could not read zip/);
+    const empty = bytesToBase64(await createZip([{ name: 'readme.txt', data: 'No shapes' }]));
+    assert.equal(JSON.parse(await importShapefile('map', empty)).reason, 'No .shp file was found');
+    assert.equal(JSON.parse(await importShapefile('nowhere', zip)).reason, 'Map not found');
+});
+
+// ====== GPX IMPORT ======
+
+// A boundary walk around a 0.001 degree plot that ends 0.00003 degrees
+// (about 3.3 m) short of where it started, and a walk abandoned halfway
+const track = (name, points) => `<trk><name>${name}</name><trkseg>${points.map(([lng, lat], index) =>
+    `<trkpt lat="${lat}" lon="${lng}"><ele>${1150 + index}</ele><time>2024-05-02T08:0${index}:00Z</time></trkpt>`).join('')}</trkseg></trk>`;
+const walked = [[28, -15], [28.001, -15], [28.001, -15.001], [28, -15.001], [28, -15.00003]];
+const walks = `<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+    <metadata><name>Inspection 2 May</name></metadata>
+    ${track('Plot 112', walked)}
+    ${track('Plot 113', [[28.002, -15], [28.003, -15], [28.003, -15.001], [28.002, -15.001]])}
+    <trk><name>Lost fix</name><trkseg><trkpt lat="" lon="28"/></trkseg></trk>
+    <wpt lat="-15" lon="28"><ele>1150</ele><name>BEACON 4</name></wpt>
+</gpx>`;
+
+test('GPX tracks report their closure gap and close into candidate parcels', { skip: needsLeaflet }, () => {
+    initializeMap('map', -15, 28, 15);
+    const result = JSON.parse(importGpx('map', walks, { candidateParcels: true }));
+    assert.equal(result.success, true);
+    assert.equal(result.name, 'Inspection 2 May');
+    assert.equal(result.waypoints, 1);
+    assert.deepEqual(result.skipped, [{ element: 'trkpt', name: 'Lost fix', reason: 'Missing or invalid lat/lon' }]);
+
+    const [closed, open] = result.tracks;
+    assertNear(closed.closureGapMeters, haversineDistance([28, -15], [28, -15.00003]), 0.01, 'closure gap');
+    assert.deepEqual([closed.points, closed.startTime, closed.endTime, closed.closed], [5, '2024-05-02T08:00:00Z', '2024-05-02T08:04:00Z', true]);
+    assertNear(closed.lengthMeters, haversineDistance([28, -15], [28.001, -15]) * 2 + haversineDistance([28.001, -15], [28.001, -15.001]) * 2 - 3.34, 0.05, 'walked length');
+
+    // The gap lies along the west side, so closing across it encloses the whole plot
+    const plot = { type: 'Polygon', coordinates: [[[28, -15], [28.001, -15], [28.001, -15.001], [28, -15.001], [28, -15]]] };
+    assert.equal(closed.candidate.id, 'Plot 112');
+    assert.equal(closed.candidate.valid, true);
+    assert.deepEqual(closed.candidate.issues, []);
+    assertNear(closed.candidate.areaSquareMeters, ellipsoidalArea(plot), 0.01, 'candidate area');
+    assert.deepEqual(closed.candidate.geoJson.geometry.coordinates[0].length, 6);
+
+    // Walked three sides: the gap is a whole side, well past the 10 m default
+    assertNear(open.closureGapMeters, haversineDistance([28.002, -15], [28.002, -15.001]), 0.01, 'open gap');
+    assert.equal(open.closed, false);
+    assert.equal(open.candidate, undefined);
+});
+
+test('the closure tolerance and candidate option decide what becomes a parcel', { skip: needsLeaflet }, () => {
+    initializeMap('map', -15, 28, 15);
+    const strict = JSON.parse(importGpx('map', walks, { candidateParcels: true, closureToleranceMeters: 1 }));
+    assert.deepEqual(strict.tracks.map(item => item.closed), [false, false]);
+
+    const lenient = JSON.parse(importGpx('map', walks, { candidateParcels: true, closureToleranceMeters: 200 }));
+    assert.deepEqual(lenient.tracks.map(item => item.candidate?.id), ['Plot 112', 'Plot 113']);
+
+    const plain = JSON.parse(importGpx('map', walks));
+    assert.equal(plain.tracks[0].closed, true);
+    assert.equal(plain.tracks[0].candidate, undefined);
+
+    assert.equal(JSON.parse(importGpx('map', '<kml/>')).reason, 'Not a valid GPX document');
+    assert.equal(JSON.parse(importGpx('map', '<gpx version="1.1"/>')).reason, 'No tracks, routes or waypoints were found');
+    assert.equal(JSON.parse(importGpx('nowhere', walks)).reason, 'Map not found');
+});
@@ -0,0 +1,186 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeShapefiles, collectShapefiles, readShapefile } from '../_content/CompanyApp.Component.LandAudit/shapefileFormat.js';
+import { crsToPrj, crsFromPrj, listCrs } from '../_content/CompanyApp.Component.LandAudit/coordinateSystems.js';
+
+const feature = (geometry, properties) => ({ type: 'Feature', properties: properties, geometry: geometry });
+const parcel = { type: 'Polygon', coordinates: [[[28, -15], [28.01, -15], [28.01, -14.99], [28, -14.99], [28, -15]]] };
+
+const features = [
+    feature(parcel, { parcelId: 'LUS/1234', registrationNumber: 'R-77', registrationDate: '2019-03-01', areaHectares: 119.0059, surveyed: true }),
+    feature({ type: 'MultiPolygon', coordinates: [parcel.coordinates] }, { parcelId: 'LUS/1235', areaHectares: 12, surveyed: false }),
+    feature({ type: 'Point', coordinates: [28.005, -14.995] }, { parcelId: 'BEACON-1', '1stOwner': 'Banda' }),
+    feature({ type: 'LineString', coordinates: [[28, -15], [28.1, -15.1]] }, { 'road name': 'Great East Road' }),
+    feature(null, { parcelId: 'LUS/9999' })
+];
+
+// ====== WRITING ======
+
+test('one shapefile set per geometry type, with empty geometry reported', () => {
+    const result = writeShapefiles(features, { baseName: 'lusaka', prj: 'GEOGCS["GCS_WGS_1984"]' });
+
+    assert.deepEqual(result.layers, [
+        { name: 'lusaka_points', shapeType: 1, count: 1 },
+        { name: 'lusaka_lines', shapeType: 3, count: 1 },
+        { name: 'lusaka_polygons', shapeType: 5, count: 2 }
+    ]);
+    assert.deepEqual(result.files.filter(file => file.name.startsWith('lusaka_polygons')).map(file => file.name),
+        ['lusaka_polygons.shp', 'lusaka_polygons.shx', 'lusaka_polygons.dbf', 'lusaka_polygons.prj', 'lusaka_polygons.cpg']);
+    assert.deepEqual(result.skipped, [{ index: 4, reason: 'Unsupported or empty geometry null' }]);
+    assert.equal(writeShapefiles(features).files.some(file => file.name.endsWith('.prj')), false);
+});
+
+test('the .shp and .shx headers follow the ESRI layout', () => {
+    const files = Object.fromEntries(writeShapefiles(features, { baseName: 'lusaka' }).files.map(file => [file.name, file.data]));
+    const shp = new DataView(files['lusaka_polygons.shp'].buffer);
+    const shx = new DataView(files['lusaka_polygons.shx'].buffer);
+
+    assert.equal(shp.getInt32(0, false), 9994);
+    assert.equal(shp.getInt32(24, false) * 2, shp.byteLength);
+    assert.equal(shp.getInt32(28, true), 1000);
+    assert.equal(shp.getInt32(32, true), 5);
+    assert.deepEqual([36, 44, 52, 60].map(offset => shp.getFloat64(offset, true)), [28, -15, 28.01, -14.99]);
+
+    // Two records, each pointed at by the index
+    assert.equal(shx.byteLength, 100 + 2 * 8);
+    assert.equal(shx.getInt32(100, false) * 2, 100);
+    const second = shx.getInt32(108, false) * 2;
+    assert.equal(shp.getInt32(second, false), 2);
+    assert.equal(shx.getInt32(104, false) * 2 + 108, second);
+
+    // Outer rings are written clockwise: the first vertex after the corner goes north
+    const points = 100 + 8 + 44 + 4;
+    assert.deepEqual([shp.getFloat64(points + 16, true), shp.getFloat64(points + 24, true)], [28, -14.99]);
+});
+
+test('long property names are shortened uniquely and reported', () => {
+    const { fieldMap } = writeShapefiles(features);
+
+    assert.deepEqual(fieldMap, [
+        { property: 'parcelId', field: 'parcelId', type: 'C', truncated: false },
+        { property: 'registrationNumber', field: 'registrati', type: 'C', truncated: true },
+        { property: 'registrationDate', field: 'registra_1', type: 'C', truncated: true },
+        { property: 'areaHectares', field: 'areaHectar', type: 'N', truncated: true },
+        { property: 'surveyed', field: 'surveyed', type: 'L', truncated: false },
+        { property: '1stOwner', field: 'F1stOwner', type: 'C', truncated: true },
+        { property: 'road name', field: 'road_name', type: 'C', truncated: true }
+    ]);
+});
+
+test('the .dbf header and records hold the typed values', () => {
+    const files = Object.fromEntries(writeShapefiles(features, { baseName: 'lusaka' }).files.map(file => [file.name, file.data]));
+    const dbf = files['lusaka_polygons.dbf'];
+    const view = new DataView(dbf.buffer);
+    const text = bytes => new TextDecoder().decode(bytes);
+
+    assert.equal(dbf[0], 0x03);
+    assert.equal(view.getUint32(4, true), 2);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+    assert.equal(headerLength, 32 + 7 * 32 + 1);
+    assert.equal(dbf[headerLength - 1], 0x0D);
+    assert.equal(dbf.length, headerLength + 2 * recordLength + 1);
+    assert.equal(dbf[dbf.length - 1], 0x1A);
+
+    // areaHectares is the fourth field: N with four decimals, right-aligned
+    const area = 32 + 3 * 32;
+    assert.equal(text(dbf.subarray(area, area + 10)), 'areaHectar');
+    assert.deepEqual([String.fromCharCode(dbf[area + 11]), dbf[area + 16], dbf[area + 17]], ['N', 8, 4]);
+
+    // Text is left-aligned and blank-padded; missing values are all blanks
+    const blanks = count => ' '.repeat(count);
+    assert.equal(recordLength, 1 + 8 + 4 + 10 + 8 + 1 + 5 + 15);
+    assert.equal(text(dbf.subarray(headerLength, headerLength + recordLength)), ` LUS/1234R-772019-03-01119.0059T${blanks(20)}`);
+    assert.equal(text(dbf.subarray(headerLength + recordLength, headerLength + 2 * recordLength)), ` LUS/1235${blanks(14)} 12.0000F${blanks(20)}`);
+});
+
+// ====== READING ======
+
+// Shapefile sets as a desktop GIS would hand them over, keyed by base name
+const written = (input, options) => Object.fromEntries(collectShapefiles(writeShapefiles(input, options).files.map(file => ({
+    name: file.name,
+    data: typeof file.data === 'string' ? new TextEncoder().encode(file.data) : file.data
+}))).map(set => [set.name, set]));
+
+test('written shapefiles read back with geometry, holes and attributes', () => {
+    const courtyard = {
+        type: 'Polygon',
+        coordinates: [parcel.coordinates[0], [[28.004, -14.996], [28.004, -14.994], [28.006, -14.994], [28.006, -14.996], [28.004, -14.996]]]
+    };
+    const twoParts = { type: 'MultiPolygon', coordinates: [parcel.coordinates, [[[28.02, -15], [28.03, -15], [28.03, -14.99], [28.02, -15]]]] };
+    const sets = written([
+        feature(courtyard, { parcelId: 'LUS/1', owner: 'Mwanaŵa Phiri', areaHectares: 115.5, surveyed: true }),
+        feature(twoParts, { parcelId: 'LUS/2', areaHectares: -3 }),
+        feature({ type: 'MultiLineString', coordinates: [[[28, -15], [28.1, -15.1]], [[28.2, -15], [28.3, -15]]] }, { parcelId: 'ROAD' })
+    ], { baseName: 'survey' });
+
+    const polygons = readShapefile(sets.survey_polygons.shp, sets.survey_polygons.dbf, 'UTF-8');
+    assert.equal(polygons.shapeType, 5);
+    assert.deepEqual(polygons.skipped, []);
+    assert.deepEqual(polygons.features.map(item => item.geometry), [courtyard, twoParts]);
+    assert.deepEqual(polygons.features.map(item => item.properties), [
+        { parcelId: 'LUS/1', owner: 'Mwanaŵa Phiri', areaHectar: 115.5, surveyed: true },
+        { parcelId: 'LUS/2', owner: null, areaHectar: -3, surveyed: null }
+    ]);
+    assert.deepEqual(polygons.fields.map(field => [field.name, field.type]), [['parcelId', 'C'], ['owner', 'C'], ['areaHectar', 'N'], ['surveyed', 'L']]);
+
+    const lines = readShapefile(sets.survey_lines.shp, sets.survey_lines.dbf);
+    assert.equal(lines.features[0].geometry.type, 'MultiLineString');
+    assert.equal(lines.features[0].properties.parcelId, 'ROAD');
+
+    // Geometry alone without its table
+    assert.deepEqual(readShapefile(sets.survey_polygons.shp).features[0].properties, {});
+    assert.throws(() => readShapefile(sets.survey_polygons.dbf), /Not a shapefile/);
+});
+
+test('the files of each shapefile are grouped by base name', () => {
+    const bytes = new Uint8Array(1);
+    const sets = collectShapefiles([
+        { name: 'Parcels/Lusaka.SHP', data: bytes },
+        { name: 'Parcels/lusaka.dbf', data: bytes },
+        { name: 'Parcels/Lusaka.prj', data: bytes },
+        { name: '__MACOSX/Parcels/._Lusaka.shp', data: bytes },
+        { name: 'Beacons.shp', data: bytes },
+        { name: 'Orphan.dbf', data: bytes },
+        { name: 'readme.txt', data: bytes }
+    ]);
+
+    assert.deepEqual(sets.map(set => [set.name, Object.keys(set).sort()]), [
+        ['Lusaka', ['dbf', 'name', 'prj', 'shp']],
+        ['Beacons', ['name', 'shp']]
+    ]);
+});
+
+test('Windows code page text and deleted records are read', () => {
+    const { survey_points: points } = written([
+        feature({ type: 'Point', coordinates: [28, -15] }, { name: 'Chipata' }),
+        feature({ type: 'Point', coordinates: [32.6, -13.6] }, { name: 'Mansa' })
+    ], { baseName: 'survey' });
+    const dbf = points.dbf.slice();
+    const headerLength = new DataView(dbf.buffer).getUint16(8, true);
+    const recordLength = new DataView(dbf.buffer).getUint16(10, true);
+
+    // 'Chipata' becomes 'Chipatá' in Windows-1252 (0xE1), then the second record is deleted
+    dbf[headerLength + 1 + 6] = 0xE1;
+    dbf[headerLength + recordLength] = 0x2A;
+
+    const result = readShapefile(points.shp, dbf);
+    assert.deepEqual(result.features.map(item => item.properties.name), ['Chipatá']);
+    assert.deepEqual(readShapefile(points.shp, dbf, '1252').features[0].properties.name, 'Chipatá');
+});
+
+test('the .prj names the CRS it was written for', () => {
+    listCrs().forEach(crs => assert.equal(crsFromPrj(crsToPrj(crs.code))?.code, crs.code, crs.code));
+
+    // As written by ArcGIS for Arc 1950 / UTM 35S, and OGC WKT with an authority
+    const arcgis = 'PROJCS["Arc_1950_UTM_Zone_35S",GEOGCS["GCS_Arc_1950",DATUM["D_Arc_1950",SPHEROID["Clarke_1880_Arc",6378249.145,293.466307656]],' +
+        'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],' +
+        'PARAMETER["False_Northing",10000000.0],PARAMETER["Central_Meridian",27.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+    assert.equal(crsFromPrj(arcgis).code, 'EPSG:20935');
+    assert.equal(crsFromPrj('PROJCS["WGS 84 / UTM zone 36S",GEOGCS["WGS 84",DATUM["WGS_1984"]],AUTHORITY["EPSG","32736"]]').code, 'EPSG:32736');
+
+    assert.equal(crsFromPrj(arcgis.replace('10000000.0', '0.0')), null);
+    assert.equal(crsFromPrj('GEOGCS["GCS_Cape",DATUM["D_Cape"]]'), null);
+    assert.equal(crsFromPrj(''), null);
+});
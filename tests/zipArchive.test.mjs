@@ -0,0 +1,44 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createZip, readZip, isZip, bytesToBase64, base64ToBytes
+} from '../_content/CompanyApp.Component.LandAudit/zipArchive.js';
+
+const kml = '<?xml version="1.0" encoding="UTF-8"?>\n<kml>' + '<Placemark><name>Chibombo</name></Placemark>'.repeat(200) + '</kml>';
+const binary = Uint8Array.from({ length: 300 }, (_, i) => (i * 37) % 256);
+
+test('entries come back byte for byte, deflated or stored', async () => {
+    for (const compress of [true, false]) {
+        const archive = await createZip([
+            { name: 'doc.kml', data: kml },
+            { name: 'files/beacons.shp', data: binary },
+            { name: 'ŵ-Kasempa.txt', data: 'Mwinilunga' }
+        ], { compress: compress });
+
+        assert.equal(isZip(archive), true);
+        const entries = await readZip(archive);
+        assert.deepEqual(entries.map(entry => entry.name), ['doc.kml', 'files/beacons.shp', 'ŵ-Kasempa.txt']);
+        assert.equal(new TextDecoder().decode(entries[0].data), kml);
+        assert.deepEqual(entries[1].data, binary);
+        assert.equal(new TextDecoder().decode(entries[2].data), 'Mwinilunga');
+
+        // Repetitive KML shrinks when deflated
+        assert.equal(archive.length < kml.length, compress);
+    }
+});
+
+test('base64 carries archives across the .NET boundary', async () => {
+    const archive = await createZip([{ name: 'doc.kml', data: kml }]);
+    const base64 = bytesToBase64(archive);
+
+    assert.deepEqual(base64ToBytes(base64), archive);
+    assert.deepEqual(base64ToBytes(`data:application/vnd.google-earth.kmz;base64,${base64}`), archive);
+    assert.equal(new TextDecoder().decode((await readZip(base64ToBytes(base64).buffer))[0].data), kml);
+});
+
+test('other bytes are not taken for an archive', async () => {
+    const text = new TextEncoder().encode(kml);
+    assert.equal(isZip(text), false);
+    await assert.rejects(readZip(text), /Not a ZIP archive/);
+});